@@ -72,10 +72,28 @@ interface IBiSwapRouter {
     ) external view returns (uint[] memory amounts);
 }
 
+interface IPancakeV3SwapRouter {
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+    
+    function exactInputSingle(
+        ExactInputSingleParams calldata params
+    ) external payable returns (uint256 amountOut);
+}
+
 /**
  * @title FlashLoanArbitrage
  * @dev Implements flash loan arbitrage functionality between multiple DEXs on BNB Chain
  * Exclusively uses PancakeSwap V3 for flash loans and implements MEV protection
+ * Swaps through the V2 routers it was initialized with and the PancakeSwap V3 router
  */
 contract FlashLoanArbitrage is 
     Initializable, 
@@ -116,6 +134,12 @@ contract FlashLoanArbitrage is
     uint256 public successfulTrades;
     uint256 public totalProfit;
     
+    // Added by the multi-hop route upgrade; new state variables go below this line only
+    IPancakeV3SwapRouter public pancakeV3Router;
+    
+    // Pool of the flash loan in progress, the only caller pancakeV3FlashCallback accepts
+    address private activeFlashPool;
+    
     // Events
     event ArbitrageExecuted(
         address tokenBorrow,
@@ -142,14 +166,24 @@ contract FlashLoanArbitrage is
         uint256 slippageCapBps
     );
     
+    event PancakeV3RouterUpdated(
+        address router
+    );
+    
+    // One swap of a route: a V2 router swap along path, or a PancakeSwap V3
+    // swap between the two tokens of path when fee is set
+    struct SwapHop {
+        address router;
+        address[] path;
+        uint24 fee;
+    }
+    
     struct FlashCallbackData {
         address tokenBorrow;
         address tokenPay;
         uint256 amountBorrow;
-        address buyDex;
-        address sellDex;
-        address[] buyPath;
-        address[] sellPath;
+        uint24 poolFee;
+        SwapHop[] hops;
     }
 
     /// @custom:oz-upgrades-unsafe-allow constructor
@@ -210,6 +244,8 @@ contract FlashLoanArbitrage is
      * @param sellDex Address of the DEX to sell to
      * @param buyPath Path for the first swap (usually 2 tokens)
      * @param sellPath Path for the second swap (usually 2 tokens)
+     * @param minProfit Least the contract's tokenBorrow balance must grow by, or the trade reverts
+     * @return profit Growth of the contract's tokenBorrow balance after repaying the loan
      */
     function executeArbitrage(
         address tokenBorrow,
@@ -219,37 +255,108 @@ contract FlashLoanArbitrage is
         address buyDex,
         address sellDex,
         address[] calldata buyPath,
-        address[] calldata sellPath
-    ) external onlyOwner nonReentrant whenNotPaused {
-        require(amountToBorrow > 0, "Amount must be greater than 0");
+        address[] calldata sellPath,
+        uint256 minProfit
+    ) external onlyOwner nonReentrant whenNotPaused returns (uint256 profit) {
         require(buyDex != sellDex, "Buy and sell DEX must be different");
         
+        SwapHop[] memory hops = new SwapHop[](2);
+        hops[0] = SwapHop({ router: buyDex, path: buyPath, fee: 0 });
+        hops[1] = SwapHop({ router: sellDex, path: sellPath, fee: 0 });
+        
+        return _executeFlashArbitrage(tokenBorrow, tokenPay, amountToBorrow, poolFee, hops, minProfit);
+    }
+    
+    /**
+     * @dev Execute a route of swaps with a flash loan. The route starts and ends in
+     * tokenBorrow, and each hop swaps what the previous one received.
+     * @param tokenBorrow Token to borrow via flash loan
+     * @param tokenPay Other token of the flash loan pool
+     * @param amountToBorrow Amount of tokenBorrow to flash loan
+     * @param poolFee Fee tier for the flash loan pool
+     * @param hops Swaps to make, in order
+     * @param minProfit Least the contract's tokenBorrow balance must grow by, or the trade reverts
+     * @return profit Growth of the contract's tokenBorrow balance after repaying the loan
+     */
+    function executeRoute(
+        address tokenBorrow,
+        address tokenPay,
+        uint256 amountToBorrow,
+        uint24 poolFee,
+        SwapHop[] calldata hops,
+        uint256 minProfit
+    ) external onlyOwner nonReentrant whenNotPaused returns (uint256 profit) {
+        require(hops.length >= 2, "Route needs at least two hops");
+        
+        return _executeFlashArbitrage(tokenBorrow, tokenPay, amountToBorrow, poolFee, hops, minProfit);
+    }
+    
+    /**
+     * @dev Take a flash loan, run the route in its callback and check what it left
+     * behind. The loan is repaid out of the contract's balance, so only the growth
+     * of that balance is profit.
+     * @param tokenBorrow Token to borrow
+     * @param tokenPay Other token of the pool
+     * @param amountToBorrow Amount of tokenBorrow to borrow
+     * @param poolFee Fee tier of the pool to borrow from
+     * @param hops Swaps to make, in order
+     * @param minProfit Least the tokenBorrow balance must grow by
+     * @return profit Growth of the contract's tokenBorrow balance
+     */
+    function _executeFlashArbitrage(
+        address tokenBorrow,
+        address tokenPay,
+        uint256 amountToBorrow,
+        uint24 poolFee,
+        SwapHop[] memory hops,
+        uint256 minProfit
+    ) internal returns (uint256 profit) {
+        require(amountToBorrow > 0, "Amount must be greater than 0");
+        
         // Find the appropriate V3 pool for the flash loan
         address poolAddress = pancakeV3Factory.getPool(tokenBorrow, tokenPay, poolFee);
         require(poolAddress != address(0), "Pool not found");
         
         // Prepare callback data
-        FlashCallbackData memory data = FlashCallbackData({
+        bytes memory data = abi.encode(FlashCallbackData({
             tokenBorrow: tokenBorrow,
             tokenPay: tokenPay,
             amountBorrow: amountToBorrow,
-            buyDex: buyDex,
-            sellDex: sellDex,
-            buyPath: buyPath,
-            sellPath: sellPath
-        });
+            poolFee: poolFee,
+            hops: hops
+        }));
         
-        // Determine which amounts to use for the flash loan
-        uint256 amount0 = tokenBorrow < tokenPay ? amountToBorrow : 0;
-        uint256 amount1 = tokenBorrow < tokenPay ? 0 : amountToBorrow;
+        uint256 balanceBefore = IERC20Upgradeable(tokenBorrow).balanceOf(address(this));
         
-        // Execute the flash loan
+        // Borrow tokenBorrow from whichever side of the pool it is on; only that pool may call back
+        activeFlashPool = poolAddress;
         IPancakeV3Pool(poolAddress).flash(
             address(this),
-            amount0,
-            amount1,
-            abi.encode(data)
+            tokenBorrow < tokenPay ? amountToBorrow : 0,
+            tokenBorrow < tokenPay ? 0 : amountToBorrow,
+            data
         );
+        activeFlashPool = address(0);
+        
+        uint256 balanceAfter = IERC20Upgradeable(tokenBorrow).balanceOf(address(this));
+        require(balanceAfter >= balanceBefore + minProfit, "Insufficient profit");
+        profit = balanceAfter - balanceBefore;
+        
+        // Update trade statistics
+        totalTrades++;
+        
+        if (profit > 0) {
+            successfulTrades++;
+            totalProfit += profit;
+            
+            emit ArbitrageExecuted(
+                tokenBorrow,
+                amountToBorrow,
+                profit,
+                hops[0].router,
+                hops[hops.length - 1].router
+            );
+        }
     }
     
     /**
@@ -262,84 +369,75 @@ contract FlashLoanArbitrage is
         uint256 fee0,
         uint256 fee1,
         bytes calldata data
-    ) external nonReentrant {
+    ) external {
+        // Not nonReentrant: the pool calls back while executeArbitrage or executeRoute holds the lock
         FlashCallbackData memory decoded = abi.decode(data, (FlashCallbackData));
         
-        // Verify callback is from the correct pool
+        // Verify callback is from the pool the loan was taken from, in the fee tier it was taken in
         address poolAddress = pancakeV3Factory.getPool(
             decoded.tokenBorrow,
             decoded.tokenPay,
-            POOL_FEE_TIER_LOWEST // Use the fee tier specified during the flash loan
+            decoded.poolFee
         );
-        require(msg.sender == poolAddress, "Unauthorized callback");
+        require(msg.sender == poolAddress && msg.sender == activeFlashPool, "Unauthorized callback");
         
         // Get the effective fee
         uint256 fee = decoded.tokenBorrow < decoded.tokenPay ? fee0 : fee1;
         uint256 amountToRepay = decoded.amountBorrow + fee;
         
-        // Track balances to calculate profit
-        uint256 initialBalance = IERC20Upgradeable(decoded.tokenBorrow).balanceOf(address(this));
-        
         // Execute the arbitrage
-        _executeSwaps(decoded);
-        
-        // Calculate profit
-        uint256 finalBalance = IERC20Upgradeable(decoded.tokenBorrow).balanceOf(address(this));
-        uint256 profit = finalBalance > amountToRepay ? finalBalance - amountToRepay : 0;
+        _executeHops(decoded.tokenBorrow, decoded.amountBorrow, decoded.hops);
         
-        // Repay the flash loan
+        // Repay the flash loan; _executeFlashArbitrage checks what is left
         IERC20Upgradeable(decoded.tokenBorrow).safeTransfer(msg.sender, amountToRepay);
-        
-        // Update trade statistics
-        totalTrades++;
-        
-        if (profit > 0) {
-            successfulTrades++;
-            totalProfit += profit;
-            
-            emit ArbitrageExecuted(
-                decoded.tokenBorrow,
-                decoded.amountBorrow,
-                profit,
-                decoded.buyDex,
-                decoded.sellDex
-            );
-        }
     }
     
     /**
-     * @dev Internal function to execute the swaps for arbitrage
-     * @param data Flash callback data containing swap details
+     * @dev Internal function to execute the swaps of a route
+     * @param tokenBorrow Token the route starts and ends in
+     * @param amountBorrow Amount of tokenBorrow the first hop swaps
+     * @param hops Swaps to make, in order
      */
-    function _executeSwaps(FlashCallbackData memory data) internal {
-        // First approve the DEXes to spend the tokens
-        IERC20Upgradeable(data.tokenBorrow).safeApprove(data.buyDex, 0);
-        IERC20Upgradeable(data.tokenBorrow).safeApprove(data.buyDex, data.amountBorrow);
-        
-        // Get the middleware token (usually the second token in the path)
-        address middlewareToken = data.buyPath[data.buyPath.length - 1];
-        
-        // Execute the first swap (buy)
-        _executeBuySwap(data.buyDex, data.amountBorrow, data.buyPath);
-        
-        // Get the amount received from the first swap
-        uint256 middlewareAmount = IERC20Upgradeable(middlewareToken).balanceOf(address(this));
+    function _executeHops(
+        address tokenBorrow,
+        uint256 amountBorrow,
+        SwapHop[] memory hops
+    ) internal {
+        address tokenIn = tokenBorrow;
+        uint256 amountIn = amountBorrow;
         
-        // Approve the second DEX to spend the middleware token
-        IERC20Upgradeable(middlewareToken).safeApprove(data.sellDex, 0);
-        IERC20Upgradeable(middlewareToken).safeApprove(data.sellDex, middlewareAmount);
+        for (uint256 i = 0; i < hops.length; i++) {
+            SwapHop memory hop = hops[i];
+            require(hop.path.length >= 2 && hop.path[0] == tokenIn, "Hops do not connect");
+            
+            address tokenOut = hop.path[hop.path.length - 1];
+            uint256 balanceBefore = IERC20Upgradeable(tokenOut).balanceOf(address(this));
+            
+            // Approve the DEX to spend the tokens
+            IERC20Upgradeable(tokenIn).safeApprove(hop.router, 0);
+            IERC20Upgradeable(tokenIn).safeApprove(hop.router, amountIn);
+            
+            if (hop.fee == 0) {
+                _executeV2Swap(hop.router, amountIn, hop.path);
+            } else {
+                _executeV3Swap(hop.router, amountIn, hop.path, hop.fee);
+            }
+            
+            // The next hop swaps only what this one received, not tokens the contract already held
+            amountIn = IERC20Upgradeable(tokenOut).balanceOf(address(this)) - balanceBefore;
+            tokenIn = tokenOut;
+        }
         
-        // Execute the second swap (sell)
-        _executeSellSwap(data.sellDex, middlewareAmount, data.sellPath);
+        require(tokenIn == tokenBorrow, "Route must end in the borrowed token");
     }
     
     /**
-     * @dev Execute a swap on the specified DEX with proper slippage control
+     * @dev Execute a swap on a V2 router with proper slippage control
      * @param dexRouter Address of the DEX router
      * @param amountIn Amount to swap
      * @param path Trading path
      */
-    function _executeBuySwap(
+    function _executeV2Swap(
         address dexRouter,
         uint256 amountIn,
         address[] memory path
@@ -373,50 +471,38 @@ contract FlashLoanArbitrage is
                 address(this),
                 block.timestamp + 300
             );
+        } else {
+            revert("Unsupported router");
         }
     }
     
     /**
-     * @dev Execute a sell swap on the specified DEX with proper slippage control
+     * @dev Execute a swap on the PancakeSwap V3 router. No minimum output is set for
+     * the hop: the minProfit check bounds what the whole route may lose.
      * @param dexRouter Address of the DEX router
      * @param amountIn Amount to swap
-     * @param path Trading path
+     * @param path Tokens in and out
+     * @param fee Fee tier of the pool to swap in
      */
-    function _executeSellSwap(
+    function _executeV3Swap(
         address dexRouter,
         uint256 amountIn,
-        address[] memory path
+        address[] memory path,
+        uint24 fee
     ) internal {
-        // Calculate minimum output with appropriate slippage based on the DEX
-        uint256 slippageCap = _getSlippageCapForDex(dexRouter);
-        uint256 amountOutMin = _calculateMinimumOutput(dexRouter, amountIn, path, slippageCap);
-        
-        // Execute the appropriate swap based on the DEX
-        if (dexRouter == address(pancakeV2Router)) {
-            pancakeV2Router.swapExactTokensForTokens(
-                amountIn,
-                amountOutMin,
-                path,
-                address(this),
-                block.timestamp + 300 // 5 minute deadline
-            );
-        } else if (dexRouter == address(apeSwapRouter)) {
-            apeSwapRouter.swapExactTokensForTokens(
-                amountIn,
-                amountOutMin,
-                path,
-                address(this),
-                block.timestamp + 300
-            );
-        } else if (dexRouter == address(biSwapRouter)) {
-            biSwapRouter.swapExactTokensForTokens(
-                amountIn,
-                amountOutMin,
-                path,
-                address(this),
-                block.timestamp + 300
-            );
-        }
+        require(dexRouter != address(0) && dexRouter == address(pancakeV3Router), "Unsupported router");
+        require(path.length == 2, "V3 hops swap between two tokens");
+        
+        pancakeV3Router.exactInputSingle(IPancakeV3SwapRouter.ExactInputSingleParams({
+            tokenIn: path[0],
+            tokenOut: path[1],
+            fee: fee,
+            recipient: address(this),
+            deadline: block.timestamp + 300,
+            amountIn: amountIn,
+            amountOutMinimum: 0,
+            sqrtPriceLimitX96: 0
+        }));
     }
     
     /**
@@ -530,6 +616,16 @@ contract FlashLoanArbitrage is
         emit SlippageCapUpdated(dex, slippageCapBps);
     }
     
+    /**
+     * @dev Set the PancakeSwap V3 router that V3 hops swap through
+     * @param router Address of the PancakeSwap V3 SwapRouter
+     */
+    function setPancakeV3Router(address router) external onlyOwner {
+        pancakeV3Router = IPancakeV3SwapRouter(router);
+        
+        emit PancakeV3RouterUpdated(router);
+    }
+    
     /**
      * @dev Update MEV protection settings
      * @param enabled Whether MEV protection is enabled
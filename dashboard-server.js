@@ -4,6 +4,7 @@ const logger = require('./src/utils/logger');
 const dashboardServer = require('./src/dashboard/server');
 const priceService = require('./src/dashboard/priceService');
 const config = require('./src/config');
+const registry = require('./src/registry/registry');
 
 // Ensure we're using real blockchain data 
 process.env.USE_SIMULATED_DATA = 'false';
@@ -39,6 +40,9 @@ logger.info('Dashboard will use real blockchain data for price updates');
 // Start the dashboard server
 logger.info('Starting Flash Loan Arbitrage Bot Dashboard');
 
+// Pick up token and pair edits without restarting the dashboard
+registry.watch();
+
 // Initialize price service
 (async () => {
   try {
@@ -8,27 +8,19 @@ const { createProviderAndWallet, createWebSocketProvider } = require('./src/prov
 const OpportunityFinder = require('./src/arbitrage/opportunities');
 const ArbitrageCalculator = require('./src/arbitrage/calculator');
 const FlashLoanExecutor = require('./src/flashloan/executor');
+const PoolStateCache = require('./src/dex/poolStateCache');
+const PairDiscovery = require('./src/arbitrage/pairDiscovery');
 const MevProtection = require('./src/mev/protection');
 const MevStrategies = require('./src/mev/strategies');
 const performanceTracker = require('./src/dashboard/tracker');
 const config = require('./src/config');
 const safetyManager = require('./src/utils/safetyManager');
-
-// ======== DEPLOYED CONTRACT CONFIGURATION ========
-// FlashLoanArbitrage contract configuration
-const DEPLOYED_CONTRACT = {
-  // Set to true to enable contract integration
-  IS_DEPLOYED: true,
-  
-  // Our deployed FlashLoanArbitrage_Flattened contract address on BNB mainnet
-  ADDRESS: "0x43c006f6e8B7e81f64f2cba0f2a320875feF8c90",
-  
-  // The BNB Chain network (56 for mainnet, 97 for testnet)
-  NETWORK_ID: 56, // BNB Chain Mainnet
-  
-  // ABI will be loaded dynamically from the compiled contract
-  ABI: null,
-};
+const registry = require('./src/registry/registry');
+const opportunityTracker = require('./src/arbitrage/opportunityTracker');
+const OpportunityQueue = require('./src/arbitrage/opportunityQueue');
+const tokenMetadata = require('./src/utils/tokenMetadata');
+const gasEstimator = require('./src/flashloan/gasEstimator');
+const priceOracle = require('./src/utils/priceOracle');
 
 // Initialize components
 logger.info('Starting Flash Loan Arbitrage Bot on BNB Chain...');
@@ -121,40 +113,62 @@ async function initialize() {
     const dexes = {
       'PancakeSwap V2': { name: 'PancakeSwap V2', address: config.addresses.pancakeswapV2.router },
       'PancakeSwap V3': { name: 'PancakeSwap V3', address: config.addresses.pancakeswapV3.router },
-      'ApeSwap': { name: 'ApeSwap', address: config.addresses.apeswap.router }
+      'ApeSwap': { name: 'ApeSwap', address: config.addresses.apeswap.router },
+      'BiSwap': { name: 'BiSwap', address: config.addresses.biswap.router }
     };
     
+    // Reload tokens and pairs when registry.json changes
+    registry.watch();
+    
+    // Read decimals of the configured tokens up front; the registry's values are used until they load
+    tokenMetadata.setProvider(provider);
+    await tokenMetadata.loadAll(Object.values(config.TOKENS)).catch(error => {
+      logger.warn(`Could not load token metadata: ${error.message}`);
+    });
+    
+    // Profits, thresholds and gas are valued in USD from on-chain pool prices
+    priceOracle.setProvider(provider);
+    await priceOracle.refresh(null, { force: true });
+    
+    // Gas is estimated from the owner account, since executeRoute is owner-only
+    gasEstimator.setProvider(provider, wallet.address);
+    
     // Initialize core components
     const opportunityFinder = new OpportunityFinder(provider);
     const arbitrageCalculator = new ArbitrageCalculator(provider);
     const flashLoanExecutor = new FlashLoanExecutor(wallet);
     const mevProtection = new MevProtection(provider, wallet);
+    const opportunityQueue = new OpportunityQueue({
+      valueInBnb: (amount, token) => opportunityFinder.valueInBnb(amount, token)
+    });
     
-    // Connect to deployed contract if available
-    let flashLoanContract = null;
-    if (DEPLOYED_CONTRACT.IS_DEPLOYED && DEPLOYED_CONTRACT.ADDRESS) {
+    // Keep pool state current from Sync/Swap logs so each cycle reads prices from memory
+    // The simulator does not emit contract logs, so polling is kept in that mode
+    let poolStateCache = null;
+    if (!usingSimulator) {
       try {
-        // Load the contract ABI from the JSON file if not already loaded
-        if (!DEPLOYED_CONTRACT.ABI) {
-          const contractAbi = require('./src/abis/FlashLoan.json');
-          DEPLOYED_CONTRACT.ABI = contractAbi;
-        }
-        
-        // Create contract instance
-        flashLoanContract = new ethers.Contract(
-          DEPLOYED_CONTRACT.ADDRESS,
-          DEPLOYED_CONTRACT.ABI,
-          wallet
-        );
-        
-        logger.info(`Connected to deployed FlashLoanArbitrage contract at ${DEPLOYED_CONTRACT.ADDRESS}`);
-        
-        // Store contract address in environment for dashboard access
-        process.env.CONTRACT_ADDRESS = DEPLOYED_CONTRACT.ADDRESS;
+        poolStateCache = new PoolStateCache(provider, createWebSocketProvider() || provider);
+        await opportunityFinder.watchPools(poolStateCache);
       } catch (error) {
-        logger.error(`Failed to connect to deployed contract: ${error.message}`);
-        logger.warn('Bot will run without direct contract integration');
+        logger.error(`Failed to start pool state cache: ${error.message}`);
+        logger.warn('Falling back to polling prices on every cycle');
+        poolStateCache = null;
       }
+    }
+    
+    // Grow the monitored pair set from the DEX factories
+    let pairDiscovery = null;
+    if (!usingSimulator && config.discovery.enabled) {
+      pairDiscovery = new PairDiscovery(provider, opportunityFinder);
+      await pairDiscovery.start();
+    }
+    
+    // Arbitrage is executed through the deployed FlashLoanArbitrage contract
+    if (config.flashLoan.contractAddress) {
+      logger.info(`Executing arbitrage through the FlashLoanArbitrage contract at ${config.flashLoan.contractAddress}`);
+      
+      // Store contract address in environment for dashboard access
+      process.env.CONTRACT_ADDRESS = config.flashLoan.contractAddress;
     } else {
       logger.info('No deployed contract configured. Bot will run in monitoring mode only.');
     }
@@ -196,7 +210,10 @@ async function initialize() {
       arbitrageCalculator,
       flashLoanExecutor,
       mevProtection,
-      mevStrategies
+      mevStrategies,
+      opportunityQueue,
+      poolStateCache,
+      pairDiscovery
     };
   } catch (error) {
     logger.error(`Initialization failed: ${error.message}`);
@@ -211,7 +228,9 @@ async function monitorAndExecute(components) {
     arbitrageCalculator, 
     flashLoanExecutor, 
     mevProtection, 
-    mevStrategies 
+    mevStrategies,
+    opportunityQueue,
+    poolStateCache
   } = components;
   
   // Store some statistics for logging
@@ -220,7 +239,9 @@ async function monitorAndExecute(components) {
     profitableOpportunities: 0,
     executedArbitrages: 0,
     failedArbitrages: 0,
+    preflightAborts: 0,
     totalProfit: ethers.BigNumber.from(0),
+    totalProfitUsd: 0,
     mevStats: {
       backrunsDetected: 0,
       sandwichesDetected: 0,
@@ -233,99 +254,149 @@ async function monitorAndExecute(components) {
   
   while (true) {
     try {
-      // Log ALL PAIR PRICES directly from token pairs
+      // Block this cycle reads prices at
+      const blockNumber = await provider.getBlockNumber().catch(() => null);
+      
+      // Re-read all watched pools at this block in one multicall, in case a log was missed
+      if (poolStateCache && blockNumber) {
+        await poolStateCache.refresh(blockNumber);
+      }
+      
+      // Keep USD prices fresh, since profits valued with stale ones are rejected
+      await priceOracle.refresh(blockNumber);
+      
+      // Find potential arbitrage opportunities
+      const detected = await opportunityFinder.findOpportunities(blockNumber);
+      
+      // Log ALL PAIR PRICES, as read by findOpportunities for this block
       logger.info('==========================================');
       logger.info('             ALL PAIR PRICES             ');
       logger.info('==========================================');
       
-      // Get the tokenPairs from opportunityFinder
-      const tokenPairs = opportunityFinder.getPairs ? 
-                        await opportunityFinder.getPairs() : 
-                        opportunityFinder.tokenPairs || [];
-      
-      for (const pair of tokenPairs) {
-        try {
-          const prices = await opportunityFinder.getPricesForPair(pair.tokenA, pair.tokenB);
-          logger.info(`\n===== ${pair.name} =====`);
-          
-          if (prices && prices.length > 0) {
-            prices.forEach(price => {
-              if (price && price.price) {
-                logger.info(`${price.dex}: ${price.price.toString()} (Fee: ${price.fee || 'N/A'}%)`);
-              } else {
-                logger.info(`${price.dex}: N/A`);
-              }
-            });
-          } else {
-            logger.info('No prices available');
-          }
-        } catch (error) {
-          logger.error(`Error getting prices for ${pair.name}: ${error.message}`);
+      for (const { pair, priceData } of opportunityFinder.latestPriceData) {
+        const { prices } = priceData;
+        logger.info(`\n===== ${pair.name} =====`);
+        
+        if (prices && prices.length > 0) {
+          prices.forEach(price => {
+            if (price && price.price) {
+              logger.info(`${price.dex}: ${formatEther(price.price)} (Fee: ${price.feePercentage ?? 'N/A'}%)`);
+            } else {
+              logger.info(`${price.dex}: N/A`);
+            }
+          });
+        } else {
+          logger.info('No prices available');
         }
       }
       logger.info('==========================================\n');
       
-      // Find potential arbitrage opportunities
-      const opportunities = await opportunityFinder.findOpportunities();
+      // Opportunities already evaluated at the same spread are not evaluated again
+      const opportunities = opportunityTracker.observe(detected, blockNumber);
       
       if (opportunities.length === 0) {
-        logger.debug('No arbitrage opportunities found in this cycle');
+        logger.debug(detected.length === 0
+          ? 'No arbitrage opportunities found in this cycle'
+          : `No new arbitrage opportunities in this cycle (${detected.length} unchanged)`);
       } else {
         stats.totalOpportunities += opportunities.length;
         logger.info(`Found ${opportunities.length} potential arbitrage opportunities`);
         
-        // For each opportunity, calculate profit and execute if profitable
+        // Calculate expected profit of every opportunity considering all costs
         for (const opportunity of opportunities) {
-          // Calculate expected profit considering all costs
-          const { isProfitable, profit, flashLoanAmount, route, tokens } = 
-            await arbitrageCalculator.calculateProfit(opportunity);
+          const evaluation = await arbitrageCalculator.calculateProfit(opportunity);
+          opportunityTracker.markEvaluated(opportunity, evaluation, blockNumber);
           
-          if (isProfitable) {
+          if (evaluation.isProfitable) {
             stats.profitableOpportunities++;
-            logger.info(`Found profitable arbitrage opportunity:`);
-            logger.info(`Route: ${route.join(' -> ')}`);
-            logger.info(`Expected profit: ${formatEther(profit)} BNB`);
-            logger.info(`Flash loan amount: ${formatEther(flashLoanAmount)} BNB`);
-            
-            // Apply MEV protection to avoid front-running
-            const protectedParams = await mevProtection.protectTransaction({
-              ...opportunity,
-              flashLoanAmount,
-              route,
-              tokens
-            });
-            
-            // Execute flash loan and arbitrage
-            const txResult = await flashLoanExecutor.execute(
-              tokens,
-              flashLoanAmount,
-              route,
-              protectedParams
-            );
+            opportunityQueue.push(opportunity, evaluation);
+          } else {
+            logger.debug(`Opportunity not profitable after costs: ${evaluation.route?.join(' -> ')}`);
+            opportunityTracker.markSkipped(opportunity, evaluation.reason || 'not profitable after costs', blockNumber);
+          }
+        }
+        
+        // Execute the best-scored opportunities first, never two in the same pool per block
+        const { selected, deferred } = opportunityQueue.selectBatch(blockNumber);
+        
+        for (const entry of deferred) {
+          opportunityTracker.markSkipped(entry.opportunity, entry.reason, blockNumber);
+        }
+        
+        for (const { opportunity, evaluation, score } of selected) {
+          const { profit, flashLoanAmount, route, tokens } = evaluation;
+          
+          logger.info(`Found profitable arbitrage opportunity:`);
+          logger.info(`Route: ${route.join(' -> ')}`);
+          logger.info(`Net profit: ${tokenMetadata.format(profit, tokens.baseToken)} ${tokenMetadata.getSymbol(tokens.baseToken)} ($${evaluation.profitUsd.toFixed(2)}, score ${score.toFixed(6)})`);
+          logger.info(`Risk-adjusted profit: $${evaluation.expectedProfitUsd.toFixed(2)} (${(evaluation.survival.probability * 100).toFixed(1)}% chance the spread survives)`);
+          logger.info(`Flash loan amount: ${tokenMetadata.format(flashLoanAmount, tokens.baseToken)} ${tokenMetadata.getSymbol(tokens.baseToken)}`);
+          
+          // Apply MEV protection to avoid front-running
+          const protectedParams = await mevProtection.protectTransaction({
+            ...opportunity,
+            flashLoanAmount,
+            route,
+            tokens,
+            gasLimit: evaluation.gasLimit
+          });
+          
+          // Execute flash loan and arbitrage
+          const txResult = await flashLoanExecutor.execute(
+            tokens,
+            flashLoanAmount,
+            route,
+            protectedParams,
+            evaluation
+          );
+          opportunityTracker.markExecuted(opportunity, txResult, blockNumber);
+          
+          // The executor reports realised profit in BNB, null when it could not be measured;
+          // trades aborted before broadcast were never executed
+          const profitBnb = txResult.actualProfit || null;
+          if (!txResult.preflightFailed && !txResult.skipped && !txResult.simulated) {
+            performanceTracker.recordArbitrageExecution({ ...txResult, route, profitBnb });
+          }
+          
+          if (txResult.success) {
+            stats.executedArbitrages++;
+            logger.info(`Arbitrage executed successfully: ${txResult.txHash}`);
             
-            if (txResult.success) {
-              stats.executedArbitrages++;
-              stats.totalProfit = stats.totalProfit.add(txResult.actualProfit || profit);
+            if (profitBnb) {
+              const profitUsd = priceOracle.bnbToUsd(profitBnb);
               
-              logger.info(`Arbitrage executed successfully: ${txResult.txHash}`);
-              logger.info(`Actual profit: ${formatEther(txResult.actualProfit || profit)} BNB`);
+              stats.totalProfit = stats.totalProfit.add(profitBnb);
+              stats.totalProfitUsd += profitUsd || 0;
               
-              // Log cumulative stats every 5 successful arbitrages
-              if (stats.executedArbitrages % 5 === 0) {
-                logger.info(`===== ARBITRAGE STATS =====`);
-                logger.info(`Total opportunities found: ${stats.totalOpportunities}`);
-                logger.info(`Profitable opportunities: ${stats.profitableOpportunities}`);
-                logger.info(`Successfully executed: ${stats.executedArbitrages}`);
-                logger.info(`Failed executions: ${stats.failedArbitrages}`);
-                logger.info(`Total profit: ${formatEther(stats.totalProfit)} BNB`);
-                logger.info(`===========================`);
-              }
+              logger.info(`Actual profit: ${formatEther(profitBnb)} BNB${profitUsd !== null ? ` ($${profitUsd.toFixed(2)})` : ''}`);
             } else {
-              stats.failedArbitrages++;
-              logger.error(`Arbitrage execution failed: ${txResult.error}`);
+              logger.warn('Actual profit could not be measured, leaving it out of the totals');
+            }
+            
+            // Log cumulative stats every 5 successful arbitrages
+            if (stats.executedArbitrages % 5 === 0) {
+              logger.info(`===== ARBITRAGE STATS =====`);
+              logger.info(`Total opportunities found: ${stats.totalOpportunities}`);
+              logger.info(`Profitable opportunities: ${stats.profitableOpportunities}`);
+              logger.info(`Successfully executed: ${stats.executedArbitrages}`);
+              logger.info(`Failed executions: ${stats.failedArbitrages}`);
+              logger.info(`Aborted by pre-flight simulation: ${stats.preflightAborts}`);
+              logger.info(`Total profit: ${formatEther(stats.totalProfit)} BNB ($${stats.totalProfitUsd.toFixed(2)})`);
+              logger.info(`===========================`);
             }
+          } else if (txResult.preflightFailed) {
+            // Nothing was broadcast, so no gas was spent
+            stats.preflightAborts++;
+            logger.warn(`Arbitrage aborted before broadcast: ${txResult.error}`);
+          } else if (txResult.simulated) {
+            // No contract is configured, so the trade was only simulated
+            logger.info(`Arbitrage simulated, not sent: ${txResult.error}`);
+          } else if (txResult.skipped) {
+            // Refused by the executor's checks before anything was sent
+            logger.warn(`Arbitrage skipped: ${txResult.error}`);
           } else {
-            logger.debug(`Opportunity not profitable after costs: ${route?.join(' -> ')}`);
+            stats.failedArbitrages++;
+            logger.error(`Arbitrage execution failed: ${txResult.error}`);
           }
         }
       }
@@ -444,11 +515,19 @@ async function monitorAndExecute(components) {
         logger.error(`Error monitoring network conditions: ${gasError.message}`);
       }
       
-      // Wait for next cycle
-      await sleep(config.MONITORING_INTERVAL);
+      // Wait for the next pool state change, falling back to the update interval
+      // so network monitoring keeps running when no swaps happen
+      if (poolStateCache) {
+        const change = await poolStateCache.waitForChange(config.monitoring.updateInterval);
+        if (change) {
+          logger.debug(`${change.pools.length} watched pools changed in block ${change.blockNumber}`);
+        }
+      } else {
+        await sleep(config.monitoring.updateInterval);
+      }
     } catch (error) {
       logger.error(`Error in monitoring cycle: ${error.message}`);
-      await sleep(config.ERROR_RETRY_INTERVAL);
+      await sleep(config.monitoring.updateInterval);
     }
   }
 }
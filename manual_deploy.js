@@ -10,7 +10,7 @@ require('dotenv').config();
 const contractAbi = [
   "function initialize(address _pancakeV3Factory, address _pancakeV2Router, address _apeSwapRouter, address _biSwapRouter) external",
   "function owner() external view returns (address)",
-  "function executeArbitrage(address tokenBorrow, address tokenPay, uint256 amountToBorrow, uint24 poolFee, address buyDex, address sellDex, address[] calldata buyPath, address[] calldata sellPath) external"
+  "function executeArbitrage(address tokenBorrow, address tokenPay, uint256 amountToBorrow, uint24 poolFee, address buyDex, address sellDex, address[] calldata buyPath, address[] calldata sellPath, uint256 minProfit) external returns (uint256 profit)"
 ]; 
 
 // Get configuration from environment
@@ -8,9 +8,18 @@ const {
   formatEther
 } = require('../utils/helpers');
 const { calculateOptimalFlashLoanSize } = require('../utils/advancedSizing');
+const priceHistoryStore = require('./priceHistoryStore');
+const tokenMetadata = require('../utils/tokenMetadata');
 const config = require('../config');
 const logger = require('../utils/logger');
 const PancakeswapV3 = require('../dex/pancakeswapV3');
+const gasEstimator = require('../flashloan/gasEstimator');
+const FlashSources = require('../flashloan/flashSources');
+const priceOracle = require('../utils/priceOracle');
+const { buildArbitrageTransaction } = require('../flashloan/arbitrageContract');
+const { buildPairBreakdown, buildRouteBreakdown, formatBreakdown } = require('./profitBreakdown');
+const spreadSurvival = require('./spreadSurvival');
+const { getPoolReserves, feePercentageToPpm, getAmountOut, getOptimalAmountIn, findOptimalAmountIn } = require('../utils/ammMath');
 
 /**
  * Private helper method for calculating optimal flash loan size 
@@ -75,10 +84,10 @@ class ArbitrageCalculator {
   constructor(provider) {
     this.provider = provider;
     this.pancakeV3 = new PancakeswapV3(provider);
+    this.flashSources = new FlashSources(this.pancakeV3);
     
-    // Minimum profit threshold in BNB (default: 0.005 BNB ~= $3 USD)
-    const minProfitBNB = config.ARBITRAGE?.MIN_PROFIT_BNB || config.arbitrage?.minProfitUsd ? (config.arbitrage.minProfitUsd / 600).toString() : '0.005';
-    this.minProfitBNB = ethers.utils.parseEther(minProfitBNB);
+    // Minimum profit in USD, checked against on-chain prices when a trade is valued
+    this.minProfitUsd = config.arbitrage.minProfitUsd;
     
     // Profit threshold multiplier (profit must be X times the cost)
     // Convert the multiplier to basis points (e.g., 1.5 -> 150) to avoid using floating point with BigNumber
@@ -90,27 +99,68 @@ class ArbitrageCalculator {
   }
   
   /**
-   * Calculate potential profit for an arbitrage opportunity
+   * Calculate potential profit for an arbitrage opportunity. A pair opportunity
+   * is evaluated borrowing either of its tokens, and the direction with the
+   * highest expected profit in USD is returned.
    * @param {Object} opportunity - Arbitrage opportunity
    * @returns {Promise<Object>} - Profit calculation result
    */
   async calculateProfit(opportunity) {
+    // Multi-hop routes carry their own hop list instead of a buy/sell pair
+    if (opportunity.type === 'triangular') {
+      return this.calculateRouteProfit(opportunity);
+    }
+    
+    // One at a time, so each direction's quotes are not raced against the other's
+    const evaluations = [];
+    for (const direction of [opportunity, this.reverseOpportunity(opportunity)]) {
+      evaluations.push(await this.calculateDirectionProfit(direction));
+    }
+    
+    // A profitable direction beats one that is not; otherwise compare in USD, since the profits are in different tokens
+    const [forward, reverse] = evaluations;
+    const reverseIsBetter = reverse.isProfitable !== forward.isProfitable
+      ? reverse.isProfitable
+      : (reverse.expectedProfitUsd ?? -Infinity) > (forward.expectedProfitUsd ?? -Infinity);
+    const best = reverseIsBetter ? reverse : forward;
+    
+    if (forward.expectedProfitUsd !== undefined && reverse.expectedProfitUsd !== undefined) {
+      logger.debug(`${opportunity.pair.name}: borrowing ${tokenMetadata.getSymbol(opportunity.pair.token1)} is expected to net $${forward.expectedProfitUsd.toFixed(2)}, borrowing ${tokenMetadata.getSymbol(opportunity.pair.token2)} $${reverse.expectedProfitUsd.toFixed(2)}`);
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Calculate the profit of a pair opportunity borrowing its token1: token2 is
+   * bought on the buy leg and sold back on the sell leg
+   * @param {Object} opportunity - Pair opportunity, oriented to the token borrowed
+   * @returns {Promise<Object>} - Profit calculation result
+   * @private
+   */
+  async calculateDirectionProfit(opportunity) {
     try {
       const { pair, buy, sell } = opportunity;
       const { token1, token2 } = pair;
       
-      // Determine which token to flash loan (usually the base token)
-      const baseToken = token1; // For simplicity, use token1 as base
+      // The flash loan is taken in token1 of the orientation being evaluated
+      const baseToken = token1;
       const quoteToken = token2;
       
-      // Find the best pool for flash loan
-      const flashLoanPool = await this.pancakeV3.getBestFlashLoanPool(baseToken);
-      
-      if (!flashLoanPool) {
-        logger.warn(`No suitable flash loan pool found for ${baseToken}`);
+      // Every source the base token can be borrowed from, outside the pools the trade swaps through
+      const flashSources = await this.flashSources.getSources(baseToken, {
+        exclude: [buy, sell].map(leg => ({
+          dex: leg.dex,
+          tokens: [baseToken, quoteToken],
+          address: leg.liquidity?.poolAddress || leg.liquidity?.pairAddress
+        }))
+      });
+      
+      if (flashSources.length === 0) {
+        logger.warn(`No suitable flash loan source found for ${baseToken}`);
         return {
           isProfitable: false,
-          reason: 'No suitable flash loan pool'
+          reason: 'No suitable flash loan source'
         };
       }
       
@@ -138,132 +188,133 @@ class ArbitrageCalculator {
         logger.warn(`Error fetching DEX liquidity: ${error.message}`);
       }
       
-      // Calculate maximum flash loan amount based on pool liquidity
-      const tokenBalance = baseToken === flashLoanPool.token0 
-        ? flashLoanPool.balance0 
-        : flashLoanPool.balance1;
-      
-      // Add flash loan pool liquidity to DEX liquidities
-      dexLiquidities['pancakeswapv3'] = tokenBalance;
+      // Detection caps the size in base token units
+      const sizeCap = opportunity.sizing?.maxAmountIn;
+      const largestSource = this.flashSources.select(flashSources, ethers.constants.MaxUint256);
       
-      // Calculate optimal flash loan amount based on DEX liquidities using the advanced model
-      // This considers liquidity, spread, volatility, and gas price
-      let flashLoanAmount;
+      // Size the trade where profit after the flash loan fee peaks; gas is a fixed cost and does not move the peak
+      let flashSource = flashSources[0];
+      let flashLoanAmount = null;
       try {
-        // Calculate the price spread for use in sizing algorithm
-        const buyPrice = 1 / parseFloat(buy.price);
-        const sellPrice = parseFloat(sell.price);
-        const spread = Math.abs((sellPrice - buyPrice) / buyPrice);
+        // Solve at the cheapest fee first; if the cheapest source cannot lend that size, solve again for the one that can
+        let optimal = await this.findOptimalSize(opportunity, flashSource.feePpm, this.getMaxFlashLoanAmount(largestSource, sizeCap));
+        const selected = this.flashSources.select(flashSources, optimal.amountIn);
         
-        // Get current gas price
-        const gasPrice = await getSafeGasPrice(this.provider);
+        if (selected !== flashSource) {
+          flashSource = selected;
+          optimal = await this.findOptimalSize(opportunity, flashSource.feePpm, this.getMaxFlashLoanAmount(flashSource, sizeCap));
+        }
         
-        // Use the advanced sizing algorithm
-        flashLoanAmount = calculateOptimalFlashLoanSize(dexLiquidities, spread, {
-          gasPrice,
-          baseToken,
-          quoteToken,
-          // Include recent price history if available
-          priceHistory: opportunity.priceHistory || []
-        });
+        if (optimal.amountIn.isZero()) {
+          logger.debug(`No ${pair.name} trade size between ${buy.dex} and ${sell.dex} is profitable after the flash loan fee`);
+          return {
+            isProfitable: false,
+            reason: 'No trade size is profitable after the flash loan fee'
+          };
+        }
         
-        logger.info(`Using advanced optimal flash loan size of ${formatEther(flashLoanAmount)} BNB based on comprehensive analysis (spread: ${(spread * 100).toFixed(4)}%)`);
+        flashLoanAmount = optimal.amountIn;
+        logger.info(`Using ${optimal.method} optimal flash loan size of ${tokenMetadata.format(flashLoanAmount, baseToken)} ${tokenMetadata.getSymbol(baseToken)}`);
       } catch (error) {
-        // If there's an error with the advanced calculation, fall back to legacy approach
+        logger.warn(`Error solving optimal trade size for ${pair.name}, falling back to heuristic sizing: ${error.message}`);
+      }
+      
+      // The heuristic models know the flash loan pool's liquidity as PancakeSwap V3's
+      dexLiquidities['pancakeswapv3'] = flashSource.balance;
+      
+      // Heuristic sizing, only used when the solver failed
+      if (!flashLoanAmount && opportunity.sizing && opportunity.sizing.amountIn.gt(0)) {
+        // Detection already solved for the most profitable size from pool reserves
+        flashLoanAmount = opportunity.sizing.amountIn;
+        logger.info(`Using reserve-based optimal flash loan size of ${tokenMetadata.format(flashLoanAmount, baseToken)} ${tokenMetadata.getSymbol(baseToken)} (expected value ${tokenMetadata.format(opportunity.sizing.expectedValue, baseToken)})`);
+      } else if (!flashLoanAmount) {
+        // Calculate optimal flash loan amount based on DEX liquidities using the advanced model
+        // This considers liquidity, spread, volatility, and gas price
         try {
-          flashLoanAmount = determineOptimalFlashLoanSize(dexLiquidities);
-          logger.warn(`Falling back to legacy optimal sizing: ${formatEther(flashLoanAmount)} BNB (error with advanced sizing: ${error.message})`);
-        } catch (fallbackError) {
-          // If even the legacy approach fails, use a very conservative size
-          const maxFlashLoanAmount = calculateMaxFlashLoanAmount(tokenBalance);
-          flashLoanAmount = maxFlashLoanAmount.div(100);
-          logger.warn(`Falling back to ultra-conservative flash loan size: ${formatEther(flashLoanAmount)} BNB (multiple sizing errors)`);
+          // Calculate the price spread for use in sizing algorithm
+          const buyPrice = 1 / parseFloat(buy.price);
+          const sellPrice = parseFloat(sell.price);
+          const spread = Math.abs((sellPrice - buyPrice) / buyPrice);
+          
+          // Get current gas price
+          const gasPrice = await getSafeGasPrice(this.provider);
+          
+          // Use the advanced sizing algorithm
+          flashLoanAmount = calculateOptimalFlashLoanSize(dexLiquidities, spread, {
+            gasPrice,
+            baseToken,
+            quoteToken,
+            // Rolling volatility from the persisted history, with recent prices as a fallback
+            volatility: priceHistoryStore.getVolatility(opportunity.pair.name) ?? undefined,
+            priceHistory: opportunity.priceHistory || []
+          });
+          
+          logger.info(`Using advanced optimal flash loan size of ${tokenMetadata.format(flashLoanAmount, baseToken)} ${tokenMetadata.getSymbol(baseToken)} based on comprehensive analysis (spread: ${(spread * 100).toFixed(4)}%)`);
+        } catch (error) {
+          // If there's an error with the advanced calculation, fall back to legacy approach
+          try {
+            flashLoanAmount = determineOptimalFlashLoanSize(dexLiquidities);
+            logger.warn(`Falling back to legacy optimal sizing: ${tokenMetadata.format(flashLoanAmount, baseToken)} ${tokenMetadata.getSymbol(baseToken)} (error with advanced sizing: ${error.message})`);
+          } catch (fallbackError) {
+            // If even the legacy approach fails, use a very conservative size
+            flashLoanAmount = this.getMaxFlashLoanAmount(flashSource, sizeCap).div(100);
+            logger.warn(`Falling back to ultra-conservative flash loan size: ${tokenMetadata.format(flashLoanAmount, baseToken)} ${tokenMetadata.getSymbol(baseToken)} (multiple sizing errors)`);
+          }
         }
       }
       
+      // Borrow from the cheapest source that can lend the size, trimming the size if none can
+      flashSource = this.flashSources.select(flashSources, flashLoanAmount);
+      if (flashLoanAmount.gt(flashSource.available)) {
+        flashLoanAmount = flashSource.available;
+      }
+      
       // Calculate flash loan fee
-      const flashLoanFee = this.pancakeV3.calculateFlashLoanFee(
-        flashLoanAmount,
-        flashLoanPool.fee
-      );
+      const flashLoanFee = this.flashSources.getFee(flashSource, flashLoanAmount);
+      
+      // Fee tiers of V3 legs, shared by the quotes and the contract call
+      const buyFeeTier = buy.type === 'v3' ? await this.getLegFeeTier(buy, baseToken, quoteToken) : null;
+      const sellFeeTier = sell.type === 'v3' ? await this.getLegFeeTier(sell, quoteToken, baseToken) : null;
       
       // Calculate expected output from first swap (buy)
       const buyAmount = flashLoanAmount;
       let buyOutput;
       
-      // Apply dynamic slippage based on pool liquidity
-      let adjustedBuyAmount = buyAmount;
-      if (buy.dex && buy.dex.toLowerCase() in dexLiquidities) {
-        let buyDexLiquidity = dexLiquidities[buy.dex.toLowerCase()];
-        if (!buyDexLiquidity.isZero()) {
-          // Use dynamic slippage calculation for buy transactions
-          adjustedBuyAmount = applyDynamicSlippage(
-            buyAmount,
-            buyDexLiquidity,
-            buy.dex,
-            false // false = increase amount for slippage on buy
-          );
-          
-          logger.debug(`Applied dynamic buy slippage for ${buy.dex}: ${formatEther(buyAmount)} → ${formatEther(adjustedBuyAmount)}`);
-        }
-      }
-
       if (buy.type === 'v2') {
         // For ApeSwap, we have a consistent 0.3% fee for all pairs
         // For PancakeSwap V2, the fee is also 0.3%
-        buyOutput = await buy.instance.getAmountOut(adjustedBuyAmount, baseToken, quoteToken);
+        // BiSwap quotes with the pair's own swapFee, which varies between pairs
+        buyOutput = await buy.instance.getAmountOut(buyAmount, baseToken, quoteToken);
       } else if (buy.type === 'v3') {
         // For V3, we need to include the fee
-        const bestPool = await this.pancakeV3.getBestPool(baseToken, quoteToken);
         buyOutput = await this.pancakeV3.getAmountOut(
-          adjustedBuyAmount,
+          buyAmount,
           baseToken,
           quoteToken,
-          bestPool.fee
+          buyFeeTier
         );
       }
       
       // Calculate expected output from second swap (sell)
       let sellOutput;
       
-      // Apply dynamic slippage for sell transaction
-      let minAcceptedOutput = buyOutput;
-      if (sell.dex && sell.dex.toLowerCase() in dexLiquidities) {
-        let sellDexLiquidity = dexLiquidities[sell.dex.toLowerCase()];
-        if (!sellDexLiquidity.isZero()) {
-          // Apply slippage to the minimum output we'll accept (true = reduce for minimum out)
-          minAcceptedOutput = applyDynamicSlippage(
-            buyOutput,
-            sellDexLiquidity,
-            sell.dex,
-            true // true means we reduce the amount for slippage on sell
-          );
-          
-          logger.debug(`Applied dynamic sell slippage for ${sell.dex}: expect at least ${formatEther(minAcceptedOutput)} output from ${formatEther(buyOutput)} input`);
-        }
-      }
-      
       if (sell.type === 'v2') {
         // For ApeSwap, we have a consistent 0.3% fee for all pairs
         // For PancakeSwap V2, the fee is also 0.3%
+        // BiSwap quotes with the pair's own swapFee, which varies between pairs
         sellOutput = await sell.instance.getAmountOut(buyOutput, quoteToken, baseToken);
       } else if (sell.type === 'v3') {
         // For V3, we need to include the fee
-        const bestPool = await this.pancakeV3.getBestPool(quoteToken, baseToken);
         sellOutput = await this.pancakeV3.getAmountOut(
           buyOutput,
           quoteToken,
           baseToken,
-          bestPool.fee
+          sellFeeTier
         );
       }
       
-      // Check if sell output meets our minimum expectations
-      if (sellOutput.lt(minAcceptedOutput) && sell.dex && sell.dex.toLowerCase() in dexLiquidities) {
-        logger.debug(`Expected output ${formatEther(sellOutput)} is lower than minimum accepted ${formatEther(minAcceptedOutput)}`);
-        // Adjust the expected output to account for slippage in real execution
-        sellOutput = minAcceptedOutput;
-      }
+      // Output the trade could lose to slippage before it executes, shown in the breakdown
+      const slippageBuffer = this.getSlippageBuffer(sellOutput, sell.dex, dexLiquidities[sell.dex?.toLowerCase()]);
       
       // Calculate gross profit (before gas)
       const grossProfit = sellOutput.sub(flashLoanAmount).sub(flashLoanFee);
@@ -271,79 +322,97 @@ class ArbitrageCalculator {
       // Estimate gas costs
       const gasPrice = await getSafeGasPrice(this.provider);
       
-      // Estimate gas for the entire transaction
-      // Flash loan + 2 swaps + approvals + buffer
-      const estimatedGas = ethers.BigNumber.from(700000); // Conservative estimate
-      
-      const gasCost = calculateGasCost(gasPrice, estimatedGas);
-      
-      // Calculate net profit
-      const netProfit = grossProfit.sub(gasCost);
-      
-      // Calculate break-even threshold
-      const breakEvenThreshold = gasCost.mul(this.profitThresholdMultiplier);
-      
-      // Determine if profitable
-      const isProfitable = netProfit.gt(this.minProfitBNB) && netProfit.gt(breakEvenThreshold);
-      
-      // If not profitable, try to adjust flash loan amount
-      if (!isProfitable && grossProfit.gt(0)) {
-        // If we have gross profit but not enough net profit, try with larger amount
-        // This is a simplified approach - in a full implementation, we would use binary search
-        // to find the optimal flash loan amount
-        
-        // Try with a stepped-up amount (3x the initial amount)
-        const largerAmount = flashLoanAmount.mul(3);
-        
-        // Calculate maximum flash loan amount if not already done
-        const maxFlashLoanAmount = calculateMaxFlashLoanAmount(tokenBalance);
-        
-        // Check if the larger amount is within limits
-        if (largerAmount.lte(maxFlashLoanAmount)) {
-          logger.debug(`Retrying with larger flash loan amount: ${ethers.utils.formatEther(largerAmount)} ${baseToken}`);
-          
-          // Recalculate with larger amount and pass the liquidity data
-          const largerResult = await this.recalculateWithAmount(
-            opportunity,
-            largerAmount,
-            flashLoanPool,
-            gasPrice,
-            { liquidityData: dexLiquidities }
-          );
-          
-          // If profitable with larger amount, return that result
-          if (largerResult.isProfitable) {
-            return largerResult;
-          }
-        }
+      // Estimate gas for the entire transaction, against the contract when the route can be encoded
+      const routeShape = gasEstimator.getRouteShape([buy.type, sell.type], flashSource.type);
+      const contractCall = this.getContractCall([
+        this.getContractHop(buy, baseToken, quoteToken, buyFeeTier),
+        this.getContractHop(sell, quoteToken, baseToken, sellFeeTier)
+      ], flashLoanAmount, flashSource);
+      const gas = await gasEstimator.estimate({
+        shape: routeShape,
+        swaps: 2,
+        transaction: contractCall && buildArbitrageTransaction(contractCall)
+      });
+      
+      const gasCost = calculateGasCost(gasPrice, gas.gasUnits);
+      
+      // Net the gas against the profit and value both with on-chain prices
+      const survival = spreadSurvival.getSurvival(opportunity);
+      const valuation = this.valueProfit(grossProfit, gasCost, baseToken, survival.probability);
+      if (!valuation) {
+        logger.warn(`No fresh on-chain price for ${tokenMetadata.getSymbol(baseToken)} and BNB, not valuing ${pair.name}`);
+        return {
+          isProfitable: false,
+          reason: 'On-chain prices are stale'
+        };
+      }
+      const { netProfit } = valuation;
+      
+      // A profit the contract cannot execute is not worth queueing
+      const isProfitable = valuation.isProfitable && Boolean(contractCall);
+      const reason = valuation.isProfitable && !contractCall
+        ? 'The FlashLoanArbitrage contract has no router for a leg'
+        : valuation.reason;
+      if (valuation.isProfitable && !contractCall) {
+        logger.debug(`${pair.name} is profitable between ${buy.dex} and ${sell.dex}, but the contract has no router for one of them`);
       }
       
+      const breakdown = buildPairBreakdown({
+        baseToken,
+        quoteToken,
+        amountIn: flashLoanAmount,
+        buy,
+        sell,
+        buyOutput,
+        sellOutput,
+        flashLoanFee,
+        slippageBuffer,
+        gasCost,
+        valuation
+      });
+      
       // Prepare the result
       const route = [
-        `Flash loan ${ethers.utils.formatEther(flashLoanAmount)} from ${this.pancakeV3.name}`,
-        `Buy ${ethers.utils.formatEther(buyOutput)} ${quoteToken} on ${buy.dex}`,
-        `Sell for ${ethers.utils.formatEther(sellOutput)} ${baseToken} on ${sell.dex}`,
-        `Repay ${ethers.utils.formatEther(flashLoanAmount.add(flashLoanFee))} to flash loan`
+        `Flash loan ${tokenMetadata.format(flashLoanAmount, baseToken)} ${tokenMetadata.getSymbol(baseToken)} from ${flashSource.label}`,
+        `Buy ${tokenMetadata.format(buyOutput, quoteToken)} ${tokenMetadata.getSymbol(quoteToken)} on ${buy.dex}`,
+        `Sell for ${tokenMetadata.format(sellOutput, baseToken)} ${tokenMetadata.getSymbol(baseToken)} on ${sell.dex}`,
+        `Repay ${tokenMetadata.format(flashLoanAmount.add(flashLoanFee), baseToken)} ${tokenMetadata.getSymbol(baseToken)} to flash loan`
       ];
       
       // Log profitable opportunities with detailed information
       if (isProfitable) {
         logger.info(`💰 PROFITABLE ARBITRAGE FOUND for ${pair.name}:`);
         logger.info(`   Route: ${buy.dex} -> ${sell.dex}`);
-        logger.info(`   Flash loan: ${ethers.utils.formatEther(flashLoanAmount)} ${config.NETWORK.NATIVE_SYMBOL}`);
-        logger.info(`   Expected profit: ${ethers.utils.formatEther(netProfit)} ${config.NETWORK.NATIVE_SYMBOL}`);
-        logger.info(`   Gross profit: ${ethers.utils.formatEther(grossProfit)} ${config.NETWORK.NATIVE_SYMBOL}`);
-        logger.info(`   Gas cost: ${ethers.utils.formatEther(gasCost)} ${config.NETWORK.NATIVE_SYMBOL}`);
-        logger.info(`   Flash loan fee: ${ethers.utils.formatEther(flashLoanFee)} ${config.NETWORK.NATIVE_SYMBOL}`);
+        logger.info(`   Flash loan: ${tokenMetadata.format(flashLoanAmount, baseToken)} ${tokenMetadata.getSymbol(baseToken)} from ${flashSource.label}`);
+        logger.info(`   Net profit: ${tokenMetadata.format(netProfit, baseToken)} ${tokenMetadata.getSymbol(baseToken)} (${formatEther(valuation.profitBnb)} ${config.NETWORK.NATIVE_SYMBOL}, $${valuation.profitUsd.toFixed(2)})`);
+        logger.info(`   Gross profit: ${tokenMetadata.format(grossProfit, baseToken)} ${tokenMetadata.getSymbol(baseToken)}`);
+        logger.info(`   Gas cost: ${formatEther(gasCost)} ${config.NETWORK.NATIVE_SYMBOL} ($${valuation.gasCostUsd.toFixed(2)}, ${gas.gasUnits.toString()} gas from ${gas.source})`);
+        logger.info(`   Flash loan fee: ${tokenMetadata.format(flashLoanFee, baseToken)} ${tokenMetadata.getSymbol(baseToken)}`);
+        this.logSurvival(survival, valuation, baseToken);
+        this.logBreakdown(breakdown);
       }
       
       return {
         isProfitable,
+        reason,
         profit: netProfit,
+        profitBnb: valuation.profitBnb,
+        profitUsd: valuation.profitUsd,
+        expectedProfit: valuation.expectedProfit,
+        expectedProfitBnb: valuation.expectedProfitBnb,
+        expectedProfitUsd: valuation.expectedProfitUsd,
+        survival,
         grossProfit,
         flashLoanAmount,
         flashLoanFee,
         gasCost,
+        gasCostUsd: valuation.gasCostUsd,
+        gasCostInBaseToken: valuation.gasCostInBaseToken,
+        gasEstimate: gas.gasUnits,
+        gasLimit: gas.gasLimit,
+        gasSource: gas.source,
+        routeShape,
+        breakdown,
         route,
         buy: {
           dex: buy.dex,
@@ -355,7 +424,9 @@ class ArbitrageCalculator {
           amount: buyOutput,
           output: sellOutput
         },
-        flashLoanPool: flashLoanPool.address,
+        flashLoanPool: flashSource.address,
+        flashSource,
+        contractCall,
         tokens: {
           baseToken,
           quoteToken
@@ -371,180 +442,552 @@ class ArbitrageCalculator {
   }
   
   /**
-   * Recalculate profit with a different flash loan amount
+   * Largest amount to borrow from a flash loan source: what it can lend, within
+   * the size cap from detection or else the configured maximum
+   * @param {Object} source - Source from FlashSources.getSources
+   * @param {BigNumber} [sizeCap] - Size cap from detection, in base token units
+   * @returns {BigNumber} - Maximum flash loan amount
+   * @private
+   */
+  getMaxFlashLoanAmount(source, sizeCap) {
+    const cap = sizeCap || calculateMaxFlashLoanAmount(source.balance);
+    return cap.lt(source.available) ? cap : source.available;
+  }
+  
+  /**
+   * Output a trade could lose to slippage between pricing and execution: scaled
+   * to the pool's liquidity when it is known, the configured tolerance otherwise
+   * @param {BigNumber} amountOut - Quoted output of the last swap
+   * @param {string} dex - DEX of the last swap
+   * @param {BigNumber|null} liquidity - Liquidity of that DEX, if known
+   * @returns {BigNumber} - Slippage buffer, in the output token
+   * @private
+   */
+  getSlippageBuffer(amountOut, dex, liquidity) {
+    const minOutput = liquidity && !liquidity.isZero()
+      ? applyDynamicSlippage(amountOut, liquidity, dex, true)
+      : amountOut.mul(Math.round((100 - config.arbitrage.slippageTolerance) * 10000)).div(1000000);
+    
+    return amountOut.sub(minOutput);
+  }
+  
+  /**
+   * Log the chance a profitable trade's spread survives and what it leaves of the profit
+   * @param {Object} survival - Result of spreadSurvival.getSurvival
+   * @param {Object} valuation - Result of valueProfit
+   * @param {string} baseToken - Token the profit is made in
+   * @private
+   */
+  logSurvival(survival, valuation, baseToken) {
+    const competitors = survival.competitorsDetected ? ', competing bots detected' : '';
+    logger.info(`   Spread survival: ${(survival.probability * 100).toFixed(1)}% (half-life ${(survival.halfLife / 1000).toFixed(1)}s, exposure ${(survival.exposure / 1000).toFixed(1)}s${competitors})`);
+    logger.info(`   Risk-adjusted profit: ${tokenMetadata.format(valuation.expectedProfit, baseToken)} ${tokenMetadata.getSymbol(baseToken)} ($${valuation.expectedProfitUsd.toFixed(2)})`);
+  }
+  
+  /**
+   * Log the itemised costs of a profitable trade
+   * @param {Object} breakdown - Breakdown from profitBreakdown
+   * @private
+   */
+  logBreakdown(breakdown) {
+    const formatted = formatBreakdown(breakdown);
+    
+    for (const leg of formatted.legs) {
+      const costs = leg.fee !== null ? ` (fee ${leg.fee}, price impact ${leg.priceImpact} ${formatted.token})` : '';
+      logger.info(`   ${leg.side} on ${leg.dex}: ${leg.swap}${costs}`);
+    }
+    logger.info(`   Gross spread: ${formatted.grossSpread} ${formatted.token} | Slippage buffer: ${formatted.slippageBuffer} ${formatted.token} | Worst case: ${formatted.worstCaseNetProfit} ${formatted.token}`);
+  }
+  
+  /**
+   * View a pair opportunity as borrowing token2 instead. The cycle is the same,
+   * traded from its other end: token2 is sold into the pool where it is dear
+   * (the sell leg) and bought back where it is cheap (the buy leg), so the legs
+   * swap places and each leg's price and reserves are inverted.
+   * @param {Object} opportunity - Pair opportunity from OpportunityFinder
+   * @returns {Object} - The opportunity oriented to borrow token2
+   * @private
+   */
+  reverseOpportunity(opportunity) {
+    const { pair, buy, sell, sizing } = opportunity;
+    const one = ethers.utils.parseEther('1');
+    
+    const reverseLeg = leg => ({
+      ...leg,
+      price: leg.price && !ethers.BigNumber.from(leg.price).isZero() ? one.mul(one).div(leg.price) : leg.price,
+      liquidity: leg.type === 'v2' && leg.liquidity
+        ? { ...leg.liquidity, reserveA: leg.liquidity.reserveB, reserveB: leg.liquidity.reserveA }
+        : leg.liquidity
+    });
+    
+    // Detection sized the trade in token1; its sizes carry over at the buy pool's price
+    const toToken2 = amount => amount && buy.price
+      ? tokenMetadata.fromWad(tokenMetadata.toWad(amount, pair.token1).mul(buy.price).div(one), pair.token2)
+      : null;
+    
+    return {
+      ...opportunity,
+      pair: { ...pair, token1: pair.token2, token2: pair.token1 },
+      buy: reverseLeg(sell),
+      sell: reverseLeg(buy),
+      sizing: sizing
+        ? { ...sizing, amountIn: toToken2(sizing.amountIn), maxAmountIn: toToken2(sizing.maxAmountIn), expectedValue: toToken2(sizing.expectedValue) }
+        : sizing
+    };
+  }
+  
+  /**
+   * Net a trade's gas cost against its profit and check the result against the
+   * thresholds. Gas is paid in BNB while the profit is made in the base token,
+   * so the gas is converted with on-chain prices, and the net profit is valued
+   * in BNB and USD with the same prices.
+   *
+   * The thresholds are applied to the expected profit: the gross profit is only
+   * made if the spread survives until the transaction is included, while the
+   * gas is paid either way, since a trade whose spread has gone reverts.
+   * @param {BigNumber} grossProfit - Profit after the flash loan fee, in base token units
+   * @param {BigNumber} gasCost - Gas cost in BNB (wei)
+   * @param {string} baseToken - Token the profit is made in
+   * @param {number} survival - Probability that the spread survives until inclusion
+   * @returns {Object|null} - { netProfit, profitBnb, profitUsd, expectedProfit, expectedProfitBnb, expectedProfitUsd,
+   *   gasCostInBaseToken, gasCostUsd, isProfitable, reason }, or null if the prices needed are unknown or stale
+   * @private
+   */
+  valueProfit(grossProfit, gasCost, baseToken, survival = 1) {
+    const gasCostInBaseToken = priceOracle.fromBnb(gasCost, baseToken);
+    const gasCostUsd = priceOracle.bnbToUsd(gasCost);
+    
+    if (!gasCostInBaseToken || gasCostUsd === null) {
+      return null;
+    }
+    
+    const netProfit = grossProfit.sub(gasCostInBaseToken);
+    const profitBnb = priceOracle.toBnb(netProfit, baseToken);
+    const profitUsd = priceOracle.bnbToUsd(profitBnb);
+    
+    const expectedProfit = grossProfit.mul(Math.round(survival * 1000000)).div(1000000).sub(gasCostInBaseToken);
+    const expectedProfitBnb = priceOracle.toBnb(expectedProfit, baseToken);
+    const expectedProfitUsd = priceOracle.bnbToUsd(expectedProfitBnb);
+    
+    // Expected profit has to clear the USD minimum and cover gas by the configured multiple
+    const breakEvenThreshold = gasCostInBaseToken.mul(this.profitThresholdMultiplier);
+    const odds = `${(survival * 100).toFixed(0)}% chance the spread survives`;
+    let reason = null;
+    if (expectedProfitUsd < this.minProfitUsd) {
+      reason = `Expected profit $${expectedProfitUsd.toFixed(2)} (${odds}) is below the $${this.minProfitUsd} minimum`;
+    } else if (!expectedProfit.gt(breakEvenThreshold)) {
+      reason = `Expected profit (${odds}) does not cover gas ($${gasCostUsd.toFixed(2)}) by the required multiple`;
+    }
+    
+    return {
+      netProfit,
+      profitBnb,
+      profitUsd,
+      survival,
+      expectedProfit,
+      expectedProfitBnb,
+      expectedProfitUsd,
+      gasCostInBaseToken,
+      gasCostUsd,
+      isProfitable: reason === null,
+      reason
+    };
+  }
+  
+  /**
+   * Find the flash loan size that maximises profit after the flash loan fee.
+   * Two V2 legs are solved in closed form from their reserves. A route with a
+   * V3 leg is searched numerically, since V3 liquidity changes from one tick
+   * range to the next; V3 legs are quoted against a local pool model so the
+   * search costs no RPC calls beyond loading the pool once per block.
    * @param {Object} opportunity - Arbitrage opportunity
+   * @param {number} flashFeePpm - Flash loan fee in parts per million
+   * @param {BigNumber} maxAmountIn - Largest size that can be borrowed
+   * @returns {Promise<{amountIn: BigNumber, method: string}>} - Optimal size (zero if none is profitable) and how it was found
+   */
+  async findOptimalSize(opportunity, flashFeePpm, maxAmountIn) {
+    const { pair, buy, sell } = opportunity;
+    const baseToken = pair.token1;
+    const quoteToken = pair.token2;
+    
+    if (buy.type === 'v2' && sell.type === 'v2') {
+      const buyReserves = getPoolReserves('v2', buy.liquidity, baseToken);
+      const sellReserves = getPoolReserves('v2', sell.liquidity, baseToken);
+      
+      if (buyReserves && sellReserves) {
+        const amountIn = getOptimalAmountIn(
+          { reserveIn: buyReserves.reserveA, reserveOut: buyReserves.reserveB, feePpm: feePercentageToPpm(buy.feePercentage) },
+          { reserveIn: sellReserves.reserveB, reserveOut: sellReserves.reserveA, feePpm: feePercentageToPpm(sell.feePercentage) },
+          flashFeePpm
+        );
+        
+        return { amountIn: amountIn.gt(maxAmountIn) ? maxAmountIn : amountIn, method: 'closed-form' };
+      }
+    }
+    
+    const buyFeeTier = buy.type === 'v3' ? await this.getLegFeeTier(buy, baseToken, quoteToken) : null;
+    const sellFeeTier = sell.type === 'v3' ? await this.getLegFeeTier(sell, quoteToken, baseToken) : null;
+    
+    const blockNumber = await this.provider.getBlockNumber();
+    const [buyQuoter, sellQuoter] = await Promise.all([
+      this.getLocalQuoter(buy, baseToken, quoteToken, buyFeeTier, blockNumber, baseToken),
+      this.getLocalQuoter(sell, quoteToken, baseToken, sellFeeTier, blockNumber, baseToken)
+    ]);
+    
+    const quoteBuy = buyQuoter || (amount => this.quoteLeg(buy, amount, baseToken, quoteToken, buyFeeTier));
+    const quoteSell = sellQuoter || (amount => this.quoteLeg(sell, amount, quoteToken, baseToken, sellFeeTier));
+    
+    // Local quotes are cheap, so the search can afford a much finer result
+    const local = Boolean(buyQuoter && sellQuoter);
+    const searchOptions = local
+      ? { maxAmountIn, flashFeePpm, maxQuotes: config.v3PoolModel.maxQuotes, tolerancePpm: config.v3PoolModel.tolerancePpm }
+      : { maxAmountIn, flashFeePpm };
+    
+    const { amountIn, quotes } = await findOptimalAmountIn(
+      async (amount) => quoteSell(await quoteBuy(amount)),
+      searchOptions
+    );
+    
+    logger.debug(`Numeric size search for ${pair.name} took ${quotes} round-trip quotes${local ? ' (quoted locally)' : ''}`);
+    
+    return { amountIn, method: local ? 'local-numeric' : 'numeric' };
+  }
+  
+  /**
+   * Build a quote function for one leg that needs no RPC calls: V2 legs from the
+   * pair reserves, V3 legs from a pool model loaded at the given block. A V3
+   * swap that runs past the loaded ticks is quoted by the on-chain quoter instead.
+   * @param {Object} leg - Buy or sell leg of the opportunity
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {number|null} feeTier - Fee tier of a V3 leg
+   * @param {number} blockNumber - Block to load V3 pool state at
+   * @param {string} baseToken - Token the reserveA side of V2 liquidity refers to
+   * @returns {Promise<Function|null>} - amountIn => amountOut, or null if the leg can only be quoted on-chain
+   * @private
+   */
+  async getLocalQuoter(leg, tokenIn, tokenOut, feeTier, blockNumber, baseToken) {
+    if (leg.type === 'v2') {
+      const reserves = getPoolReserves('v2', leg.liquidity, baseToken);
+      if (!reserves) {
+        return null;
+      }
+      
+      const [reserveIn, reserveOut] = tokenIn === baseToken
+        ? [reserves.reserveA, reserves.reserveB]
+        : [reserves.reserveB, reserves.reserveA];
+      const feePpm = feePercentageToPpm(leg.feePercentage);
+      return amount => getAmountOut(amount, reserveIn, reserveOut, feePpm);
+    }
+    
+    if (!config.v3PoolModel.enabled || config.ENVIRONMENT.DEV_MODE) {
+      return null;
+    }
+    
+    try {
+      const poolAddress = await this.pancakeV3.getPoolAddress(tokenIn, tokenOut, feeTier);
+      const model = await this.pancakeV3.getPoolModel(poolAddress, blockNumber);
+      
+      return (amount) => {
+        const result = this.pancakeV3.quoteWithModel(model, amount, tokenIn);
+        return result.complete
+          ? result.amountOut
+          : this.quoteLeg(leg, amount, tokenIn, tokenOut, feeTier);
+      };
+    } catch (error) {
+      logger.warn(`Could not load a local V3 pool model, quoting on-chain: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Arguments of the executeRoute call that executes a trade, used to estimate
+   * its gas and by the executor to send it
+   * @param {Array<Object|null>} hops - Hops from getContractHop, in order
    * @param {BigNumber} amount - Flash loan amount
-   * @param {Object} flashLoanPool - Flash loan pool
-   * @param {BigNumber} gasPrice - Current gas price
+   * @param {Object} flashSource - Source the loan is taken from
+   * @returns {Object|null} - Parameters for encodeExecuteRoute, or null if the contract has no router for a hop
+   * @private
+   */
+  getContractCall(hops, amount, flashSource) {
+    if (hops.some(hop => !hop)) {
+      return null;
+    }
+    
+    return {
+      tokenBorrow: flashSource.token,
+      tokenPay: flashSource.pairedToken,
+      amount,
+      poolFee: flashSource.fee,
+      hops
+    };
+  }
+  
+  /**
+   * Swap the contract makes for one leg or hop: through a V2 router, or through
+   * the PancakeSwap V3 router in the leg's fee tier
+   * @param {Object} leg - Leg of an opportunity or hop of a route
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {number|null} feeTier - Fee tier of a V3 leg
+   * @returns {{router: string, path: Array<string>, fee: number}|null} - Hop, or null if the leg has no router
+   * @private
+   */
+  getContractHop(leg, tokenIn, tokenOut, feeTier) {
+    const router = leg.type === 'v3'
+      ? leg.instance && leg.instance.routerAddress
+      : leg.instance && leg.instance.router && leg.instance.router.address;
+    
+    if (!router || (leg.type === 'v3' && !feeTier)) {
+      return null;
+    }
+    
+    return {
+      router,
+      path: [tokenIn, tokenOut],
+      fee: leg.type === 'v3' ? feeTier : 0
+    };
+  }
+  
+  /**
+   * Quote one leg of a trade on its DEX
+   * @param {Object} leg - Buy or sell leg of the opportunity
+   * @param {BigNumber} amountIn - Input amount
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {number|null} feeTier - Fee tier of a V3 leg
+   * @returns {Promise<BigNumber>} - Output amount
+   * @private
+   */
+  async quoteLeg(leg, amountIn, tokenIn, tokenOut, feeTier) {
+    if (amountIn.isZero()) {
+      return amountIn;
+    }
+    
+    return leg.type === 'v3'
+      ? this.pancakeV3.getAmountOut(amountIn, tokenIn, tokenOut, feeTier)
+      : leg.instance.getAmountOut(amountIn, tokenIn, tokenOut);
+  }
+  
+  /**
+   * Fee tier to quote a V3 leg in: the tier the opportunity was found in,
+   * falling back to the pair's best pool
+   * @param {Object} leg - Buy or sell leg of the opportunity
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @returns {Promise<number>} - Fee tier
+   */
+  async getLegFeeTier(leg, tokenIn, tokenOut) {
+    if (leg.feeTier) {
+      return leg.feeTier;
+    }
+    
+    const bestPool = await this.pancakeV3.getBestPool(tokenIn, tokenOut);
+    return bestPool.fee;
+  }
+  
+  /**
+   * Calculate potential profit for a multi-hop route that starts and ends in the
+   * flash loaned token. Each hop is re-quoted on the DEX chosen during discovery,
+   * and the size is searched numerically for the most profit after the flash loan fee.
+   * @param {Object} opportunity - Route opportunity from OpportunityFinder.createRouteOpportunity
    * @returns {Promise<Object>} - Profit calculation result
    */
-  async recalculateWithAmount(opportunity, amount, flashLoanPool, gasPrice, options = {}) {
+  async calculateRouteProfit(opportunity) {
     try {
-      const { pair, buy, sell } = opportunity;
-      const { token1, token2 } = pair;
+      const { pair, route } = opportunity;
+      const baseToken = route.path[0];
       
-      const baseToken = token1;
-      const quoteToken = token2;
+      // Every source the base token can be borrowed from, outside the pools the route swaps through
+      const flashSources = await this.flashSources.getSources(baseToken, {
+        exclude: route.hops.map(hop => ({ dex: hop.dex, tokens: [hop.tokenIn, hop.tokenOut] }))
+      });
       
-      // Check if liquidity data is provided in options
-      const liquidityData = options.liquidityData || {};
+      if (flashSources.length === 0) {
+        logger.warn(`No suitable flash loan source found for ${baseToken}`);
+        return {
+          isProfitable: false,
+          reason: 'No suitable flash loan source'
+        };
+      }
       
-      // Calculate flash loan fee
-      const flashLoanFee = this.pancakeV3.calculateFlashLoanFee(
-        amount,
-        flashLoanPool.fee
-      );
+      const gasPrice = await getSafeGasPrice(this.provider);
       
-      // Calculate expected output from first swap (buy)
-      const buyAmount = amount;
-      let buyOutput;
+      // Fee tiers of V3 hops, shared by the quotes and the contract call
+      const feeTiers = await Promise.all(route.hops.map(hop => (
+        hop.type === 'v3' ? this.getLegFeeTier(hop, hop.tokenIn, hop.tokenOut) : null
+      )));
       
-      // Apply dynamic slippage based on pool liquidity if we have the data
-      let buyLiquidity = null;
-      if (liquidityData && liquidityData[buy.dex.toLowerCase()]) {
-        buyLiquidity = liquidityData[buy.dex.toLowerCase()];
-        // Log the liquidity being used for slippage calculation
-        logger.debug(`Using ${formatEther(buyLiquidity)} BNB liquidity for ${buy.dex} slippage calculation`);
-      }
-
-      // Calculate the buy amount with appropriate slippage
-      let adjustedBuyAmount = buyAmount;
-      if (buyLiquidity && !buyLiquidity.isZero()) {
-        // Use dynamic slippage calculation based on pool liquidity
-        adjustedBuyAmount = applyDynamicSlippage(
-          buyAmount, 
-          buyLiquidity, 
-          buy.dex,
-          false // false means we increase the amount for slippage on buy
-        );
+      // Quote every hop on the DEX, and V3 fee tier, chosen during discovery
+      const quoteHops = async (amount) => {
+        const hops = [];
+        let currentAmount = amount;
         
-        logger.debug(`Applied dynamic slippage for ${buy.dex} buy: ${formatEther(buyAmount)} → ${formatEther(adjustedBuyAmount)}`);
-      }
-
-      if (buy.type === 'v2') {
-        // For ApeSwap, we have a consistent 0.3% fee for all pairs
-        // For PancakeSwap V2, the fee is also 0.3%
-        buyOutput = await buy.instance.getAmountOut(adjustedBuyAmount, baseToken, quoteToken);
-      } else if (buy.type === 'v3') {
-        const bestPool = await this.pancakeV3.getBestPool(baseToken, quoteToken);
-        buyOutput = await this.pancakeV3.getAmountOut(
-          adjustedBuyAmount,
-          baseToken,
-          quoteToken,
-          bestPool.fee
-        );
-      }
+        for (const [index, hop] of route.hops.entries()) {
+          const amountOut = hop.type === 'v3'
+            ? await hop.instance.getAmountOut(currentAmount, hop.tokenIn, hop.tokenOut, feeTiers[index])
+            : await hop.instance.getAmountOut(currentAmount, hop.tokenIn, hop.tokenOut);
+          hops.push({
+            dex: hop.dex,
+            feeTier: feeTiers[index],
+            tokenIn: hop.tokenIn,
+            tokenOut: hop.tokenOut,
+            amountIn: currentAmount,
+            amountOut
+          });
+          currentAmount = amountOut;
+        }
+        
+        return { hops, amountOut: currentAmount };
+      };
       
-      // Calculate expected output from second swap (sell)
-      let sellOutput;
+      // Search for the size where profit after the flash loan fee peaks
+      const solve = (flashFeePpm, maxAmountIn) => findOptimalAmountIn(
+        async (amount) => (await quoteHops(amount)).amountOut,
+        { maxAmountIn, flashFeePpm }
+      );
       
-      // Apply dynamic slippage for sell transaction based on pool liquidity
-      let sellLiquidity = null;
-      if (liquidityData && liquidityData[sell.dex.toLowerCase()]) {
-        sellLiquidity = liquidityData[sell.dex.toLowerCase()];
-        logger.debug(`Using ${formatEther(sellLiquidity)} BNB liquidity for ${sell.dex} slippage calculation`);
-      }
+      // Solve at the cheapest fee up to what the largest source can lend; if the cheapest source
+      // cannot lend that size, solve again for the one that can
+      const largestSource = this.flashSources.select(flashSources, ethers.constants.MaxUint256);
+      let flashSource = flashSources[0];
+      let optimal = await solve(flashSource.feePpm, this.getMaxFlashLoanAmount(largestSource));
+      const selected = this.flashSources.select(flashSources, optimal.amountIn);
       
-      // Get the "minimum accepted" output with slippage applied
-      let minAcceptedOutput = buyOutput;
-      if (sellLiquidity && !sellLiquidity.isZero()) {
-        // Apply slippage to the minimum output we'll accept (true = reduce for minimum out)
-        minAcceptedOutput = applyDynamicSlippage(
-          buyOutput,
-          sellLiquidity,
-          sell.dex,
-          true // true means we decrease the amount for slippage on sell
-        );
-        
-        logger.debug(`Applied dynamic slippage for ${sell.dex} sell: expect at least ${formatEther(minAcceptedOutput)} output from ${formatEther(buyOutput)} input`);
+      if (selected !== flashSource) {
+        flashSource = selected;
+        optimal = await solve(flashSource.feePpm, this.getMaxFlashLoanAmount(flashSource));
       }
       
-      if (sell.type === 'v2') {
-        // For ApeSwap, we have a consistent 0.3% fee for all pairs
-        // For PancakeSwap V2, the fee is also 0.3%
-        sellOutput = await sell.instance.getAmountOut(buyOutput, quoteToken, baseToken);
-      } else if (sell.type === 'v3') {
-        const bestPool = await this.pancakeV3.getBestPool(quoteToken, baseToken);
-        sellOutput = await this.pancakeV3.getAmountOut(
-          buyOutput,
-          quoteToken,
-          baseToken,
-          bestPool.fee
-        );
+      if (optimal.amountIn.isZero()) {
+        return {
+          isProfitable: false,
+          reason: 'No route size is profitable after the flash loan fee'
+        };
       }
       
-      // Check if sell output meets our minimum expectations
-      if (sellOutput.lt(minAcceptedOutput) && sellLiquidity && !sellLiquidity.isZero()) {
-        logger.debug(`Expected output ${formatEther(sellOutput)} is lower than minimum accepted ${formatEther(minAcceptedOutput)}`);
-        // Adjust the expected output down to account for slippage in real execution
-        sellOutput = minAcceptedOutput;
+      // Estimate gas against the contract when every hop can be encoded
+      const routeShape = gasEstimator.getRouteShape(route.hops.map(hop => hop.type), flashSource.type);
+      const contractCall = this.getContractCall(
+        route.hops.map((hop, index) => this.getContractHop(hop, hop.tokenIn, hop.tokenOut, feeTiers[index])),
+        optimal.amountIn,
+        flashSource
+      );
+      const gas = await gasEstimator.estimate({
+        shape: routeShape,
+        swaps: route.hops.length,
+        transaction: contractCall && buildArbitrageTransaction(contractCall)
+      });
+      const gasCost = calculateGasCost(gasPrice, gas.gasUnits);
+      
+      const { hops, amountOut } = await quoteHops(optimal.amountIn);
+      const flashLoanFee = this.flashSources.getFee(flashSource, optimal.amountIn);
+      const grossProfit = amountOut.sub(optimal.amountIn).sub(flashLoanFee);
+      
+      const survival = spreadSurvival.getSurvival(opportunity);
+      const valuation = this.valueProfit(grossProfit, gasCost, baseToken, survival.probability);
+      if (!valuation) {
+        logger.warn(`No fresh on-chain price for ${tokenMetadata.getSymbol(baseToken)} and BNB, not valuing ${pair.name} route`);
+        return {
+          isProfitable: false,
+          reason: 'On-chain prices are stale'
+        };
       }
       
-      // Calculate gross profit (before gas)
-      const grossProfit = sellOutput.sub(amount).sub(flashLoanFee);
-      
-      // Estimate gas for the entire transaction
-      const estimatedGas = ethers.BigNumber.from(700000); // Conservative estimate
-      
-      const gasCost = calculateGasCost(gasPrice, estimatedGas);
-      
-      // Calculate net profit
-      const netProfit = grossProfit.sub(gasCost);
-      
-      // Calculate break-even threshold
-      const breakEvenThreshold = gasCost.mul(this.profitThresholdMultiplier);
+      const best = {
+        amount: optimal.amountIn,
+        hops,
+        flashLoanFee,
+        grossProfit,
+        netProfit: valuation.netProfit
+      };
       
-      // Determine if profitable
-      const isProfitable = netProfit.gt(this.minProfitBNB) && netProfit.gt(breakEvenThreshold);
+      // A profit the contract cannot execute is not worth queueing
+      const isProfitable = valuation.isProfitable && Boolean(contractCall);
+      const reason = valuation.isProfitable && !contractCall
+        ? 'The FlashLoanArbitrage contract has no router for a hop'
+        : valuation.reason;
+      
+      const lastHopDex = hops[hops.length - 1].dex;
+      const breakdown = buildRouteBreakdown({
+        baseToken,
+        amountIn: optimal.amountIn,
+        hops,
+        amountOut,
+        flashLoanFee,
+        slippageBuffer: this.getSlippageBuffer(amountOut, lastHopDex, null),
+        gasCost,
+        valuation
+      });
       
-      // Prepare the route
-      const route = [
-        `Flash loan ${ethers.utils.formatEther(amount)} from ${this.pancakeV3.name}`,
-        `Buy ${ethers.utils.formatEther(buyOutput)} ${quoteToken} on ${buy.dex}`,
-        `Sell for ${ethers.utils.formatEther(sellOutput)} ${baseToken} on ${sell.dex}`,
-        `Repay ${ethers.utils.formatEther(amount.add(flashLoanFee))} to flash loan`
+      const routeSteps = [
+        `Flash loan ${tokenMetadata.format(best.amount, baseToken)} ${tokenMetadata.getSymbol(baseToken)} from ${flashSource.label}`,
+        ...best.hops.map(hop => `Swap ${tokenMetadata.format(hop.amountIn, hop.tokenIn)} ${tokenMetadata.getSymbol(hop.tokenIn)} for ${tokenMetadata.format(hop.amountOut, hop.tokenOut)} ${tokenMetadata.getSymbol(hop.tokenOut)} on ${hop.dex}`),
+        `Repay ${tokenMetadata.format(best.amount.add(best.flashLoanFee), baseToken)} ${tokenMetadata.getSymbol(baseToken)} to flash loan`
       ];
       
-      // Log profitable opportunities with detailed information
       if (isProfitable) {
-        logger.info(`💰 PROFITABLE ARBITRAGE FOUND with recalculated amount for ${pair.name}:`);
-        logger.info(`   Route: ${buy.dex} -> ${sell.dex}`);
-        logger.info(`   Flash loan: ${ethers.utils.formatEther(amount)} ${config.NETWORK.NATIVE_SYMBOL}`);
-        logger.info(`   Expected profit: ${ethers.utils.formatEther(netProfit)} ${config.NETWORK.NATIVE_SYMBOL}`);
-        logger.info(`   Gross profit: ${ethers.utils.formatEther(grossProfit)} ${config.NETWORK.NATIVE_SYMBOL}`);
-        logger.info(`   Gas cost: ${ethers.utils.formatEther(gasCost)} ${config.NETWORK.NATIVE_SYMBOL}`);
-        logger.info(`   Flash loan fee: ${ethers.utils.formatEther(flashLoanFee)} ${config.NETWORK.NATIVE_SYMBOL}`);
+        logger.info(`💰 PROFITABLE MULTI-HOP ARBITRAGE FOUND for ${pair.name}:`);
+        logger.info(`   Route: ${best.hops.map(hop => hop.dex).join(' -> ')}`);
+        logger.info(`   Flash loan: ${tokenMetadata.format(best.amount, baseToken)} ${tokenMetadata.getSymbol(baseToken)} from ${flashSource.label}`);
+        logger.info(`   Net profit: ${tokenMetadata.format(best.netProfit, baseToken)} ${tokenMetadata.getSymbol(baseToken)} (${formatEther(valuation.profitBnb)} ${config.NETWORK.NATIVE_SYMBOL}, $${valuation.profitUsd.toFixed(2)})`);
+        logger.info(`   Gross profit: ${tokenMetadata.format(best.grossProfit, baseToken)} ${tokenMetadata.getSymbol(baseToken)}`);
+        logger.info(`   Gas cost: ${formatEther(gasCost)} ${config.NETWORK.NATIVE_SYMBOL} ($${valuation.gasCostUsd.toFixed(2)}, ${gas.gasUnits.toString()} gas from ${gas.source})`);
+        logger.info(`   Flash loan fee: ${tokenMetadata.format(best.flashLoanFee, baseToken)} ${tokenMetadata.getSymbol(baseToken)}`);
+        this.logSurvival(survival, valuation, baseToken);
+        this.logBreakdown(breakdown);
       }
       
+      const firstHop = best.hops[0];
+      const lastHop = best.hops[best.hops.length - 1];
+      
       return {
         isProfitable,
-        profit: netProfit,
-        grossProfit,
-        flashLoanAmount: amount,
-        flashLoanFee,
+        reason,
+        profit: best.netProfit,
+        profitBnb: valuation.profitBnb,
+        profitUsd: valuation.profitUsd,
+        expectedProfit: valuation.expectedProfit,
+        expectedProfitBnb: valuation.expectedProfitBnb,
+        expectedProfitUsd: valuation.expectedProfitUsd,
+        survival,
+        grossProfit: best.grossProfit,
+        flashLoanAmount: best.amount,
+        flashLoanFee: best.flashLoanFee,
         gasCost,
-        route,
+        gasCostUsd: valuation.gasCostUsd,
+        gasCostInBaseToken: valuation.gasCostInBaseToken,
+        gasEstimate: gas.gasUnits,
+        gasLimit: gas.gasLimit,
+        gasSource: gas.source,
+        routeShape,
+        breakdown,
+        route: routeSteps,
+        hops: best.hops,
+        path: route.path,
         buy: {
-          dex: buy.dex,
-          amount: buyAmount,
-          output: buyOutput
+          dex: firstHop.dex,
+          amount: firstHop.amountIn,
+          output: firstHop.amountOut
         },
         sell: {
-          dex: sell.dex,
-          amount: buyOutput,
-          output: sellOutput
+          dex: lastHop.dex,
+          amount: lastHop.amountIn,
+          output: lastHop.amountOut
         },
-        flashLoanPool: flashLoanPool.address,
+        flashLoanPool: flashSource.address,
+        flashSource,
+        contractCall,
         tokens: {
           baseToken,
-          quoteToken
+          quoteToken: firstHop.tokenOut
         }
       };
     } catch (error) {
-      logger.error(`Error recalculating profit: ${error.message}`);
+      logger.error(`Error calculating route profit: ${error.message}`);
       return {
         isProfitable: false,
-        reason: `Recalculation error: ${error.message}`
+        reason: `Route calculation error: ${error.message}`
       };
     }
   }
@@ -0,0 +1,244 @@
+const logger = require('../utils/logger');
+
+/**
+ * Directed token graph used for negative-cycle arbitrage search.
+ *
+ * Every pool contributes two edges (one per swap direction) weighted by
+ * -ln(rate * (1 - fee)). A cycle whose weights sum to less than zero returns
+ * more of the start token than it consumed, so any negative cycle found by
+ * Bellman-Ford is an arbitrage candidate regardless of its length or the mix
+ * of DEXes it crosses.
+ */
+class PriceGraph {
+  constructor() {
+    // Token address (lowercase) -> vertex index
+    this.vertexIndex = new Map();
+    
+    // Vertex index -> original token address
+    this.vertices = [];
+    
+    // All directed edges
+    this.edges = [];
+  }
+  
+  /**
+   * Get (or create) the vertex index for a token
+   * @param {string} token - Token address
+   * @returns {number} - Vertex index
+   */
+  getVertex(token) {
+    const key = token.toLowerCase();
+    
+    if (!this.vertexIndex.has(key)) {
+      this.vertexIndex.set(key, this.vertices.length);
+      this.vertices.push(token);
+    }
+    
+    return this.vertexIndex.get(key);
+  }
+  
+  /**
+   * Add a pool to the graph as two directed edges
+   * @param {Object} pool - Pool description
+   * @param {string} pool.tokenA - First token address
+   * @param {string} pool.tokenB - Second token address
+   * @param {number} pool.price - Spot price of tokenA in units of tokenB
+   * @param {number} pool.feePercentage - Swap fee in percent (e.g. 0.25)
+   * @param {Object} pool.source - Arbitrary data about the pool (DEX, instance, liquidity...)
+   */
+  addPool({ tokenA, tokenB, price, feePercentage, source }) {
+    if (!isFinite(price) || price <= 0) {
+      logger.debug(`Skipping pool ${source?.dex || ''} ${tokenA}/${tokenB} with invalid price ${price}`);
+      return;
+    }
+    
+    const feeFactor = 1 - (feePercentage || 0) / 100;
+    
+    this.addEdge(tokenA, tokenB, price * feeFactor, source);
+    this.addEdge(tokenB, tokenA, feeFactor / price, source);
+  }
+  
+  /**
+   * Add a single directed edge
+   * @param {string} from - Input token address
+   * @param {string} to - Output token address
+   * @param {number} rate - Effective output per unit of input, after fees
+   * @param {Object} source - Data about the pool backing this edge
+   */
+  addEdge(from, to, rate, source) {
+    this.edges.push({
+      id: this.edges.length,
+      from: this.getVertex(from),
+      to: this.getVertex(to),
+      rate,
+      weight: -Math.log(rate),
+      source
+    });
+  }
+  
+  /**
+   * Find negative cycles with Bellman-Ford from a virtual source connected to every vertex.
+   * A single pass only surfaces the cycles the predecessor chains lead into, so the
+   * search is repeated with the least favourable edge of every found cycle removed.
+   * @param {Object} options - Search options
+   * @param {number} options.maxLength - Longest cycle (in edges) to return, 0 for no limit
+   * @param {number} options.minProfitPercentage - Minimum end-to-end gain for a cycle to be returned
+   * @param {number} options.rounds - Number of Bellman-Ford passes
+   * @returns {Array<Object>} - Cycles ordered by gain, each with tokens, edges and profitPercentage
+   */
+  findNegativeCycles({ maxLength = 0, minProfitPercentage = 0, rounds = 3 } = {}) {
+    const cycles = [];
+    const seen = new Set();
+    const excluded = new Set();
+    
+    for (let round = 0; round < rounds; round++) {
+      const found = this.runBellmanFord(excluded);
+      
+      if (found.length === 0) {
+        break;
+      }
+      
+      for (const cycleEdges of found) {
+        // Drop the weakest edge so the next pass can reach other cycles
+        const weakest = cycleEdges.reduce((worst, edge) => (edge.weight > worst.weight ? edge : worst));
+        excluded.add(weakest.id);
+        
+        const key = this.getCycleKey(cycleEdges);
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+        
+        if (maxLength > 0 && cycleEdges.length > maxLength) {
+          logger.debug(`Ignoring ${cycleEdges.length}-hop cycle (limit ${maxLength})`);
+          continue;
+        }
+        
+        const totalWeight = cycleEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        const profitPercentage = (Math.exp(-totalWeight) - 1) * 100;
+        
+        if (profitPercentage < minProfitPercentage) {
+          continue;
+        }
+        
+        cycles.push({
+          tokens: cycleEdges.map(edge => this.vertices[edge.from]),
+          edges: cycleEdges,
+          profitPercentage
+        });
+      }
+    }
+    
+    return cycles.sort((a, b) => b.profitPercentage - a.profitPercentage);
+  }
+  
+  /**
+   * Run one Bellman-Ford pass and return the distinct negative cycles it reaches
+   * @param {Set<number>} excluded - Edge ids to leave out of this pass
+   * @returns {Array<Array<Object>>} - Cycle edge lists in swap order
+   * @private
+   */
+  runBellmanFord(excluded) {
+    const vertexCount = this.vertices.length;
+    const edges = this.edges.filter(edge => !excluded.has(edge.id));
+    
+    if (vertexCount < 2 || edges.length < 2) {
+      return [];
+    }
+    
+    // Starting every vertex at 0 is equivalent to a virtual source with zero-weight edges
+    const distance = new Array(vertexCount).fill(0);
+    const predecessor = new Array(vertexCount).fill(null);
+    
+    for (let i = 0; i < vertexCount - 1; i++) {
+      let updated = false;
+      
+      for (const edge of edges) {
+        if (distance[edge.from] + edge.weight < distance[edge.to] - PriceGraph.EPSILON) {
+          distance[edge.to] = distance[edge.from] + edge.weight;
+          predecessor[edge.to] = edge;
+          updated = true;
+        }
+      }
+      
+      if (!updated) {
+        return [];
+      }
+    }
+    
+    const found = [];
+    const keys = new Set();
+    
+    // Any edge that can still be relaxed leads into a negative cycle
+    for (const edge of edges) {
+      if (distance[edge.from] + edge.weight >= distance[edge.to] - PriceGraph.EPSILON) {
+        continue;
+      }
+      
+      predecessor[edge.to] = edge;
+      
+      const cycleEdges = this.extractCycle(predecessor, edge.to, vertexCount);
+      if (!cycleEdges) {
+        continue;
+      }
+      
+      const key = this.getCycleKey(cycleEdges);
+      if (!keys.has(key)) {
+        keys.add(key);
+        found.push(cycleEdges);
+      }
+    }
+    
+    return found;
+  }
+  
+  /**
+   * Walk the predecessor chain back into the cycle and collect its edges in swap order
+   * @param {Array<Object>} predecessor - Predecessor edge per vertex
+   * @param {number} start - Vertex reached through a relaxable edge
+   * @param {number} vertexCount - Number of vertices in the graph
+   * @returns {Array<Object>|null} - Cycle edges, or null if the chain is broken
+   * @private
+   */
+  extractCycle(predecessor, start, vertexCount) {
+    // Stepping back vertexCount times guarantees we are inside the cycle
+    let vertex = start;
+    for (let i = 0; i < vertexCount; i++) {
+      if (!predecessor[vertex]) {
+        return null;
+      }
+      vertex = predecessor[vertex].from;
+    }
+    
+    const cycleEdges = [];
+    let current = vertex;
+    
+    do {
+      const edge = predecessor[current];
+      if (!edge || cycleEdges.length > vertexCount) {
+        return null;
+      }
+      cycleEdges.push(edge);
+      current = edge.from;
+    } while (current !== vertex);
+    
+    return cycleEdges.reverse();
+  }
+  
+  /**
+   * Build a rotation-independent key for a cycle so it is only reported once
+   * @param {Array<Object>} cycleEdges - Cycle edges in swap order
+   * @returns {string} - Cycle key
+   * @private
+   */
+  getCycleKey(cycleEdges) {
+    const ids = cycleEdges.map(edge => edge.id);
+    const smallest = ids.indexOf(Math.min(...ids));
+    return [...ids.slice(smallest), ...ids.slice(0, smallest)].join('-');
+  }
+}
+
+// Tolerance for floating point noise when relaxing edges
+PriceGraph.EPSILON = 1e-12;
+
+module.exports = PriceGraph;
@@ -2,11 +2,20 @@ const { ethers } = require('ethers');
 const PancakeswapV2 = require('../dex/pancakeswapV2');
 const PancakeswapV3 = require('../dex/pancakeswapV3');
 const Apeswap = require('../dex/apeswap');
+const Biswap = require('../dex/biswap');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { formatEther } = require('../utils/helpers');
-const { safeDivide, calculatePercentageDifference } = require('../utils/numericUtils');
-const { validatePrice } = require('../utils/validation');
+const { formatEther, getSafeGasPrice, calculateGasCost } = require('../utils/helpers');
+const { calculatePercentageDifference } = require('../utils/numericUtils');
+const { validatePrice, isStablecoin } = require('../utils/validation');
+const { computeSpreadCurve, getPoolReserves, feePercentageToPpm } = require('../utils/ammMath');
+const registry = require('../registry/registry');
+const PriceGraph = require('./graph');
+const priceHistoryStore = require('./priceHistoryStore');
+const pegMonitor = require('./pegMonitor');
+const tokenMetadata = require('../utils/tokenMetadata');
+const TokenSafety = require('../utils/tokenSafety');
+const gasEstimator = require('../flashloan/gasEstimator');
 
 class OpportunityFinder {
   constructor(provider) {
@@ -16,151 +25,491 @@ class OpportunityFinder {
     this.pancakeV2 = new PancakeswapV2(provider);
     this.pancakeV3 = new PancakeswapV3(provider);
     this.apeswap = new Apeswap(provider);
+    this.biswap = new Biswap(provider);
     
-    // Token pairs to monitor
-    this.tokenPairs = [
-      {
-        token1: config.TOKENS.CAKE,
-        token2: config.TOKENS.WBNB,
-        name: 'CAKE/BNB'
-      },
-      {
-        token1: config.TOKENS.WBNB,
-        token2: config.TOKENS.USDT,
-        name: 'BNB/USDT'
-      },
-      {
-        token1: config.TOKENS.WBNB,
-        token2: config.TOKENS.BUSD,
-        name: 'BNB/BUSD'
-      },
-      {
-        token1: config.TOKENS.BUSD,
-        token2: config.TOKENS.USDT,
-        name: 'BUSD/USDT'
-      }
-    ];
+    // Probes tokens of pairs added at runtime, from the registry or pair discovery
+    this.tokenSafety = new TokenSafety(provider);
+    
+    // Token pairs to monitor, from the registry (discovered pairs are added at runtime)
+    this.tokenPairs = registry.getPairs().map(pair => this.toTokenPair(pair));
     
     // DEXes to compare
     this.dexes = [
       {
         name: 'PancakeSwap V2',
         instance: this.pancakeV2,
-        type: 'v2'
+        type: 'v2',
+        feeKey: 'pancakeV2'
       },
       {
         name: 'PancakeSwap V3',
         instance: this.pancakeV3,
-        type: 'v3'
+        type: 'v3',
+        feeKey: 'pancakeV3'
       },
       {
         name: 'ApeSwap',
         instance: this.apeswap,
-        type: 'v2'
+        type: 'v2',
+        feeKey: 'apeswap'
+      },
+      {
+        name: 'BiSwap',
+        instance: this.biswap,
+        type: 'v2',
+        feeKey: 'biswap',
+        // Each BiSwap pair sets its own fee, config.dexFees.biswap is only the fallback
+        perPairFee: true
       }
     ];
     
-    // Historical price tracking for volatility analysis
-    this.priceHistory = {
-      // Initialize with empty arrays for each token pair
-      'CAKE/BNB': [],
-      'BNB/USDT': [],
-      'BNB/BUSD': [],
-      'BUSD/USDT': []
+    // Preferred start (flash loaned) token when rotating a multi-hop cycle
+    this.cycleStartTokens = [config.TOKENS.WBNB, config.TOKENS.BUSD, config.TOKENS.USDT];
+    
+    // Event-driven pool state, set by watchPools
+    this.poolStateCache = null;
+    
+    // Watched pool per DEX and pair, keyed by `${dex name}:${sorted token addresses}`.
+    // V3 entries hold one pool per fee tier in `tiers`
+    this.watchedPools = {};
+    
+    // Prices from the last findOpportunities call, used to value amounts in BNB
+    this.latestPriceData = [];
+    
+    // Follow registry edits without a restart
+    registry.on('reload', () => {
+      this.syncRegistryPairs().catch(error => {
+        logger.error(`Error applying registry changes: ${error.message}`);
+      });
+    });
+  }
+  
+  /**
+   * Convert a registry pair into the shape used by tokenPairs
+   * @param {Object} pair - Pair from the registry
+   * @returns {Object} - Monitored pair
+   */
+  toTokenPair(pair) {
+    return {
+      token1: pair.token1,
+      token2: pair.token2,
+      name: pair.name,
+      dexes: pair.dexes,
+      minSpreadPercentage: pair.minSpreadPercentage,
+      source: 'registry'
+    };
+  }
+  
+  /**
+   * Bring tokenPairs in line with the registry: add new pairs, update settings
+   * of existing ones and drop registry pairs that were removed. New pairs are
+   * only monitored once their tokens pass a safety check. Pairs found by pair
+   * discovery are left alone.
+   * @returns {Promise<void>}
+   */
+  async syncRegistryPairs() {
+    const registryPairs = registry.getPairs();
+    const names = new Set(registryPairs.map(pair => pair.name));
+    
+    const removed = this.tokenPairs.filter(pair => pair.source === 'registry' && !names.has(pair.name));
+    if (removed.length > 0) {
+      this.tokenPairs = this.tokenPairs.filter(pair => !removed.includes(pair));
+      removed.forEach(pair => this.unwatchPair(pair));
+      logger.info(`Stopped monitoring ${removed.map(pair => pair.name).join(', ')} (removed from registry)`);
+    }
+    
+    for (const registryPair of registryPairs) {
+      const existing = this.findTokenPair(registryPair.token1, registryPair.token2);
+      
+      if (existing) {
+        Object.assign(existing, this.toTokenPair(registryPair));
+      } else {
+        await this.addPair(registryPair.token1, registryPair.token2, registryPair.name, this.toTokenPair(registryPair));
+      }
+    }
+  }
+  
+  /**
+   * Find a monitored pair by its tokens, in either order
+   * @param {string} token1 - First token address
+   * @param {string} token2 - Second token address
+   * @returns {Object|null} - Monitored pair or null
+   */
+  findTokenPair(token1, token2) {
+    return this.tokenPairs.find(pair =>
+      (this.isSameToken(pair.token1, token1) && this.isSameToken(pair.token2, token2)) ||
+      (this.isSameToken(pair.token1, token2) && this.isSameToken(pair.token2, token1))
+    ) || null;
+  }
+  
+  /**
+   * Register the pools behind every monitored pair with a pool state cache so
+   * prices are read from Sync/Swap-updated state instead of fresh RPC calls
+   * @param {PoolStateCache} poolStateCache - Cache to register the pools with
+   * @returns {Promise<number>} - Number of pools being watched
+   */
+  async watchPools(poolStateCache) {
+    this.poolStateCache = poolStateCache;
+    
+    // Watch all pools at once so their lookups and initial state share multicall batches
+    await Promise.all(this.tokenPairs.flatMap(pair => this.dexes.map(async (dex) => {
+      try {
+        await this.watchPool(dex, pair.token1, pair.token2);
+      } catch (error) {
+        logger.warn(`Could not watch ${dex.name} pool for ${pair.name}: ${error.message}`);
+      }
+    })));
+    
+    const count = Object.keys(this.watchedPools).length;
+    logger.info(`Watching ${count} pools for Sync/Swap events`);
+    
+    return count;
+  }
+  
+  /**
+   * Add a token pair to the monitored set at runtime
+   * @param {string} token1 - First token address
+   * @param {string} token2 - Second token address
+   * @param {string} name - Display name of the pair (e.g. 'CAKE/WBNB')
+   * @param {Object} [settings] - Extra pair settings (dexes, minSpreadPercentage, source)
+   * @returns {Promise<boolean>} - True if the pair was added, false if it was already monitored or a token is unsafe
+   */
+  async addPair(token1, token2, name, settings = {}) {
+    if (this.getPairName(token1, token2)) {
+      return false;
+    }
+    
+    // A taxed or unsellable token would make the arbitrage contract revert or lose funds
+    const safety = await this.tokenSafety.checkPair(token1, token2);
+    if (!safety.safe) {
+      logger.warn(`Not monitoring ${name}: ${safety.issues.join('; ')}`);
+      return false;
+    }
+    
+    // The pair may have been added while the tokens were being probed
+    if (this.getPairName(token1, token2)) {
+      return false;
+    }
+    
+    this.tokenPairs.push({ source: 'discovery', ...settings, token1, token2, name });
+    
+    if (this.poolStateCache) {
+      for (const dex of this.dexes) {
+        try {
+          await this.watchPool(dex, token1, token2);
+        } catch (error) {
+          logger.warn(`Could not watch ${dex.name} pool for ${name}: ${error.message}`);
+        }
+      }
+    }
+    
+    logger.info(`Now monitoring ${name} (${this.tokenPairs.length} pairs total)`);
+    
+    return true;
+  }
+  
+  /**
+   * Stop watching the pools of a pair that is no longer monitored, on every DEX
+   * @param {Object} pair - Monitored pair
+   */
+  unwatchPair(pair) {
+    for (const dex of this.dexes) {
+      const key = this.getWatchedPoolKey(dex.name, pair.token1, pair.token2);
+      const watched = this.watchedPools[key];
+      if (!watched) {
+        continue;
+      }
+      
+      delete this.watchedPools[key];
+      
+      if (this.poolStateCache) {
+        const addresses = watched.tiers ? watched.tiers.map(tier => tier.address) : [watched.address];
+        addresses.forEach(address => this.poolStateCache.unwatchPool(address));
+      }
+    }
+  }
+  
+  /**
+   * Resolve and register the pool of one DEX for a token pair
+   * @param {Object} dex - DEX entry from this.dexes
+   * @param {string} token1 - First token address
+   * @param {string} token2 - Second token address
+   * @returns {Promise<boolean>} - True if the pool is now watched
+   */
+  async watchPool(dex, token1, token2) {
+    const key = this.getWatchedPoolKey(dex.name, token1, token2);
+    
+    if (dex.type === 'v3') {
+      // Every fee tier is a separate pool, watched so spreads between tiers show up
+      const pools = await dex.instance.getFeeTierPools(token1, token2);
+      const tiers = await Promise.all(pools.map(async ({ address, fee }) => {
+        const state = await this.poolStateCache.watchPool({ address, type: dex.type, dex: dex.name });
+        return state ? { address, fee, feePercentage: dex.instance.getSwapFeePercentage(fee) } : null;
+      }));
+      
+      const watched = tiers.filter(Boolean);
+      if (watched.length === 0) {
+        return false;
+      }
+      
+      this.watchedPools[key] = { tiers: watched };
+      return true;
+    }
+    
+    const address = await dex.instance.getPairAddress(token1, token2);
+    if (!address || address === ethers.constants.AddressZero) {
+      return false;
+    }
+    
+    const feePercentage = await this.getV2FeePercentage(dex, token1, token2);
+    
+    const state = await this.poolStateCache.watchPool({ address, type: dex.type, dex: dex.name });
+    if (!state) {
+      return false;
+    }
+    
+    this.watchedPools[key] = { address, fee: null, feePercentage };
+    return true;
+  }
+  
+  /**
+   * Build the lookup key for a watched pool
+   * @param {string} dexName - DEX name
+   * @param {string} token1 - First token address
+   * @param {string} token2 - Second token address
+   * @returns {string} - Lookup key
+   */
+  getWatchedPoolKey(dexName, token1, token2) {
+    return `${dexName}:${[token1.toLowerCase(), token2.toLowerCase()].sort().join('-')}`;
+  }
+  
+  /**
+   * Read a DEX's price for a pair from the pool state cache
+   * @param {Object} dex - DEX entry from this.dexes
+   * @param {string} token1 - Base token address
+   * @param {string} token2 - Quote token address
+   * @param {Object} [watched] - Watched pool to read, defaults to the DEX's pool for the pair (V3 passes one of its tiers)
+   * @returns {Object|null} - { price, liquidity, feePercentage } or null if the pool is not cached
+   */
+  getCachedPoolPrice(dex, token1, token2, watched = this.watchedPools[this.getWatchedPoolKey(dex.name, token1, token2)]) {
+    if (!this.poolStateCache || !watched || !watched.address) {
+      return null;
+    }
+    
+    const state = this.poolStateCache.getPoolState(watched.address);
+    const price = this.poolStateCache.getPrice(watched.address, token1);
+    if (!state || !price) {
+      return null;
+    }
+    
+    if (dex.type === 'v3') {
+      return {
+        price,
+        liquidity: {
+          exists: true,
+          poolAddress: watched.address,
+          token0: state.token0,
+          token1: state.token1,
+          fee: state.fee,
+          sqrtPriceX96: state.sqrtPriceX96,
+          tick: state.tick,
+          liquidity: state.liquidity
+        },
+        feePercentage: watched.feePercentage,
+        feeTier: watched.fee
+      };
+    }
+    
+    const isToken0 = this.isSameToken(state.token0, token1);
+    
+    return {
+      price,
+      liquidity: {
+        exists: true,
+        pairAddress: watched.address,
+        reserveA: isToken0 ? state.reserve0 : state.reserve1,
+        reserveB: isToken0 ? state.reserve1 : state.reserve0
+      },
+      feePercentage: watched.feePercentage
     };
+  }
+  
+  /**
+   * Price a pair on a V2 DEX, from the pool state cache when the pool is watched
+   * @param {Object} dex - DEX entry from this.dexes
+   * @param {string} token1 - Base token address
+   * @param {string} token2 - Quote token address
+   * @returns {Promise<Object>} - { price, liquidity, feePercentage }
+   */
+  async getV2Quote(dex, token1, token2) {
+    const cached = this.getCachedPoolPrice(dex, token1, token2);
+    if (cached) {
+      return cached;
+    }
+    
+    const [price, liquidity, feePercentage] = await Promise.all([
+      dex.instance.getPrice(token1, token2),
+      dex.instance.getLiquidity(token1, token2),
+      this.getV2FeePercentage(dex, token1, token2)
+    ]);
+    
+    return { price, liquidity, feePercentage };
+  }
+  
+  /**
+   * Price a pair in every fee tier of a V3 DEX. Each tier is its own pool, so
+   * the graph can find spreads between tiers of the same pair.
+   * @param {Object} dex - DEX entry from this.dexes
+   * @param {string} token1 - Base token address
+   * @param {string} token2 - Quote token address
+   * @returns {Promise<Array<Object>>} - { price, liquidity, feePercentage, feeTier } per tier with active liquidity
+   */
+  async getFeeTierQuotes(dex, token1, token2) {
+    const watched = this.watchedPools[this.getWatchedPoolKey(dex.name, token1, token2)];
     
-    // Maximum price history points to keep (30 minutes worth at 1 data point per minute)
-    this.maxHistoryLength = 30;
+    let quotes;
+    if (this.poolStateCache && watched) {
+      quotes = watched.tiers.map(tier => this.getCachedPoolPrice(dex, token1, token2, tier));
+    } else {
+      const pools = await dex.instance.getFeeTierPools(token1, token2);
+      quotes = await Promise.all(pools.map(async (pool) => {
+        const liquidity = await dex.instance.getPoolLiquidity(pool.address);
+        
+        // Spot price from the pool's virtual reserves, in whole tokens
+        const reserves = getPoolReserves('v3', liquidity, token1);
+        if (!reserves || reserves.reserveA.isZero()) {
+          return null;
+        }
+        
+        return {
+          price: tokenMetadata.scalePrice(reserves.reserveB.mul(ethers.utils.parseEther('1')).div(reserves.reserveA), token1, token2),
+          liquidity,
+          feePercentage: dex.instance.getSwapFeePercentage(pool.fee),
+          feeTier: pool.fee
+        };
+      }));
+    }
     
-    // Interval between price updates (in milliseconds)
-    this.priceUpdateInterval = 60 * 1000; // 1 minute
+    // A tier without in-range liquidity has a stale price and cannot be traded against
+    return quotes.filter(quote => quote && !ethers.BigNumber.from(quote.liquidity.liquidity || 0).isZero());
+  }
+  
+  /**
+   * Get the swap fee of a V2 DEX for a pair
+   * @param {Object} dex - DEX entry from this.dexes
+   * @param {string} token1 - First token address
+   * @param {string} token2 - Second token address
+   * @returns {Promise<number>} - Swap fee in percent
+   */
+  async getV2FeePercentage(dex, token1, token2) {
+    if (dex.perPairFee) {
+      return dex.instance.getPairFeePercentage(token1, token2);
+    }
     
-    // Timestamp of the last price update for each pair
-    this.lastPriceUpdate = {};
+    return config.dexFees[dex.feeKey];
   }
   
   /**
-   * Find all potential arbitrage opportunities
+   * Find all potential arbitrage opportunities.
+   * Prices from every monitored pool are loaded into a single token graph and
+   * searched for negative cycles, so two-pool spreads and multi-hop routes are
+   * found in the same pass.
+   * @param {number|null} blockNumber - Block the prices are read at, recorded in the price history
    * @returns {Promise<Array<Object>>} - List of arbitrage opportunities
    */
-  async findOpportunities() {
-    const opportunities = [];
+  async findOpportunities(blockNumber = null) {
+    const priceDataByPair = [];
     
     for (const pair of this.tokenPairs) {
+      // Tokens that failed a safety check stay out until the registry says otherwise
+      if (!registry.isTokenSafe(pair.token1) || !registry.isTokenSafe(pair.token2)) {
+        logger.debug(`Skipping ${pair.name}: a token failed its safety check`);
+        continue;
+      }
+      
       try {
         // Get prices from all DEXes for this pair
-        const priceData = await this.getPricesForPair(pair.token1, pair.token2);
-        
-        // Find arbitrage opportunities between DEXes
-        const pairOpportunities = this.findArbitrageForPair(priceData, pair);
-        
-        if (pairOpportunities.length > 0) {
-          opportunities.push(...pairOpportunities);
-        }
+        const priceData = await this.getPricesForPair(pair.token1, pair.token2, blockNumber);
+        priceDataByPair.push({ pair, priceData });
       } catch (error) {
-        logger.error(`Error finding opportunities for ${pair.name}: ${error.message}`);
+        logger.error(`Error getting prices for ${pair.name}: ${error.message}`);
       }
     }
     
-    return opportunities;
+    this.latestPriceData = priceDataByPair;
+    
+    // Re-check stablecoin pegs before any opportunity is built on their prices
+    pegMonitor.update(priceDataByPair, blockNumber);
+    
+    try {
+      const graph = this.buildPriceGraph(priceDataByPair);
+      return await this.findCycleOpportunities(graph, priceDataByPair);
+    } catch (error) {
+      logger.error(`Error in graph arbitrage search: ${error.message}`);
+      return [];
+    }
   }
   
   /**
    * Get prices for a token pair from all DEXes
    * @param {string} token1 - First token address
    * @param {string} token2 - Second token address
+   * @param {number|null} blockNumber - Block the prices are read at, if known
    * @returns {Promise<Array<Object>>} - Price data from all DEXes
    */
-  async getPricesForPair(token1, token2) {
+  async getPricesForPair(token1, token2, blockNumber = null) {
     // Determine the token pair name
     const pairName = this.getPairName(token1, token2);
     
-    const pricesPromises = this.dexes.map(async (dex) => {
+    // Only query the DEXes configured for this pair, if any are listed
+    const pair = this.findTokenPair(token1, token2);
+    const dexes = pair && pair.dexes && pair.dexes.length > 0
+      ? this.dexes.filter(dex => pair.dexes.includes(dex.name))
+      : this.dexes;
+    
+    // Prices are quoted in whole tokens, which needs both tokens' decimals
+    await tokenMetadata.loadAll([token1, token2]).catch(error => {
+      logger.warn(`Could not load token metadata for ${token1}/${token2}: ${error.message}`);
+    });
+    
+    const pricesPromises = dexes.map(async (dex) => {
       try {
-        let price;
-        let liquidity;
+        // V3 DEXes return one quote per fee tier
+        const quotes = dex.type === 'v3'
+          ? await this.getFeeTierQuotes(dex, token1, token2)
+          : [await this.getV2Quote(dex, token1, token2)];
         
-        if (dex.type === 'v2') {
-          price = await dex.instance.getPrice(token1, token2);
-          liquidity = await dex.instance.getLiquidity(token1, token2);
-        } else if (dex.type === 'v3') {
-          // For V3, try to get the best pool
-          const bestPool = await dex.instance.getBestPool(token1, token2);
-          price = await dex.instance.getPrice(token1, token2, bestPool.fee);
-          liquidity = await dex.instance.getPoolLiquidity(bestPool.address);
-        }
-        
-        // Validate the price before using it
-        const priceValue = parseFloat(ethers.utils.formatEther(price));
-        if (!validatePrice(token1, token2, priceValue)) {
-          logger.warn(`Calculated ${dex.name} price ${priceValue} for ${token1}/${token2} failed validation, skipping`);
-          return null;
-        }
-        
-        return {
+        return quotes.filter(({ price }) => {
+          // Validate the price before using it
+          const priceValue = parseFloat(ethers.utils.formatEther(price));
+          if (!validatePrice(token1, token2, priceValue)) {
+            logger.warn(`Calculated ${dex.name} price ${priceValue} for ${token1}/${token2} failed validation, skipping`);
+            return false;
+          }
+          return true;
+        }).map(quote => ({
           dex: dex.name,
           type: dex.type,
           instance: dex.instance,
-          price,
-          liquidity
-        };
+          ...quote
+        }));
       } catch (error) {
         logger.debug(`Could not get price from ${dex.name} for ${token1}/${token2}: ${error.message}`);
-        return null;
+        return [];
       }
     });
     
-    // Filter out failed requests
-    const prices = (await Promise.all(pricesPromises)).filter(price => price !== null);
+    // Failed requests return no quotes
+    const prices = (await Promise.all(pricesPromises)).flat();
     
     // Log prices for debugging
     prices.forEach(price => {
-      logger.debug(`${price.dex} ${token1}/${token2} price: ${formatEther(price.price)}`);
+      logger.debug(`${this.getSourceName(price)} ${token1}/${token2} price: ${formatEther(price.price)}`);
     });
     
-    // Update price history if we have enough data
+    // Record every DEX's price in the persistent history
     if (prices.length > 0 && pairName) {
-      this.updatePriceHistory(pairName, prices);
+      this.updatePriceHistory(pairName, prices, blockNumber);
     }
     
     return {
@@ -175,61 +524,34 @@ class OpportunityFinder {
    * Update price history for a token pair
    * @param {string} pairName - Name of the token pair (e.g., 'CAKE/BNB')
    * @param {Array<Object>} prices - Current prices from different DEXes
+   * @param {number|null} blockNumber - Block the prices were read at, if known
    */
-  updatePriceHistory(pairName, prices) {
+  updatePriceHistory(pairName, prices, blockNumber = null) {
     try {
-      // Calculate average price across all DEXes for a more stable value
-      const totalPrices = prices.map(p => parseFloat(ethers.utils.formatEther(p.price)));
-      const avgPrice = totalPrices.reduce((sum, price) => sum + price, 0) / totalPrices.length;
-      
-      // Skip if the price is invalid
-      if (isNaN(avgPrice) || avgPrice === 0) {
-        return;
-      }
-      
-      // Only update once per interval to avoid too many data points
-      const now = Date.now();
-      if (this.lastPriceUpdate[pairName] && now - this.lastPriceUpdate[pairName] < this.priceUpdateInterval) {
-        return;
-      }
-      
-      // Update the last update timestamp
-      this.lastPriceUpdate[pairName] = now;
-      
-      // Ensure we have an array for this pair
-      if (!this.priceHistory[pairName]) {
-        this.priceHistory[pairName] = [];
-      }
-      
-      // Add the new price datapoint with timestamp
-      this.priceHistory[pairName].push({
-        price: avgPrice,
-        timestamp: now
-      });
-      
-      // Trim the history to keep only the latest maxHistoryLength points
-      if (this.priceHistory[pairName].length > this.maxHistoryLength) {
-        this.priceHistory[pairName] = this.priceHistory[pairName].slice(-this.maxHistoryLength);
+      for (const source of prices) {
+        priceHistoryStore.record(pairName, this.getSourceName(source), parseFloat(ethers.utils.formatEther(source.price)), blockNumber);
       }
-      
-      logger.debug(`Updated price history for ${pairName}, now have ${this.priceHistory[pairName].length} data points`);
     } catch (error) {
       logger.warn(`Error updating price history for ${pairName}: ${error.message}`);
     }
   }
   
+  /**
+   * Name of a price source: the DEX, plus the fee tier for V3 pools
+   * @param {Object} source - Price entry from getPricesForPair, or an opportunity leg
+   * @returns {string} - e.g. 'ApeSwap' or 'PancakeSwap V3 (500)'
+   */
+  getSourceName(source) {
+    return source.feeTier ? `${source.dex} (${source.feeTier})` : source.dex;
+  }
+  
   /**
    * Get formatted price history for a token pair, suitable for volatility calculations
    * @param {string} pairName - Name of the token pair
-   * @returns {Array<number>} - Array of recent prices (most recent last)
+   * @returns {Array<number>} - Recent prices averaged across DEXes, one per block (most recent last)
    */
   getPriceHistoryForPair(pairName) {
-    if (!this.priceHistory[pairName] || this.priceHistory[pairName].length === 0) {
-      return [];
-    }
-    
-    // Return just the price values in chronological order (oldest first)
-    return this.priceHistory[pairName].map(item => item.price);
+    return pairName ? priceHistoryStore.getPairPrices(pairName) : [];
   }
   
   /**
@@ -248,180 +570,479 @@ class OpportunityFinder {
   }
   
   /**
-   * Find arbitrage opportunities for a token pair
-   * @param {Object} priceData - Price data for a token pair
-   * @param {Object} pair - Token pair info
-   * @returns {Array<Object>} - List of arbitrage opportunities
+   * Build a token graph from the DEX prices of every monitored pair
+   * @param {Array<Object>} priceDataByPair - Entries of { pair, priceData } from getPricesForPair
+   * @returns {PriceGraph} - Graph with two directed edges per pool
    */
-  findArbitrageForPair(priceData, pair) {
-    try {
-      const opportunities = [];
-      const { token1, token2, prices } = priceData;
-      
-      // We need at least 2 DEXes to compare
-      if (prices.length < 2) {
-        return opportunities;
-      }
-      
-      // Compare prices between DEXes
-      for (let i = 0; i < prices.length; i++) {
-        for (let j = i + 1; j < prices.length; j++) {
-          try {
-            const dex1 = prices[i];
-            const dex2 = prices[j];
-            
-            // Skip if either DEX has no liquidity
-            if (!dex1.liquidity.exists || !dex2.liquidity.exists) {
-              continue;
-            }
-            
-            // Validate both prices before calculating arbitrage
-            const price1Value = parseFloat(ethers.utils.formatEther(dex1.price));
-            const price2Value = parseFloat(ethers.utils.formatEther(dex2.price));
-            
-            // Skip if either price is invalid (0, too high, stablecoin validation, etc.)
-            if (!validatePrice(token1, token2, price1Value) || !validatePrice(token1, token2, price2Value)) {
-              logger.debug(`Skipping arbitrage calculation between ${dex1.dex} and ${dex2.dex} due to invalid price values: ${price1Value}, ${price2Value}`);
-              continue;
-            }
-            
-            // Skip if either price is zero or extremely close to zero (below 0.000001)
-            if (price1Value < 0.000001 || price2Value < 0.000001) {
-              logger.debug(`Skipping arbitrage calculation between ${dex1.dex} and ${dex2.dex} due to near-zero price: ${price1Value}, ${price2Value}`);
-              continue;
-            }
-            
-            // Calculate price difference
-            const priceDifference = dex1.price.gt(dex2.price)
-              ? dex1.price.sub(dex2.price)
-              : dex2.price.sub(dex1.price);
-            
-            // Calculate percentage difference using safe numeric operations
-            const basePrice = dex1.price.gt(dex2.price) ? dex2.price : dex1.price;
-            
-            // Use our safe calculation utility to avoid div-by-zero and overflow errors
-            let percentageDifference;
-            try {
-              // Try to use our custom utility first
-              percentageDifference = calculatePercentageDifference(dex1.price, dex2.price);
-            } catch (error) {
-              // Fallback to manual calculation with safeDivide if the utility fails
-              const scaledDifference = priceDifference.mul(10000); // Scale for better precision
-              const safeResult = safeDivide(scaledDifference, basePrice, ethers.BigNumber.from(0));
-              
-              // Default to 0 if we get a division error
-              percentageDifference = safeResult.isZero() ? 0 : safeResult.toNumber() / 100;
-            }
-            
-            // If difference is greater than 0.1% but less than MAX_PRICE_DIVERGENCE (5%), it's a potential opportunity
-            if (percentageDifference > 0.1) {
-              const buy = dex1.price.lt(dex2.price) ? dex1 : dex2;
-              const sell = buy === dex1 ? dex2 : dex1;
-              
-              // Get the price history for this pair
-              const pairHistory = this.getPriceHistoryForPair(pair.name);
-                
-              // Create opportunity object with price history for volatility analysis
-              const opportunity = {
-                pair: {
-                  token1,
-                  token2,
-                  name: pair.name
-                },
-                buy: {
-                  dex: buy.dex,
-                  type: buy.type,
-                  instance: buy.instance,
-                  price: buy.price,
-                  liquidity: buy.liquidity
-                },
-                sell: {
-                  dex: sell.dex,
-                  type: sell.type,
-                  instance: sell.instance,
-                  price: sell.price,
-                  liquidity: sell.liquidity
-                },
-                priceDifference: percentageDifference,
-                timestamp: Date.now(),
-                priceHistory: pairHistory
-              };
-              
-              // Log if we have price history data for volatility calculations
-              if (pairHistory.length > 0) {
-                logger.debug(`Including ${pairHistory.length} price history points for volatility analysis of ${pair.name}`);
-              }
-              
-              // Check if the price difference is significant enough
-              logger.info(`🔍 Found ${percentageDifference.toFixed(2)}% price difference for ${pair.name} between ${buy.dex} and ${sell.dex}`);
-              logger.info(`   Buy price: ${formatEther(buy.price)} | Sell price: ${formatEther(sell.price)}`);
-              
-              // Skip opportunities where price difference exceeds MAX_PRICE_DIVERGENCE (5%)
-              if (percentageDifference > config.SAFETY.MAX_PRICE_DIVERGENCE) {
-                logger.warn(`⚠️ Price difference of ${percentageDifference.toFixed(2)}% exceeds maximum threshold of ${config.SAFETY.MAX_PRICE_DIVERGENCE}%. Skipping arbitrage for safety.`);
-                continue;
-              }
-              
-              opportunities.push(opportunity);
-            }
-          } catch (error) {
-            // Catch errors for individual DEX pair comparisons
-            logger.debug(`Error comparing ${prices[i]?.dex} and ${prices[j]?.dex}: ${error.message}`);
-            continue;
-          }
+  buildPriceGraph(priceDataByPair) {
+    const graph = new PriceGraph();
+    
+    for (const { pair, priceData } of priceDataByPair) {
+      for (const dexPrice of priceData.prices) {
+        // Skip pools without liquidity
+        if (dexPrice.liquidity && dexPrice.liquidity.exists === false) {
+          continue;
+        }
+        
+        const priceValue = parseFloat(ethers.utils.formatEther(dexPrice.price));
+        
+        // Skip near-zero prices, they come from empty or broken pools
+        if (priceValue < 0.000001) {
+          logger.debug(`Skipping ${dexPrice.dex} ${pair.name} due to near-zero price: ${priceValue}`);
+          continue;
         }
+        
+        graph.addPool({
+          tokenA: priceData.token1,
+          tokenB: priceData.token2,
+          price: priceValue,
+          feePercentage: dexPrice.feePercentage,
+          source: { ...dexPrice, pairName: pair.name }
+        });
       }
-      
+    }
+    
+    logger.debug(`Built price graph with ${graph.vertices.length} tokens and ${graph.edges.length} edges`);
+    
+    return graph;
+  }
+  
+  /**
+   * Turn negative cycles of a price graph into opportunities
+   * @param {PriceGraph} graph - Graph built by buildPriceGraph
+   * @param {Array<Object>} priceDataByPair - Entries of { pair, priceData } used to build the graph
+   * @returns {Promise<Array<Object>>} - Pair opportunities for 2-hop cycles and route opportunities for longer ones
+   */
+  async findCycleOpportunities(graph, priceDataByPair) {
+    const opportunities = [];
+    const cycles = graph.findNegativeCycles({
+      maxLength: config.arbitrage.maxRouteHops,
+      minProfitPercentage: this.getMinCycleProfitPercentage()
+    }).filter(cycle => !this.touchesHaltedToken(cycle));
+    
+    if (cycles.length === 0) {
       return opportunities;
-    } catch (error) {
-      // Catch errors for the entire arbitrage process
-      logger.error(`Error in findArbitrageForPair: ${error.message}`);
-      return [];
     }
+    
+    const gasPrice = await getSafeGasPrice(this.provider);
+    
+    for (const cycle of cycles) {
+      try {
+        const opportunity = cycle.edges.length === 2
+          ? this.createPairOpportunity(cycle, priceDataByPair, gasPrice)
+          : await this.createRouteOpportunity(cycle);
+        
+        if (opportunity) {
+          opportunities.push(opportunity);
+        }
+      } catch (error) {
+        logger.debug(`Error converting cycle ${cycle.tokens.join(' -> ')}: ${error.message}`);
+      }
+    }
+    
+    return opportunities;
   }
   
   /**
-   * Get a list of possible arbitrage routes for a token pair
+   * Lowest spread a cycle needs to be looked at. Stable/stable pairs use a
+   * tighter threshold than other pairs, so the graph search has to go that low;
+   * each opportunity type then applies its own threshold.
+   * @returns {number} - Minimum cycle profit in percent
+   */
+  getMinCycleProfitPercentage() {
+    return Math.min(config.arbitrage.minRouteProfitPercentage, config.stablePairs.minSpreadPercentage);
+  }
+  
+  /**
+   * Check whether a cycle trades a stablecoin that is halted for losing its peg
+   * @param {Object} cycle - Cycle from PriceGraph.findNegativeCycles
+   * @returns {boolean} - True if the cycle should be skipped
+   */
+  touchesHaltedToken(cycle) {
+    const halted = cycle.tokens.find(token => pegMonitor.isHalted(token));
+    if (halted) {
+      logger.debug(`Skipping cycle ${cycle.tokens.map(token => this.getTokenSymbol(token)).join(' -> ')}: ${this.getTokenSymbol(halted)} is off its peg`);
+      return true;
+    }
+    return false;
+  }
+  
+  /**
+   * Check whether both tokens of a pair are stablecoins, which puts the pair in stable-pair mode
    * @param {string} token1 - First token address
    * @param {string} token2 - Second token address
-   * @returns {Promise<Array<Object>>} - List of possible routes
+   * @returns {boolean} - True for a stable/stable pair
+   */
+  isStablePair(token1, token2) {
+    return isStablecoin(token1) && isStablecoin(token2);
+  }
+  
+  /**
+   * Convert a two-pool cycle into a buy/sell opportunity for its pair
+   * @param {Object} cycle - Cycle from PriceGraph.findNegativeCycles
+   * @param {Array<Object>} priceDataByPair - Entries of { pair, priceData }
+   * @param {BigNumber} gasPrice - Current gas price, used to value the trade
+   * @returns {Object|null} - Arbitrage opportunity, or null if it fails safety checks or has no positive expected value
    */
-  async getArbitrageRoutes(token1, token2) {
-    const routes = [];
+  createPairOpportunity(cycle, priceDataByPair, gasPrice) {
+    const entry = priceDataByPair.find(({ pair }) => pair.name === cycle.edges[0].source.pairName);
+    if (!entry) {
+      return null;
+    }
+    
+    const { pair, priceData } = entry;
+    const { token1, token2 } = priceData;
+    
+    // The buy leg swaps token1 into token2, the sell leg swaps it back
+    const buyIndex = this.isSameToken(cycle.tokens[0], token1) ? 0 : 1;
+    const buy = cycle.edges[buyIndex].source;
+    const sell = cycle.edges[1 - buyIndex].source;
+    
+    const percentageDifference = calculatePercentageDifference(buy.price, sell.price);
     
-    // Simple routes (direct swap)
-    const simpleRoute = {
-      path: [token1, token2],
-      dexes: []
+    // Stable/stable pairs trade on much thinner spreads, and a wide one is more likely a depeg than an opportunity
+    const stablePair = this.isStablePair(token1, token2);
+    
+    // Per-pair threshold from the registry, applied to the spread after swap fees
+    const pairMinSpread = pair.minSpreadPercentage ?? config.arbitrage.minRouteProfitPercentage;
+    const minSpreadPercentage = stablePair
+      ? Math.min(pairMinSpread, config.stablePairs.minSpreadPercentage)
+      : pairMinSpread;
+    if (cycle.profitPercentage < minSpreadPercentage) {
+      logger.debug(`${pair.name} spread of ${cycle.profitPercentage.toFixed(3)}% after fees is below the pair threshold of ${minSpreadPercentage}%`);
+      return null;
+    }
+    
+    // Skip opportunities where the price difference is too large to be trusted
+    const maxPriceDifference = stablePair ? config.stablePairs.maxPriceDifference : config.safety.priceDeviationThreshold;
+    if (percentageDifference > maxPriceDifference) {
+      logger.warn(`⚠️ Price difference of ${percentageDifference.toFixed(2)}% for ${pair.name} exceeds maximum threshold of ${maxPriceDifference}%. Skipping arbitrage for safety.`);
+      return null;
+    }
+    
+    // A spot spread only matters if some trade size still pays for impact, fees and gas
+    const sizing = this.sizePairOpportunity(buy, sell, token1, priceDataByPair, gasPrice, stablePair ? token2 : null);
+    if (!sizing) {
+      logger.debug(`${pair.name} spread of ${percentageDifference.toFixed(3)}% between ${this.getSourceName(buy)} and ${this.getSourceName(sell)} has no size with positive expected value`);
+      return null;
+    }
+    
+    logger.info(`🔍 Found ${percentageDifference.toFixed(2)}% price difference for ${pair.name} between ${this.getSourceName(buy)} and ${this.getSourceName(sell)} (${cycle.profitPercentage.toFixed(2)}% after swap fees)`);
+    logger.info(`   Buy price: ${formatEther(buy.price)} | Sell price: ${formatEther(sell.price)}`);
+    logger.info(`   Size: ${tokenMetadata.format(sizing.amountIn, token1)} (break-even at ${tokenMetadata.format(sizing.maxProfitableAmount, token1)}) | Expected value: ${tokenMetadata.format(sizing.expectedValue, token1)} ${this.getTokenSymbol(token1)}`);
+    
+    const pairHistory = this.getPriceHistoryForPair(pair.name);
+    
+    return {
+      pair: {
+        token1,
+        token2,
+        name: pair.name
+      },
+      buy: {
+        dex: buy.dex,
+        type: buy.type,
+        instance: buy.instance,
+        price: buy.price,
+        liquidity: buy.liquidity,
+        feeTier: buy.feeTier || null,
+        feePercentage: buy.feePercentage
+      },
+      sell: {
+        dex: sell.dex,
+        type: sell.type,
+        instance: sell.instance,
+        price: sell.price,
+        liquidity: sell.liquidity,
+        feeTier: sell.feeTier || null,
+        feePercentage: sell.feePercentage
+      },
+      sizing,
+      stablePair,
+      // Both legs in PancakeSwap V3, in different fee tiers of the same pair
+      crossFeeTier: buy.type === 'v3' && sell.type === 'v3' && buy.dex === sell.dex,
+      priceDifference: percentageDifference,
+      cycleProfitPercentage: cycle.profitPercentage,
+      timestamp: Date.now(),
+      priceHistory: pairHistory
     };
+  }
+  
+  /**
+   * Size a two-pool opportunity from pool reserves: find the most profitable
+   * input, the output and marginal prices at that size, and its expected value
+   * after the flash loan fee and gas
+   * @param {Object} buy - Graph edge source of the token1 -> token2 leg
+   * @param {Object} sell - Graph edge source of the token2 -> token1 leg
+   * @param {string} token1 - Borrowed token address
+   * @param {Array<Object>} priceDataByPair - Entries of { pair, priceData }, used to value gas in token1
+   * @param {BigNumber} gasPrice - Current gas price
+   * @param {string|null} stableCounterpart - token2 of a stable/stable pair, which sizes the trade in stablecoin units
+   * @returns {Object|null} - Sizing details, or null if no size has positive expected value
+   */
+  sizePairOpportunity(buy, sell, token1, priceDataByPair, gasPrice, stableCounterpart = null) {
+    const buyReserves = getPoolReserves(buy.type, buy.liquidity, token1);
+    const sellReserves = getPoolReserves(sell.type, sell.liquidity, token1);
     
-    // For each DEX, check if the pair exists
-    for (const dex of this.dexes) {
+    if (!buyReserves || !sellReserves) {
+      logger.debug(`Missing reserves for ${this.getSourceName(buy)} or ${this.getSourceName(sell)}, cannot size opportunity`);
+      return null;
+    }
+    
+    const buyPool = {
+      reserveIn: buyReserves.reserveA,
+      reserveOut: buyReserves.reserveB,
+      feePpm: feePercentageToPpm(buy.feePercentage)
+    };
+    const sellPool = {
+      reserveIn: sellReserves.reserveB,
+      reserveOut: sellReserves.reserveA,
+      feePpm: feePercentageToPpm(sell.feePercentage)
+    };
+    
+    // The flash loan cap is configured in BNB, or in stablecoin units for stable/stable pairs
+    const maxLoan = stableCounterpart
+      ? this.getStablePairLoanCap(token1, stableCounterpart)
+      : this.convertFromBnb(ethers.utils.parseEther(config.arbitrage.maxFlashLoanAmount), token1, priceDataByPair);
+    
+    // The size is solved in closed form from both pools' reserves, net of the flash loan fee
+    const flashFeePpm = feePercentageToPpm(config.flashLoan.feePercentage);
+    const curve = computeSpreadCurve(buyPool, sellPool, { maxAmountIn: maxLoan || undefined, flashFeePpm });
+    if (!curve.profitable) {
+      return null;
+    }
+    
+    const flashLoanFee = curve.amountIn.mul(flashFeePpm).div(1000000);
+    
+    // Detection makes no estimateGas calls; the learned figure for the route shape is close enough
+    const { gasUnits } = gasEstimator.getExpectedGas(gasEstimator.getRouteShape([buy.type, sell.type]), 2);
+    const gasCostBnb = calculateGasCost(gasPrice, gasUnits);
+    const gasCost = this.convertFromBnb(gasCostBnb, token1, priceDataByPair);
+    if (!gasCost) {
+      logger.debug(`No WBNB price for ${this.getTokenSymbol(token1)}, expected value excludes gas`);
+    }
+    
+    const expectedValue = curve.profit.sub(flashLoanFee).sub(gasCost || 0);
+    if (expectedValue.lte(0)) {
+      return null;
+    }
+    
+    return {
+      amountIn: curve.amountIn,
+      intermediateAmount: curve.intermediateAmount,
+      amountOut: curve.amountOut,
+      expectedProfit: curve.profit,
+      flashLoanFee,
+      gasCost: gasCost || ethers.BigNumber.from(0),
+      expectedValue,
+      maxProfitableAmount: curve.maxProfitableAmount,
+      maxAmountIn: maxLoan || null,
+      buyMarginalPrice: curve.buyMarginalPrice,
+      sellMarginalPrice: curve.sellMarginalPrice,
+      curve: curve.points
+    };
+  }
+  
+  /**
+   * Largest trade for a stable/stable pair. The cap shrinks as either coin
+   * drifts from its peg, down to minSizeFactor at the halt band, so less is
+   * exposed to a coin that may keep sliding while the trade is in flight.
+   * @param {string} token1 - Borrowed stablecoin
+   * @param {string} token2 - Other stablecoin
+   * @returns {BigNumber} - Cap in token1 base units
+   */
+  getStablePairLoanCap(token1, token2) {
+    const settings = config.stablePairs;
+    const deviation = Math.max(pegMonitor.getDeviation(token1), pegMonitor.getDeviation(token2));
+    const sizeFactor = Math.max(settings.minSizeFactor, 1 - deviation / settings.haltDeviation);
+    
+    return tokenMetadata.parse(settings.maxFlashLoanAmount, token1)
+      .mul(Math.round(sizeFactor * 1000000))
+      .div(1000000);
+  }
+  
+  /**
+   * Value an amount of a token in BNB using the prices from the last search
+   * @param {BigNumber} amount - Amount in the token's base units
+   * @param {string} token - Token address
+   * @returns {BigNumber|null} - Value in BNB (wei), or null if no WBNB price is known for the token
+   */
+  valueInBnb(amount, token) {
+    const one = ethers.utils.parseEther('1');
+    const tokensPerBnb = this.convertFromBnb(one, token, this.latestPriceData);
+    
+    if (!tokensPerBnb || tokensPerBnb.isZero()) {
+      return null;
+    }
+    
+    return amount.mul(one).div(tokensPerBnb);
+  }
+  
+  /**
+   * Convert an amount of BNB into a token using the latest WBNB pair prices
+   * @param {BigNumber} amount - Amount of BNB (wei)
+   * @param {string} token - Target token address
+   * @param {Array<Object>} priceDataByPair - Entries of { pair, priceData }
+   * @returns {BigNumber|null} - Amount in the token's base units, or null if no WBNB price is known for the token
+   */
+  convertFromBnb(amount, token, priceDataByPair) {
+    const wbnb = config.TOKENS.WBNB;
+    if (this.isSameToken(token, wbnb)) {
+      return amount;
+    }
+    
+    const entry = priceDataByPair.find(({ priceData }) =>
+      (this.isSameToken(priceData.token1, wbnb) && this.isSameToken(priceData.token2, token)) ||
+      (this.isSameToken(priceData.token1, token) && this.isSameToken(priceData.token2, wbnb))
+    );
+    const price = entry && entry.priceData.prices.length > 0 ? entry.priceData.prices[0].price : null;
+    
+    if (!price || price.isZero()) {
+      return null;
+    }
+    
+    // Prices are whole token1 in whole token2, scaled by 1e18, so this gives an 18-decimal amount
+    const one = ethers.utils.parseEther('1');
+    const wad = this.isSameToken(entry.priceData.token1, wbnb)
+      ? amount.mul(price).div(one)
+      : amount.mul(one).div(price);
+    
+    return tokenMetadata.fromWad(wad, token);
+  }
+  
+  /**
+   * Convert a cycle of three or more pools into a multi-hop route opportunity.
+   * The cycle is rotated to start at a flash-loanable token and re-quoted
+   * on-chain with the probe amount, since spot prices ignore price impact.
+   * @param {Object} cycle - Cycle from PriceGraph.findNegativeCycles
+   * @returns {Promise<Object|null>} - Route opportunity, or null if the quoted route loses money
+   */
+  async createRouteOpportunity(cycle) {
+    // Rotate the cycle so it starts at the most preferred start token it contains
+    let start = 0;
+    for (const token of this.cycleStartTokens) {
+      const index = cycle.tokens.findIndex(cycleToken => this.isSameToken(cycleToken, token));
+      if (index !== -1) {
+        start = index;
+        break;
+      }
+    }
+    
+    const tokens = [...cycle.tokens.slice(start), ...cycle.tokens.slice(0, start)];
+    const edges = [...cycle.edges.slice(start), ...cycle.edges.slice(0, start)];
+    const path = [...tokens, tokens[0]];
+    
+    const probeAmount = tokenMetadata.parse(config.arbitrage.routeProbeAmount || '1', path[0]);
+    // Each hop is re-quoted in the pool its edge was found in, V3 fee tier included
+    const hopSources = edges.map(edge => ({ dex: edge.source.dex, feeTier: edge.source.feeTier || null }));
+    const pricedRoute = await this.priceRoute(path, probeAmount, hopSources);
+    
+    if (!pricedRoute || pricedRoute.amountOut.lte(probeAmount)) {
+      logger.debug(`Cycle ${path.map(token => this.getTokenSymbol(token)).join(' -> ')} is not profitable at probe size`);
+      return null;
+    }
+    
+    const gain = pricedRoute.amountOut.sub(probeAmount);
+    const profitPercentage = parseFloat(ethers.utils.formatEther(gain.mul(100))) /
+      parseFloat(ethers.utils.formatEther(probeAmount));
+    
+    if (profitPercentage < config.arbitrage.minRouteProfitPercentage) {
+      return null;
+    }
+    
+    const routeName = path.map(token => this.getTokenSymbol(token)).join(' -> ');
+    
+    logger.info(`🔍 Found ${profitPercentage.toFixed(2)}% multi-hop route ${routeName} via ${pricedRoute.hops.map(hop => hop.dex).join(' / ')}`);
+    
+    return {
+      type: 'triangular',
+      pair: {
+        token1: path[0],
+        token2: path[1],
+        name: routeName
+      },
+      route: pricedRoute,
+      priceDifference: profitPercentage,
+      cycleProfitPercentage: cycle.profitPercentage,
+      timestamp: Date.now(),
+      priceHistory: []
+    };
+  }
+  
+  /**
+   * Price a token path end to end, each hop on the given DEX and, for V3, fee tier
+   * @param {Array<string>} path - Token path (first element is the input token)
+   * @param {ethers.BigNumber} amountIn - Input amount
+   * @param {Array<Object>} hopSources - { dex, feeTier } per hop, feeTier null for V2 or the best V3 pool
+   * @returns {Promise<Object|null>} - Hop details and final output, or null if any hop cannot be priced
+   */
+  async priceRoute(path, amountIn, hopSources) {
+    const hops = [];
+    let currentAmount = amountIn;
+    
+    for (let i = 0; i < path.length - 1; i++) {
+      const tokenIn = path[i];
+      const tokenOut = path[i + 1];
+      const feeTier = hopSources[i].feeTier || null;
+      const dex = this.dexes.find(candidate => candidate.name === hopSources[i].dex);
+      
+      if (!dex) {
+        return null;
+      }
+      
+      let amountOut;
       try {
-        let exists = false;
-        
-        if (dex.type === 'v2') {
-          const pairAddress = await dex.instance.getPairAddress(token1, token2);
-          exists = pairAddress !== ethers.constants.AddressZero;
-        } else if (dex.type === 'v3') {
-          const pools = await dex.instance.getAllPools(token1, token2);
-          exists = pools.length > 0;
-        }
-        
-        if (exists) {
-          routes.push({
-            ...simpleRoute,
-            dexes: [dex.name]
-          });
-        }
+        amountOut = dex.type === 'v3'
+          ? await dex.instance.getAmountOut(currentAmount, tokenIn, tokenOut, feeTier || undefined)
+          : await dex.instance.getAmountOut(currentAmount, tokenIn, tokenOut);
       } catch (error) {
-        logger.debug(`Error checking route for ${dex.name}: ${error.message}`);
+        logger.debug(`Could not quote ${dex.name} hop ${tokenIn} -> ${tokenOut}: ${error.message}`);
+        return null;
       }
+      
+      if (!amountOut || !amountOut.gt(0)) {
+        return null;
+      }
+      
+      hops.push({
+        dex: dex.name,
+        type: dex.type,
+        instance: dex.instance,
+        feeTier: dex.type === 'v3' ? feeTier : null,
+        tokenIn,
+        tokenOut,
+        amountIn: currentAmount,
+        amountOut
+      });
+      currentAmount = amountOut;
     }
     
-    // TODO: Add more complex routes with intermediate tokens if needed
-    
-    return routes;
+    return {
+      path,
+      hops,
+      amountIn,
+      amountOut: currentAmount
+    };
+  }
+  
+  /**
+   * Get a short symbol for a known token address
+   * @param {string} tokenAddress - Token address
+   * @returns {string} - Symbol from config, or the address if unknown
+   */
+  getTokenSymbol(tokenAddress) {
+    const entry = Object.entries(config.TOKENS).find(([, address]) => this.isSameToken(address, tokenAddress));
+    return entry ? entry[0] : tokenAddress;
+  }
+  
+  /**
+   * Compare two token addresses case-insensitively
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {boolean} - True if both addresses refer to the same token
+   */
+  isSameToken(tokenA, tokenB) {
+    return tokenA.toLowerCase() === tokenB.toLowerCase();
   }
 }
 
@@ -0,0 +1,234 @@
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('../utils/logger');
+const safetyManager = require('../utils/safetyManager');
+const priceHistoryStore = require('./priceHistoryStore');
+const tokenMetadata = require('../utils/tokenMetadata');
+
+/**
+ * Ranks evaluated opportunities and picks the set to execute in a block.
+ *
+ * Each opportunity is scored by its risk-adjusted expected profit in BNB,
+ * discounted by how likely another bot is to take it first and weighted by how
+ * efficiently it uses the flash loan. Opportunities are then taken best first,
+ * skipping any that touch a pool already used by a trade in the same block.
+ */
+class OpportunityQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.valueInBnb - (amount, token) => BigNumber|null, values profits in BNB
+   */
+  constructor({ valueInBnb } = {}) {
+    this.valueInBnb = valueInBnb || null;
+    
+    // Entries ordered by descending score
+    this.entries = [];
+    
+    // Pool key -> { blockNumber, opportunityId } for pools used this block
+    this.poolLocks = new Map();
+  }
+  
+  /**
+   * Score an evaluated opportunity and add it to the queue
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @param {Object} evaluation - Result of ArbitrageCalculator.calculateProfit
+   * @returns {Object} - Queue entry with score and its components
+   */
+  push(opportunity, evaluation) {
+    const entry = {
+      opportunity,
+      evaluation,
+      pools: this.getPools(opportunity, evaluation),
+      ...this.score(opportunity, evaluation)
+    };
+    
+    // Binary search for the insert position keeps the queue ordered
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.entries[mid].score >= entry.score) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.entries.splice(low, 0, entry);
+    
+    return entry;
+  }
+  
+  /**
+   * Take every queued opportunity, best first, and split them into the set that
+   * can execute this block and the ones that conflict with a better trade.
+   * Pools of the selected opportunities are locked until the block changes.
+   * @param {number|null} blockNumber - Block the trades target
+   * @returns {{selected: Array<Object>, deferred: Array<Object>}} - Entries to execute and entries skipped with a reason
+   */
+  selectBatch(blockNumber) {
+    this.releaseStaleLocks(blockNumber);
+    
+    const selected = [];
+    const deferred = [];
+    
+    for (const entry of this.entries) {
+      const conflict = entry.pools.find(pool => this.poolLocks.has(pool));
+      
+      if (conflict) {
+        const lock = this.poolLocks.get(conflict);
+        deferred.push({ ...entry, reason: `pool ${conflict} already used by opportunity ${lock.opportunityId} in block ${lock.blockNumber}` });
+        continue;
+      }
+      
+      for (const pool of entry.pools) {
+        this.poolLocks.set(pool, { blockNumber, opportunityId: entry.opportunity.id });
+      }
+      selected.push(entry);
+    }
+    
+    this.entries = [];
+    
+    if (deferred.length > 0) {
+      logger.info(`Selected ${selected.length} non-conflicting opportunities, deferred ${deferred.length} sharing pools`);
+    }
+    
+    return { selected, deferred };
+  }
+  
+  /**
+   * Release pool locks from earlier blocks
+   * @param {number|null} blockNumber - Current block
+   */
+  releaseStaleLocks(blockNumber) {
+    for (const [pool, lock] of this.poolLocks) {
+      if (lock.blockNumber !== blockNumber) {
+        this.poolLocks.delete(pool);
+      }
+    }
+  }
+  
+  /**
+   * Score an opportunity
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @param {Object} evaluation - Result of ArbitrageCalculator.calculateProfit
+   * @returns {Object} - { score, profitBnb, competition, riskFactor, returnOnCapital }
+   */
+  score(opportunity, evaluation) {
+    const settings = config.scoring;
+    
+    const profitBnb = this.getProfitInBnb(opportunity, evaluation);
+    const competition = this.getCompetitionLikelihood(opportunity);
+    const riskFactor = this.getRiskFactor(opportunity, evaluation);
+    
+    // Profit per unit borrowed, e.g. 0.002 for 0.2%
+    const flashLoanAmount = evaluation.flashLoanAmount;
+    const returnOnCapital = flashLoanAmount && !flashLoanAmount.isZero()
+      ? parseFloat(ethers.utils.formatEther(evaluation.profit)) / parseFloat(ethers.utils.formatEther(flashLoanAmount))
+      : 0;
+    
+    // Capital efficiency is a bonus on top of the risk-adjusted profit, capped at capitalWeight
+    const capitalBonus = 1 + settings.capitalWeight * Math.min(1, returnOnCapital / settings.targetReturnOnCapital);
+    const score = profitBnb * (1 - competition) * riskFactor * capitalBonus;
+    
+    logger.debug(`Scored ${opportunity.pair.name}: ${score.toFixed(6)} (profit ${profitBnb.toFixed(6)} BNB, competition ${(competition * 100).toFixed(0)}%, risk factor ${riskFactor.toFixed(2)}, return ${(returnOnCapital * 100).toFixed(3)}%)`);
+    
+    return { score, profitBnb, competition, riskFactor, returnOnCapital };
+  }
+  
+  /**
+   * Net profit valued in BNB
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @param {Object} evaluation - Result of ArbitrageCalculator.calculateProfit
+   * @returns {number} - Profit in BNB
+   * @private
+   */
+  getProfitInBnb(opportunity, evaluation) {
+    // The calculator values profits with on-chain prices; fall back to the cycle's own prices
+    const baseToken = evaluation.tokens?.baseToken || opportunity.pair.token1;
+    const value = evaluation.profitBnb
+      || (this.valueInBnb ? this.valueInBnb(evaluation.profit, baseToken) : null);
+    
+    if (!value) {
+      logger.debug(`No BNB price for ${baseToken}, scoring ${opportunity.pair.name} by raw profit`);
+    }
+    
+    return value
+      ? parseFloat(ethers.utils.formatEther(value))
+      : parseFloat(ethers.utils.formatUnits(evaluation.profit, tokenMetadata.getDecimals(baseToken)));
+  }
+  
+  /**
+   * Estimate the chance another searcher takes the opportunity first. Busy DEXes
+   * and wide spreads draw more competition, as do recent signs of competing bots.
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @returns {number} - Likelihood between 0 and maxCompetition
+   * @private
+   */
+  getCompetitionLikelihood(opportunity) {
+    const settings = config.scoring;
+    const dexes = opportunity.type === 'triangular'
+      ? opportunity.route.hops.map(hop => hop.dex)
+      : [opportunity.buy.dex, opportunity.sell.dex];
+    
+    let likelihood = Math.max(...dexes.map(dex => settings.dexCompetition[dex] ?? settings.defaultDexCompetition));
+    
+    likelihood += Math.min(settings.spreadCompetitionCap, opportunity.priceDifference * settings.spreadCompetitionPerPercent / 100);
+    
+    if (safetyManager.competitiveBotDetected) {
+      likelihood += settings.competitiveBotPenalty;
+    }
+    
+    return Math.min(settings.maxCompetition, likelihood);
+  }
+  
+  /**
+   * Discount for execution risk: price volatility of the pair and the number of swaps
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @param {Object} evaluation - Result of ArbitrageCalculator.calculateProfit
+   * @returns {number} - Factor between 0 and 1
+   * @private
+   */
+  getRiskFactor(opportunity, evaluation) {
+    const settings = config.scoring;
+    const volatility = priceHistoryStore.getVolatility(opportunity.pair.name) || 0;
+    
+    const swaps = evaluation.hops ? evaluation.hops.length : 2;
+    const hopFactor = Math.max(0, 1 - settings.extraHopPenalty * (swaps - 2));
+    
+    return hopFactor / (1 + volatility * settings.volatilityWeight);
+  }
+  
+  /**
+   * Pools an opportunity trades in or borrows from, used for locking
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @param {Object} evaluation - Result of ArbitrageCalculator.calculateProfit
+   * @returns {Array<string>} - Pool keys (lowercase address, or DEX and sorted tokens when the address is unknown)
+   * @private
+   */
+  getPools(opportunity, evaluation) {
+    const pools = new Set();
+    
+    const legs = opportunity.type === 'triangular'
+      ? opportunity.route.hops.map(hop => ({ dex: hop.dex, tokenIn: hop.tokenIn, tokenOut: hop.tokenOut }))
+      : [opportunity.buy, opportunity.sell].map(leg => ({
+        dex: leg.dex,
+        tokenIn: opportunity.pair.token1,
+        tokenOut: opportunity.pair.token2,
+        address: leg.liquidity?.pairAddress || leg.liquidity?.poolAddress
+      }));
+    
+    for (const leg of legs) {
+      pools.add(leg.address
+        ? leg.address.toLowerCase()
+        : `${leg.dex}:${[leg.tokenIn.toLowerCase(), leg.tokenOut.toLowerCase()].sort().join('-')}`);
+    }
+    
+    if (evaluation.flashLoanPool) {
+      pools.add(evaluation.flashLoanPool.toLowerCase());
+    }
+    
+    return [...pools];
+  }
+}
+
+module.exports = OpportunityQueue;
@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { formatBreakdown } = require('./profitBreakdown');
+const spreadSurvival = require('./spreadSurvival');
+
+// Lifecycle states
+const STATES = {
+  DETECTED: 'detected',
+  EVALUATED: 'evaluated',
+  EXECUTED: 'executed',
+  EXPIRED: 'expired',
+  SKIPPED: 'skipped'
+};
+
+// Transitions kept per opportunity
+const MAX_TRANSITIONS = 50;
+
+/**
+ * Tracks opportunities across detection cycles.
+ *
+ * Every opportunity gets a deterministic ID from its pair, DEXes and direction,
+ * so the same spread seen on consecutive blocks maps to one record that moves
+ * through detected -> evaluated -> executed/expired/skipped. Records are
+ * persisted to disk so the dashboard (which may run in another process) and
+ * later runs can read the history.
+ */
+class OpportunityTracker {
+  /**
+   * @param {string} filePath - File the history is persisted to
+   * @param {number} maxRecords - Maximum number of records to keep
+   */
+  constructor(filePath, maxRecords) {
+    this.filePath = filePath;
+    this.maxRecords = maxRecords;
+    
+    // Opportunity ID -> record
+    this.records = new Map();
+    
+    // Modification time of the history file when it was last read
+    this.loadedMtime = 0;
+    
+    this.load();
+  }
+  
+  /**
+   * Build the deterministic key of an opportunity
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @returns {string} - Human readable key, e.g. 'WBNB/BUSD:PancakeSwap V2>ApeSwap:WBNB>BUSD'
+   */
+  getOpportunityKey(opportunity) {
+    if (opportunity.type === 'triangular') {
+      const hops = opportunity.route.hops.map(hop => hop.dex).join('>');
+      return `route:${opportunity.route.path.map(token => token.toLowerCase()).join('>')}:${hops}`;
+    }
+    
+    const { pair, buy, sell } = opportunity;
+    const direction = `${pair.token1.toLowerCase()}>${pair.token2.toLowerCase()}`;
+    
+    // V3 legs name their fee tier, so spreads between tiers of one DEX get their own IDs
+    const leg = ({ dex, feeTier }) => feeTier ? `${dex}@${feeTier}` : dex;
+    return `${pair.name}:${leg(buy)}>${leg(sell)}:${direction}`;
+  }
+  
+  /**
+   * Get the deterministic ID of an opportunity
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @returns {string} - 16 character hex ID, safe to use in URLs
+   */
+  getOpportunityId(opportunity) {
+    return crypto.createHash('sha1').update(this.getOpportunityKey(opportunity)).digest('hex').slice(0, 16);
+  }
+  
+  /**
+   * Record the opportunities found in a cycle. Opportunities get their `id` set,
+   * records that were not seen this cycle expire, and only opportunities that
+   * are new or whose spread moved since they were last evaluated are returned.
+   * @param {Array<Object>} opportunities - Opportunities found this cycle
+   * @param {number|null} blockNumber - Block the prices were read at
+   * @returns {Array<Object>} - Opportunities that need evaluation
+   */
+  observe(opportunities, blockNumber) {
+    const now = Date.now();
+    const seen = new Set();
+    const actionable = [];
+    
+    for (const opportunity of opportunities) {
+      const id = this.getOpportunityId(opportunity);
+      opportunity.id = id;
+      
+      // The same route can be reported twice in one cycle, track it once
+      if (seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+      
+      const fingerprint = this.getSpreadFingerprint(opportunity);
+      let record = this.records.get(id);
+      
+      if (!record) {
+        record = this.createRecord(id, opportunity, blockNumber, now);
+        this.records.set(id, record);
+        this.transition(record, STATES.DETECTED, 'new opportunity', blockNumber);
+      } else if (!record.active) {
+        // The spread closed and reopened, treat it as a new occurrence
+        record.firstSeenBlock = blockNumber;
+        record.firstSeenAt = now;
+        record.occurrences++;
+        this.transition(record, STATES.DETECTED, 'reopened', blockNumber);
+      } else if (record.state !== STATES.DETECTED && record.fingerprint !== fingerprint) {
+        this.transition(record, STATES.DETECTED, `spread changed from ${record.fingerprint} to ${fingerprint}`, blockNumber);
+      }
+      
+      record.active = true;
+      record.lastSeenBlock = blockNumber;
+      record.lastSeenAt = now;
+      record.timesSeen++;
+      record.fingerprint = fingerprint;
+      record.latest = this.summarize(opportunity);
+      
+      if (record.state === STATES.DETECTED) {
+        actionable.push(opportunity);
+      }
+    }
+    
+    // Anything not seen this cycle has gone away, expire it unless it was executed
+    for (const record of this.records.values()) {
+      if (seen.has(record.id) || !record.active) {
+        continue;
+      }
+      
+      record.active = false;
+      if (record.state !== STATES.EXECUTED) {
+        // Spreads we closed ourselves say nothing about how long others leave them open
+        spreadSurvival.recordLifetime(record.pair, record.firstSeenAt, record.lastSeenAt, now);
+        this.transition(record, STATES.EXPIRED, 'no longer detected', blockNumber);
+      }
+    }
+    
+    if (opportunities.length > 0 && actionable.length < seen.size) {
+      logger.debug(`${seen.size - actionable.length} of ${seen.size} opportunities unchanged since last evaluation`);
+    }
+    
+    this.prune();
+    this.persist();
+    
+    return actionable;
+  }
+  
+  /**
+   * Record the result of the profit calculation
+   * @param {Object} opportunity - Opportunity with an id from observe()
+   * @param {Object} result - Result of ArbitrageCalculator.calculateProfit
+   * @param {number|null} blockNumber - Current block
+   */
+  markEvaluated(opportunity, result, blockNumber) {
+    const record = this.records.get(opportunity.id);
+    if (!record) {
+      return;
+    }
+    
+    record.evaluation = this.serialize({
+      isProfitable: result.isProfitable,
+      borrowToken: result.tokens?.baseToken,
+      profit: result.profit,
+      profitUsd: result.profitUsd,
+      expectedProfitUsd: result.expectedProfitUsd,
+      survivalProbability: result.survival?.probability,
+      flashLoanAmount: result.flashLoanAmount,
+      flashSource: result.flashSource?.label,
+      gasCost: result.gasCost,
+      reason: result.reason,
+      breakdown: formatBreakdown(result.breakdown)
+    });
+    
+    this.transition(record, STATES.EVALUATED, result.isProfitable ? 'profitable after costs' : 'not profitable after costs', blockNumber);
+    this.persist();
+  }
+  
+  /**
+   * Record an execution attempt
+   * @param {Object} opportunity - Opportunity with an id from observe()
+   * @param {Object} txResult - Result of FlashLoanExecutor.execute
+   * @param {number|null} blockNumber - Current block
+   */
+  markExecuted(opportunity, txResult, blockNumber) {
+    const record = this.records.get(opportunity.id);
+    if (!record) {
+      return;
+    }
+    
+    record.execution = this.serialize({
+      success: txResult.success,
+      txHash: txResult.txHash,
+      gasUsed: txResult.gasUsed,
+      gasCost: txResult.gasCost,
+      realisedProfit: txResult.realisedProfit,
+      simulatedProfit: txResult.simulatedProfit,
+      actualProfit: txResult.actualProfit,
+      preflightFailed: txResult.preflightFailed,
+      skipped: txResult.skipped,
+      simulated: txResult.simulated,
+      error: txResult.error
+    });
+    
+    if (txResult.success) {
+      this.transition(record, STATES.EXECUTED, txResult.txHash ? `transaction ${txResult.txHash}` : 'executed', blockNumber);
+    } else if (txResult.preflightFailed || txResult.skipped || txResult.simulated) {
+      // Caught by the dry run or the executor's checks, or no contract to send to, so nothing was broadcast
+      this.transition(record, STATES.SKIPPED, txResult.error, blockNumber);
+    } else {
+      this.transition(record, STATES.SKIPPED, `execution failed: ${txResult.error}`, blockNumber);
+    }
+    
+    this.persist();
+  }
+  
+  /**
+   * Record that an opportunity was not executed
+   * @param {Object} opportunity - Opportunity with an id from observe()
+   * @param {string} reason - Why it was skipped
+   * @param {number|null} blockNumber - Current block
+   */
+  markSkipped(opportunity, reason, blockNumber) {
+    const record = this.records.get(opportunity.id);
+    if (!record) {
+      return;
+    }
+    
+    this.transition(record, STATES.SKIPPED, reason, blockNumber);
+    this.persist();
+  }
+  
+  /**
+   * Get a tracked opportunity, re-reading the history file if another process updated it
+   * @param {string} id - Opportunity ID
+   * @returns {Object|null} - Opportunity record or null if unknown
+   */
+  getOpportunity(id) {
+    this.load();
+    return this.records.get(id) || null;
+  }
+  
+  /**
+   * Get the most recently seen opportunities
+   * @param {number} limit - Maximum number of records
+   * @returns {Array<Object>} - Records, most recent first
+   */
+  getRecent(limit = 50) {
+    this.load();
+    return [...this.records.values()]
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .slice(0, limit);
+  }
+  
+  /**
+   * Create a record for a newly seen opportunity
+   * @param {string} id - Opportunity ID
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @param {number|null} blockNumber - Block it was first seen at
+   * @param {number} now - Current timestamp
+   * @returns {Object} - New record
+   * @private
+   */
+  createRecord(id, opportunity, blockNumber, now) {
+    const isRoute = opportunity.type === 'triangular';
+    
+    return {
+      id,
+      key: this.getOpportunityKey(opportunity),
+      type: isRoute ? 'triangular' : 'pair',
+      pair: opportunity.pair.name,
+      buyDex: isRoute ? null : opportunity.buy.dex,
+      sellDex: isRoute ? null : opportunity.sell.dex,
+      buyFeeTier: isRoute ? null : opportunity.buy.feeTier || null,
+      sellFeeTier: isRoute ? null : opportunity.sell.feeTier || null,
+      dexes: isRoute ? opportunity.route.hops.map(hop => hop.dex) : [opportunity.buy.dex, opportunity.sell.dex],
+      direction: [opportunity.pair.token1, opportunity.pair.token2],
+      state: null,
+      reason: null,
+      active: true,
+      firstSeenBlock: blockNumber,
+      lastSeenBlock: blockNumber,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      occurrences: 1,
+      timesSeen: 0,
+      fingerprint: null,
+      latest: null,
+      evaluation: null,
+      execution: null,
+      transitions: []
+    };
+  }
+  
+  /**
+   * Move a record to a new state
+   * @param {Object} record - Opportunity record
+   * @param {string} state - New state
+   * @param {string} reason - Why the state changed
+   * @param {number|null} blockNumber - Current block
+   * @private
+   */
+  transition(record, state, reason, blockNumber) {
+    record.state = state;
+    record.reason = reason;
+    record.transitions.push({ state, reason, block: blockNumber, timestamp: Date.now() });
+    
+    if (record.transitions.length > MAX_TRANSITIONS) {
+      record.transitions = record.transitions.slice(-MAX_TRANSITIONS);
+    }
+    
+    logger.debug(`Opportunity ${record.id} (${record.pair}) -> ${state}: ${reason}`);
+  }
+  
+  /**
+   * Spread the opportunity was evaluated at, rounded so price noise does not
+   * trigger re-evaluation
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @returns {string} - Rounded spread, e.g. '0.42%'
+   * @private
+   */
+  getSpreadFingerprint(opportunity) {
+    return `${opportunity.priceDifference.toFixed(2)}%`;
+  }
+  
+  /**
+   * Snapshot of the latest detection, safe to persist
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @returns {Object} - Plain snapshot
+   * @private
+   */
+  summarize(opportunity) {
+    return this.serialize({
+      priceDifference: opportunity.priceDifference,
+      cycleProfitPercentage: opportunity.cycleProfitPercentage,
+      buyPrice: opportunity.buy?.price,
+      sellPrice: opportunity.sell?.price,
+      amountIn: opportunity.sizing?.amountIn,
+      expectedValue: opportunity.sizing?.expectedValue,
+      timestamp: opportunity.timestamp
+    });
+  }
+  
+  /**
+   * Convert BigNumbers to strings and drop undefined fields
+   * @param {Object} values - Values to serialize
+   * @returns {Object} - JSON-safe copy
+   * @private
+   */
+  serialize(values) {
+    const result = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (value === undefined) {
+        continue;
+      }
+      result[key] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    }
+    return result;
+  }
+  
+  /**
+   * Drop the oldest records beyond maxRecords
+   * @private
+   */
+  prune() {
+    if (this.records.size <= this.maxRecords) {
+      return;
+    }
+    
+    const oldest = [...this.records.values()]
+      .sort((a, b) => a.lastSeenAt - b.lastSeenAt)
+      .slice(0, this.records.size - this.maxRecords);
+    
+    for (const record of oldest) {
+      this.records.delete(record.id);
+    }
+  }
+  
+  /**
+   * Load the history file if it changed since it was last read
+   * @private
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+      
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs <= this.loadedMtime) {
+        return;
+      }
+      
+      const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.records = new Map(records.map(record => [record.id, record]));
+      this.loadedMtime = mtimeMs;
+    } catch (error) {
+      logger.error(`Error loading opportunity history from ${this.filePath}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Write the history file, replacing it atomically
+   * @private
+   */
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify([...this.records.values()]));
+      fs.renameSync(tempPath, this.filePath);
+      
+      // Our own write does not need to be read back
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      logger.error(`Error saving opportunity history: ${error.message}`);
+    }
+  }
+}
+
+OpportunityTracker.STATES = STATES;
+
+// Export a singleton instance
+const opportunityTracker = new OpportunityTracker(
+  path.resolve(process.cwd(), config.opportunityTracking.historyFile),
+  config.opportunityTracking.maxRecords
+);
+
+module.exports = opportunityTracker;
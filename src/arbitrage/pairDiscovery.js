@@ -0,0 +1,388 @@
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('../utils/logger');
+const tokenMetadata = require('../utils/tokenMetadata');
+
+const V2FactoryABI = [
+  'function allPairs(uint256) view returns (address)',
+  'function allPairsLength() view returns (uint256)',
+  'function getPair(address tokenA, address tokenB) view returns (address)',
+  'event PairCreated(address indexed token0, address indexed token1, address pair, uint256)'
+];
+
+const V3FactoryABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+  'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)'
+];
+
+const PairABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+const ERC20ABI = [
+  'function symbol() view returns (string)',
+  'function balanceOf(address) view returns (uint256)'
+];
+
+/**
+ * Discovers tradable pairs from the DEX factories and feeds them into the
+ * OpportunityFinder. Pools are found by scanning allPairs / getPair / getPool
+ * on startup and by listening for PairCreated and PoolCreated afterwards, then
+ * filtered by a token allowlist, minimum reserves and a simulated buy and sell
+ * of each token that catches transfer taxes and honeypots.
+ */
+class PairDiscovery {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider for factory reads and event subscriptions
+   * @param {OpportunityFinder} opportunityFinder - Finder that receives the discovered pairs
+   */
+  constructor(provider, opportunityFinder) {
+    this.provider = provider;
+    this.opportunityFinder = opportunityFinder;
+    
+    this.v2Factories = [
+      { dex: 'PancakeSwap V2', address: config.addresses.pancakeswapV2.factory },
+      { dex: 'ApeSwap', address: config.addresses.apeswap.factory },
+      { dex: 'BiSwap', address: config.addresses.biswap.factory }
+    ].map(factory => ({
+      ...factory,
+      contract: new ethers.Contract(factory.address, V2FactoryABI, provider)
+    }));
+    
+    this.v3Factory = {
+      dex: 'PancakeSwap V3',
+      address: config.addresses.pancakeswapV3.factory,
+      contract: new ethers.Contract(config.addresses.pancakeswapV3.factory, V3FactoryABI, provider)
+    };
+    
+    this.feeTiers = Object.values(config.pancakeswapV3FeeTiers);
+    
+    // Allowed tokens (lowercase addresses)
+    const allowlist = config.discovery.tokenAllowlist.length > 0
+      ? config.discovery.tokenAllowlist
+      : Object.values(config.TOKENS);
+    this.allowlist = new Set(allowlist.map(token => token.toLowerCase()));
+    
+    // Minimum reserve per token (lowercase address -> BigNumber)
+    this.minReserves = {};
+    for (const [symbol, amount] of Object.entries(config.discovery.minReserves)) {
+      if (config.TOKENS[symbol]) {
+        this.minReserves[config.TOKENS[symbol].toLowerCase()] = tokenMetadata.parse(amount, config.TOKENS[symbol]);
+      }
+    }
+    
+    // Pools already evaluated, so restarts of the scan do not re-check them
+    this.seenPools = new Set();
+    
+    // Token address (lowercase) -> symbol
+    this.symbols = {};
+    
+    this.listening = false;
+  }
+  
+  /**
+   * Backfill existing pools and start listening for new ones
+   * @returns {Promise<number>} - Number of pairs added during backfill
+   */
+  async start() {
+    let added = 0;
+    
+    try {
+      added += await this.scanAllowlistCombinations();
+      added += await this.scanRecentV2Pairs();
+      added += await this.scanRecentV3Pools();
+    } catch (error) {
+      logger.error(`Error during pair discovery backfill: ${error.message}`);
+    }
+    
+    this.listen();
+    
+    logger.info(`Pair discovery added ${added} pairs, monitoring ${this.opportunityFinder.tokenPairs.length} pairs in total`);
+    
+    return added;
+  }
+  
+  /**
+   * Look up every allowlisted token combination directly on each factory
+   * @returns {Promise<number>} - Number of pairs added
+   */
+  async scanAllowlistCombinations() {
+    const tokens = [...this.allowlist];
+    let added = 0;
+    
+    for (let i = 0; i < tokens.length; i++) {
+      for (let j = i + 1; j < tokens.length; j++) {
+        for (const factory of this.v2Factories) {
+          try {
+            const pairAddress = await factory.contract.getPair(tokens[i], tokens[j]);
+            if (await this.considerV2Pair(factory.dex, pairAddress)) {
+              added++;
+            }
+          } catch (error) {
+            logger.debug(`getPair failed on ${factory.dex}: ${error.message}`);
+          }
+        }
+        
+        for (const fee of this.feeTiers) {
+          try {
+            const poolAddress = await this.v3Factory.contract.getPool(tokens[i], tokens[j], fee);
+            if (await this.considerV3Pool(poolAddress, tokens[i], tokens[j])) {
+              added++;
+            }
+          } catch (error) {
+            logger.debug(`getPool failed for fee ${fee}: ${error.message}`);
+          }
+        }
+      }
+    }
+    
+    return added;
+  }
+  
+  /**
+   * Walk the newest allPairs entries of each V2 factory
+   * @returns {Promise<number>} - Number of pairs added
+   */
+  async scanRecentV2Pairs() {
+    let added = 0;
+    
+    for (const factory of this.v2Factories) {
+      try {
+        const length = (await factory.contract.allPairsLength()).toNumber();
+        const from = Math.max(0, length - config.discovery.backfillPairs);
+        
+        logger.debug(`Scanning ${factory.dex} pairs ${from}-${length}`);
+        
+        for (let i = length - 1; i >= from; i--) {
+          const pairAddress = await factory.contract.allPairs(i);
+          if (await this.considerV2Pair(factory.dex, pairAddress)) {
+            added++;
+          }
+        }
+      } catch (error) {
+        logger.warn(`Error scanning ${factory.dex} factory: ${error.message}`);
+      }
+    }
+    
+    return added;
+  }
+  
+  /**
+   * Read recent PoolCreated logs from the V3 factory
+   * @returns {Promise<number>} - Number of pairs added
+   */
+  async scanRecentV3Pools() {
+    let added = 0;
+    
+    try {
+      const latestBlock = await this.provider.getBlockNumber();
+      const fromBlock = Math.max(0, latestBlock - config.discovery.lookbackBlocks);
+      const events = await this.v3Factory.contract.queryFilter(
+        this.v3Factory.contract.filters.PoolCreated(),
+        fromBlock,
+        latestBlock
+      );
+      
+      for (const event of events) {
+        const { token0, token1, pool } = event.args;
+        if (await this.considerV3Pool(pool, token0, token1)) {
+          added++;
+        }
+      }
+    } catch (error) {
+      logger.warn(`Error scanning PoolCreated logs: ${error.message}`);
+    }
+    
+    return added;
+  }
+  
+  /**
+   * Subscribe to PairCreated and PoolCreated on every factory
+   */
+  listen() {
+    if (this.listening) {
+      return;
+    }
+    
+    for (const factory of this.v2Factories) {
+      factory.contract.on('PairCreated', async (token0, token1, pair) => {
+        try {
+          logger.debug(`${factory.dex} PairCreated ${token0}/${token1} at ${pair}`);
+          await this.considerV2Pair(factory.dex, pair);
+        } catch (error) {
+          logger.warn(`Error handling ${factory.dex} PairCreated: ${error.message}`);
+        }
+      });
+    }
+    
+    this.v3Factory.contract.on('PoolCreated', async (token0, token1, fee, tickSpacing, pool) => {
+      try {
+        logger.debug(`PancakeSwap V3 PoolCreated ${token0}/${token1} (${fee}) at ${pool}`);
+        await this.considerV3Pool(pool, token0, token1);
+      } catch (error) {
+        logger.warn(`Error handling PoolCreated: ${error.message}`);
+      }
+    });
+    
+    this.listening = true;
+    logger.info('Listening for PairCreated/PoolCreated events on DEX factories');
+  }
+  
+  /**
+   * Stop listening for factory events
+   */
+  stop() {
+    for (const factory of this.v2Factories) {
+      factory.contract.removeAllListeners('PairCreated');
+    }
+    this.v3Factory.contract.removeAllListeners('PoolCreated');
+    this.listening = false;
+  }
+  
+  /**
+   * Check a V2 pair against the allowlist and reserve thresholds and add it if it qualifies
+   * @param {string} dex - DEX name
+   * @param {string} pairAddress - Pair address
+   * @returns {Promise<boolean>} - True if a new pair was added to the finder
+   */
+  async considerV2Pair(dex, pairAddress) {
+    if (!pairAddress || pairAddress === ethers.constants.AddressZero || this.markSeen(pairAddress)) {
+      return false;
+    }
+    
+    const pair = new ethers.Contract(pairAddress, PairABI, this.provider);
+    const [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
+    
+    if (!this.isAllowed(token0, token1)) {
+      return false;
+    }
+    
+    const { reserve0, reserve1 } = await pair.getReserves();
+    
+    if (!this.hasMinimumReserves(token0, reserve0, token1, reserve1)) {
+      logger.debug(`Skipping ${dex} pair ${pairAddress}: reserves below threshold`);
+      return false;
+    }
+    
+    return this.addPair(token0, token1);
+  }
+  
+  /**
+   * Check a V3 pool against the allowlist and reserve thresholds and add it if it qualifies
+   * @param {string} poolAddress - Pool address
+   * @param {string} token0 - First pool token
+   * @param {string} token1 - Second pool token
+   * @returns {Promise<boolean>} - True if a new pair was added to the finder
+   */
+  async considerV3Pool(poolAddress, token0, token1) {
+    if (!poolAddress || poolAddress === ethers.constants.AddressZero || this.markSeen(poolAddress)) {
+      return false;
+    }
+    
+    if (!this.isAllowed(token0, token1)) {
+      return false;
+    }
+    
+    // V3 pools hold their reserves as plain token balances
+    const [balance0, balance1] = await Promise.all([
+      new ethers.Contract(token0, ERC20ABI, this.provider).balanceOf(poolAddress),
+      new ethers.Contract(token1, ERC20ABI, this.provider).balanceOf(poolAddress)
+    ]);
+    
+    if (!this.hasMinimumReserves(token0, balance0, token1, balance1)) {
+      logger.debug(`Skipping PancakeSwap V3 pool ${poolAddress}: balances below threshold`);
+      return false;
+    }
+    
+    return this.addPair(token0, token1);
+  }
+  
+  /**
+   * Record a pool as evaluated
+   * @param {string} poolAddress - Pool address
+   * @returns {boolean} - True if the pool had already been seen
+   * @private
+   */
+  markSeen(poolAddress) {
+    const key = poolAddress.toLowerCase();
+    if (this.seenPools.has(key)) {
+      return true;
+    }
+    this.seenPools.add(key);
+    return false;
+  }
+  
+  /**
+   * Check both tokens against the allowlist
+   * @param {string} token0 - First token address
+   * @param {string} token1 - Second token address
+   * @returns {boolean} - True if both tokens are allowed
+   */
+  isAllowed(token0, token1) {
+    return this.allowlist.has(token0.toLowerCase()) && this.allowlist.has(token1.toLowerCase());
+  }
+  
+  /**
+   * Check whether either side of a pool meets its configured minimum reserve
+   * @param {string} token0 - First token address
+   * @param {BigNumber} reserve0 - Reserve of the first token
+   * @param {string} token1 - Second token address
+   * @param {BigNumber} reserve1 - Reserve of the second token
+   * @returns {boolean} - True if the pool is liquid enough to monitor
+   */
+  hasMinimumReserves(token0, reserve0, token1, reserve1) {
+    const min0 = this.minReserves[token0.toLowerCase()];
+    const min1 = this.minReserves[token1.toLowerCase()];
+    
+    return Boolean((min0 && reserve0.gte(min0)) || (min1 && reserve1.gte(min1)));
+  }
+  
+  /**
+   * Hand a qualifying pair to the OpportunityFinder, which monitors it once both tokens pass their safety checks
+   * @param {string} token0 - First token address
+   * @param {string} token1 - Second token address
+   * @returns {Promise<boolean>} - True if the finder started monitoring the pair
+   */
+  async addPair(token0, token1) {
+    if (this.opportunityFinder.tokenPairs.length >= config.discovery.maxPairs) {
+      logger.debug(`Pair limit of ${config.discovery.maxPairs} reached, ignoring ${token0}/${token1}`);
+      return false;
+    }
+    
+    const name = `${await this.getSymbol(token0)}/${await this.getSymbol(token1)}`;
+    
+    return this.opportunityFinder.addPair(token0, token1, name);
+  }
+  
+  /**
+   * Get a display symbol for a token, preferring the configured names
+   * @param {string} token - Token address
+   * @returns {Promise<string>} - Token symbol (WBNB is shown as BNB)
+   */
+  async getSymbol(token) {
+    const key = token.toLowerCase();
+    
+    if (!this.symbols[key]) {
+      const configured = Object.entries(config.TOKENS).find(([, address]) => address.toLowerCase() === key);
+      
+      let symbol;
+      if (configured) {
+        symbol = configured[0];
+      } else {
+        try {
+          symbol = await new ethers.Contract(token, ERC20ABI, this.provider).symbol();
+        } catch (error) {
+          symbol = token.slice(0, 8);
+        }
+      }
+      
+      this.symbols[key] = symbol === 'WBNB' ? 'BNB' : symbol;
+    }
+    
+    return this.symbols[key];
+  }
+}
+
+module.exports = PairDiscovery;
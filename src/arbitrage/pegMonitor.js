@@ -0,0 +1,349 @@
+/**
+ * Stablecoin peg monitoring.
+ *
+ * Every stablecoin is valued against the other stablecoins, both directly from
+ * stable/stable pools on each DEX and through the cross rate of a shared token
+ * (e.g. WBNB/BUSD against WBNB/USDT). The median of those quotes is its peg
+ * price. Moving past the alert band raises a depeg alert; moving past the halt
+ * band stops trading the coin until it is back inside the alert band.
+ *
+ * Statuses and alerts are saved to disk after every update, so the dashboard
+ * (which may run in another process) can show them and push new alerts.
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('../utils/logger');
+const registry = require('../registry/registry');
+const { isStablecoin } = require('../utils/validation');
+
+// Alerts kept for the dashboard
+const MAX_ALERTS = 50;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} - Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+class PegMonitor extends EventEmitter {
+  /**
+   * @param {string} filePath - File statuses and alerts are persisted to
+   */
+  constructor(filePath) {
+    super();
+    
+    this.filePath = filePath;
+    
+    // Lowercase stablecoin address -> latest peg status
+    this.statuses = new Map();
+    
+    // Most recent state changes, newest last
+    this.alerts = [];
+    
+    // Modification time of the peg file when it was last read or written by us
+    this.loadedMtime = 0;
+    
+    // Alerts raised before this are history, not news
+    this.startedAt = Date.now();
+    
+    this.reload();
+  }
+  
+  /**
+   * Re-value every stablecoin from the latest DEX prices and update its peg state
+   * @param {Array<Object>} priceDataByPair - Entries of { pair, priceData } from OpportunityFinder.getPricesForPair
+   * @param {number|null} blockNumber - Block the prices were read at
+   * @returns {Array<Object>} - Peg status of every stablecoin with at least one quote
+   */
+  update(priceDataByPair, blockNumber = null) {
+    try {
+      const quotes = this.collectQuotes(priceDataByPair);
+      
+      for (const [token, tokenQuotes] of quotes) {
+        const price = median(tokenQuotes.map(quote => quote.price));
+        this.setStatus(token, price, tokenQuotes, blockNumber);
+      }
+      
+      this.persist();
+    } catch (error) {
+      logger.error(`Error updating stablecoin pegs: ${error.message}`);
+    }
+    
+    return this.getStatuses();
+  }
+  
+  /**
+   * Gather quotes for each stablecoin in units of the other stablecoins
+   * @param {Array<Object>} priceDataByPair - Entries of { pair, priceData }
+   * @returns {Map<string, Array<{source: string, price: number}>>} - Quotes keyed by lowercase stablecoin address
+   * @private
+   */
+  collectQuotes(priceDataByPair) {
+    const quotes = new Map();
+    const addQuote = (token, source, price) => {
+      if (!Number.isFinite(price) || price <= 0) {
+        return;
+      }
+      const key = token.toLowerCase();
+      if (!quotes.has(key)) {
+        quotes.set(key, []);
+      }
+      quotes.get(key).push({ source, price });
+    };
+    
+    // Non-stable token -> stablecoin -> median price of the token in that stablecoin
+    const crossPrices = new Map();
+    
+    for (const { pair, priceData } of priceDataByPair) {
+      const { token1, token2 } = priceData;
+      const stable1 = isStablecoin(token1);
+      const stable2 = isStablecoin(token2);
+      const prices = priceData.prices.map(dexPrice => ({
+        dex: dexPrice.dex,
+        // token1 in units of token2
+        value: parseFloat(ethers.utils.formatEther(dexPrice.price))
+      })).filter(({ value }) => value > 0);
+      
+      if (prices.length === 0) {
+        continue;
+      }
+      
+      if (stable1 && stable2) {
+        for (const { dex, value } of prices) {
+          addQuote(token1, `${dex} ${pair.name}`, value);
+          addQuote(token2, `${dex} ${pair.name}`, 1 / value);
+        }
+      } else if (stable1 || stable2) {
+        const [other, stable] = stable1 ? [token2, token1] : [token1, token2];
+        const priceInStable = median(prices.map(({ value }) => stable1 ? 1 / value : value));
+        
+        const key = other.toLowerCase();
+        if (!crossPrices.has(key)) {
+          crossPrices.set(key, new Map());
+        }
+        crossPrices.get(key).set(stable.toLowerCase(), priceInStable);
+      }
+    }
+    
+    // A token quoted in two stablecoins values each of them against the other
+    for (const [other, byStable] of crossPrices) {
+      if (byStable.size < 2) {
+        continue;
+      }
+      
+      const symbol = this.getSymbol(other);
+      for (const [stable, price] of byStable) {
+        const reference = median([...byStable].filter(([token]) => token !== stable).map(([, value]) => value));
+        addQuote(stable, `${symbol} cross rate`, reference / price);
+      }
+    }
+    
+    return quotes;
+  }
+  
+  /**
+   * Store a stablecoin's peg price and raise an alert when its state changes
+   * @param {string} token - Lowercase stablecoin address
+   * @param {number} price - Peg price in units of the other stablecoins
+   * @param {Array<Object>} quotes - Quotes the price was taken from
+   * @param {number|null} blockNumber - Block the prices were read at
+   * @private
+   */
+  setStatus(token, price, quotes, blockNumber) {
+    const settings = config.stablePairs;
+    const previous = this.statuses.get(token);
+    const previousState = previous ? previous.state : 'pegged';
+    
+    const deviation = (price - 1) * 100;
+    const absDeviation = Math.abs(deviation);
+    
+    let state = 'pegged';
+    if (absDeviation >= settings.haltDeviation) {
+      state = 'depegged';
+    } else if (absDeviation >= settings.alertDeviation) {
+      state = 'warning';
+    }
+    
+    // A halted coin stays halted until it is back inside the alert band
+    if (previousState === 'depegged' && state === 'warning') {
+      state = 'depegged';
+    }
+    
+    const status = {
+      token,
+      symbol: this.getSymbol(token),
+      price,
+      deviation,
+      state,
+      halted: settings.autoHalt && state === 'depegged',
+      quotes,
+      blockNumber,
+      since: previous && previous.state === state ? previous.since : Date.now(),
+      updatedAt: Date.now()
+    };
+    this.statuses.set(token, status);
+    
+    if (state !== previousState) {
+      this.raiseAlert(status, previousState);
+    }
+  }
+  
+  /**
+   * Log and emit a peg state change
+   * @param {Object} status - New peg status
+   * @param {string} previousState - State before the change
+   * @private
+   */
+  raiseAlert(status, previousState) {
+    const alert = {
+      token: status.token,
+      symbol: status.symbol,
+      state: status.state,
+      previousState,
+      price: status.price,
+      deviation: status.deviation,
+      halted: status.halted,
+      blockNumber: status.blockNumber,
+      timestamp: Date.now()
+    };
+    
+    const description = `${status.symbol} at ${status.price.toFixed(5)} (${status.deviation >= 0 ? '+' : ''}${status.deviation.toFixed(3)}% from peg)`;
+    if (status.state === 'depegged') {
+      logger.error(`🚨 Depeg: ${description}${status.halted ? ', trading halted' : ''}`);
+    } else if (status.state === 'warning') {
+      logger.warn(`⚠️ Peg drift: ${description}`);
+    } else {
+      logger.info(`✅ Peg restored: ${description}${previousState === 'depegged' && config.stablePairs.autoHalt ? ', trading resumed' : ''}`);
+    }
+    
+    this.alerts.push(alert);
+    if (this.alerts.length > MAX_ALERTS) {
+      this.alerts.shift();
+    }
+    
+    this.emit('alert', alert);
+  }
+  
+  /**
+   * Check whether trading a token is halted because it lost its peg
+   * @param {string} token - Token address
+   * @returns {boolean} - True for a halted stablecoin
+   */
+  isHalted(token) {
+    const status = this.statuses.get(token.toLowerCase());
+    return Boolean(status && status.halted);
+  }
+  
+  /**
+   * Absolute peg deviation of a token
+   * @param {string} token - Token address
+   * @returns {number} - Deviation in percent, 0 for unknown or non-stable tokens
+   */
+  getDeviation(token) {
+    const status = this.statuses.get(token.toLowerCase());
+    return status ? Math.abs(status.deviation) : 0;
+  }
+  
+  /**
+   * Get the peg status of a stablecoin
+   * @param {string} token - Token address
+   * @returns {Object|null} - Peg status or null if the coin has not been quoted
+   */
+  getStatus(token) {
+    return this.statuses.get(token.toLowerCase()) || null;
+  }
+  
+  /**
+   * Get the peg status of every quoted stablecoin
+   * @returns {Array<Object>} - Peg statuses
+   */
+  getStatuses() {
+    return [...this.statuses.values()];
+  }
+  
+  /**
+   * Get recent peg state changes
+   * @returns {Array<Object>} - Alerts, newest last
+   */
+  getAlerts() {
+    return [...this.alerts];
+  }
+  
+  /**
+   * Re-read the peg file if another process wrote it since it was last read,
+   * emitting the alerts in it that were not seen before
+   */
+  reload() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+      
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs <= this.loadedMtime) {
+        return;
+      }
+      
+      const { statuses, alerts } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const lastSeen = Math.max(this.startedAt, ...this.alerts.map(alert => alert.timestamp));
+      
+      this.statuses = new Map(statuses.map(status => [status.token, status]));
+      this.alerts = alerts;
+      this.loadedMtime = mtimeMs;
+      
+      for (const alert of alerts.filter(alert => alert.timestamp > lastSeen)) {
+        this.emit('alert', alert);
+      }
+    } catch (error) {
+      logger.error(`Error loading peg status from ${this.filePath}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Write statuses and alerts to the peg file, replacing it atomically
+   * @private
+   */
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ statuses: this.getStatuses(), alerts: this.alerts }));
+      fs.renameSync(tempPath, this.filePath);
+      
+      // Our own write does not need to be read back
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      logger.error(`Error saving peg status: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get a token's registry symbol
+   * @param {string} token - Token address
+   * @returns {string} - Symbol, or the address if the registry does not list it
+   * @private
+   */
+  getSymbol(token) {
+    const entry = Object.entries(registry.getTokenAddresses())
+      .find(([, address]) => address.toLowerCase() === token.toLowerCase());
+    return entry ? entry[0] : token;
+  }
+}
+
+// Export a singleton instance
+const pegMonitor = new PegMonitor(path.resolve(process.cwd(), config.stablePairs.statusFile));
+
+module.exports = pegMonitor;
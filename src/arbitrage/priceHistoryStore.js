@@ -0,0 +1,426 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Price history per DEX and pair, at block granularity, persisted to an
+ * append-only NDJSON file so volatility and spread statistics survive restarts
+ * and can be read by the dashboard process.
+ *
+ * Each line is one observation: { pair, dex, block, timestamp, price }. A later
+ * line for the same series and block replaces the earlier one, and the file is
+ * rewritten from memory once it holds too many superseded or trimmed lines.
+ */
+class PriceHistoryStore {
+  /**
+   * @param {string} filePath - NDJSON file the history is persisted to
+   * @param {number} maxPointsPerSeries - Points kept per DEX and pair
+   */
+  constructor(filePath, maxPointsPerSeries) {
+    this.filePath = filePath;
+    this.maxPointsPerSeries = maxPointsPerSeries;
+    
+    // 'pair|dex' -> points ordered oldest first
+    this.series = new Map();
+    
+    // Lines written since the last flush
+    this.pendingLines = [];
+    this.flushScheduled = false;
+    
+    // Lines in the file, used to decide when to compact it
+    this.fileLines = 0;
+    
+    // Modification time of the file when it was last read or written by us
+    this.loadedMtime = 0;
+    
+    // When load last looked at the file
+    this.checkedAt = 0;
+    
+    this.load();
+  }
+  
+  /**
+   * Record the price a DEX quoted for a pair
+   * @param {string} pair - Pair name (e.g. 'WBNB/BUSD')
+   * @param {string} dex - DEX name
+   * @param {number} price - Price of the pair's first token in the second
+   * @param {number|null} blockNumber - Block the price was read at, if known
+   */
+  record(pair, dex, price, blockNumber = null) {
+    if (!isFinite(price) || price <= 0) {
+      return;
+    }
+    
+    const point = { block: blockNumber ?? null, timestamp: Date.now(), price };
+    if (!this.addPoint(pair, dex, point)) {
+      return;
+    }
+    
+    this.pendingLines.push(JSON.stringify({ pair, dex, ...point }));
+    
+    // Prices of one cycle are written together
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => this.flush());
+    }
+  }
+  
+  /**
+   * Get the recorded points of one DEX for a pair
+   * @param {string} pair - Pair name
+   * @param {string} dex - DEX name
+   * @param {number} limit - Most recent points to return
+   * @returns {Array<Object>} - Points as { block, timestamp, price }, oldest first
+   */
+  getSeries(pair, dex, limit = this.maxPointsPerSeries) {
+    this.load();
+    return (this.series.get(this.getSeriesKey(pair, dex)) || []).slice(-limit);
+  }
+  
+  /**
+   * Get the DEXes that have history for a pair
+   * @param {string} pair - Pair name
+   * @returns {Array<string>} - DEX names
+   */
+  getDexes(pair) {
+    this.load();
+    return [...this.series.keys()]
+      .filter(key => key.startsWith(`${pair}|`))
+      .map(key => key.slice(pair.length + 1));
+  }
+  
+  /**
+   * Get the pairs that have history
+   * @returns {Array<string>} - Pair names
+   */
+  getPairs() {
+    this.load();
+    return [...new Set([...this.series.keys()].map(key => key.split('|')[0]))];
+  }
+  
+  /**
+   * Get the pair price averaged across DEXes, one value per block
+   * @param {string} pair - Pair name
+   * @param {number} limit - Most recent blocks to return
+   * @returns {Array<number>} - Prices, oldest first
+   */
+  getPairPrices(pair, limit = config.priceHistory.volatilityWindow) {
+    const byBlock = new Map();
+    
+    for (const dex of this.getDexes(pair)) {
+      for (const point of this.getSeries(pair, dex, limit)) {
+        const key = this.getPointKey(point);
+        const entry = byBlock.get(key) || { order: point.block ?? point.timestamp, sum: 0, count: 0 };
+        entry.sum += point.price;
+        entry.count++;
+        byBlock.set(key, entry);
+      }
+    }
+    
+    return [...byBlock.values()]
+      .sort((a, b) => a.order - b.order)
+      .slice(-limit)
+      .map(entry => entry.sum / entry.count);
+  }
+  
+  /**
+   * Rolling volatility: standard deviation of log returns between consecutive points
+   * @param {string} pair - Pair name
+   * @param {Object} options - Options
+   * @param {string} options.dex - Only use this DEX's prices (defaults to the cross-DEX average)
+   * @param {number} options.window - Number of recent points to use
+   * @returns {number|null} - Volatility per point (e.g. 0.002 for 0.2%), or null without enough history
+   */
+  getVolatility(pair, { dex = null, window = config.priceHistory.volatilityWindow } = {}) {
+    const prices = dex
+      ? this.getSeries(pair, dex, window).map(point => point.price)
+      : this.getPairPrices(pair, window);
+    
+    if (prices.length < 3) {
+      return null;
+    }
+    
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      returns.push(Math.log(prices[i] / prices[i - 1]));
+    }
+    
+    return standardDeviation(returns);
+  }
+  
+  /**
+   * Statistics of the spread between two DEXes, over the blocks both quoted.
+   * The half-life is how long a spread takes to close halfway, from an AR(1)
+   * fit of spread changes on the previous spread.
+   * @param {string} pair - Pair name
+   * @param {string} dexA - DEX whose price is compared
+   * @param {string} dexB - Reference DEX
+   * @param {number} window - Number of recent points of each DEX to use
+   * @returns {Object|null} - { samples, mean, stdDev, latest, zScore, halfLifeBlocks } with spreads in percent,
+   *   or null without enough overlapping history
+   */
+  getSpreadStats(pair, dexA, dexB, window = config.priceHistory.volatilityWindow) {
+    const pricesB = new Map(this.getSeries(pair, dexB, window).map(point => [this.getPointKey(point), point]));
+    
+    const spreads = [];
+    const blocks = [];
+    for (const point of this.getSeries(pair, dexA, window)) {
+      const reference = pricesB.get(this.getPointKey(point));
+      if (reference) {
+        spreads.push((point.price / reference.price - 1) * 100);
+        blocks.push(point.block);
+      }
+    }
+    
+    if (spreads.length < 3) {
+      return null;
+    }
+    
+    const mean = spreads.reduce((sum, spread) => sum + spread, 0) / spreads.length;
+    const stdDev = standardDeviation(spreads);
+    const latest = spreads[spreads.length - 1];
+    
+    // Regress the change in spread on the previous spread: ds = beta * s + c
+    const previous = spreads.slice(0, -1);
+    const changes = spreads.slice(1).map((spread, i) => spread - previous[i]);
+    const beta = covariance(previous, changes) / covariance(previous, previous);
+    
+    let halfLifeBlocks = null;
+    if (isFinite(beta) && beta < 0) {
+      const halfLifeSamples = 1 + beta > 0 ? -Math.log(2) / Math.log(1 + beta) : 0;
+      
+      // Points can skip blocks, so convert samples to blocks with the average gap
+      const knownBlocks = blocks.filter(block => block !== null);
+      const blockGap = knownBlocks.length > 1
+        ? (knownBlocks[knownBlocks.length - 1] - knownBlocks[0]) / (knownBlocks.length - 1)
+        : 1;
+      halfLifeBlocks = halfLifeSamples * blockGap;
+    }
+    
+    return {
+      samples: spreads.length,
+      mean,
+      stdDev,
+      latest,
+      zScore: stdDev > 0 ? (latest - mean) / stdDev : 0,
+      halfLifeBlocks
+    };
+  }
+  
+  /**
+   * Summary statistics for a pair, as shown on the dashboard
+   * @param {string} pair - Pair name
+   * @param {number} window - Number of recent points to use
+   * @returns {Object} - Volatility overall and per DEX, plus spread statistics for every DEX pairing
+   */
+  getStats(pair, window = config.priceHistory.volatilityWindow) {
+    const dexes = this.getDexes(pair);
+    
+    const dexStats = {};
+    for (const dex of dexes) {
+      const series = this.getSeries(pair, dex, window);
+      dexStats[dex] = {
+        points: series.length,
+        latestPrice: series.length > 0 ? series[series.length - 1].price : null,
+        latestBlock: series.length > 0 ? series[series.length - 1].block : null,
+        volatility: this.getVolatility(pair, { dex, window })
+      };
+    }
+    
+    const spreads = [];
+    for (let i = 0; i < dexes.length; i++) {
+      for (let j = i + 1; j < dexes.length; j++) {
+        const stats = this.getSpreadStats(pair, dexes[i], dexes[j], window);
+        if (stats) {
+          spreads.push({ dexA: dexes[i], dexB: dexes[j], ...stats });
+        }
+      }
+    }
+    
+    return {
+      pair,
+      window,
+      volatility: this.getVolatility(pair, { window }),
+      dexes: dexStats,
+      spreads
+    };
+  }
+  
+  /**
+   * Add a point to its series, replacing a point from the same block
+   * @param {string} pair - Pair name
+   * @param {string} dex - DEX name
+   * @param {Object} point - { block, timestamp, price }
+   * @returns {boolean} - False if the point is older than the series and was ignored
+   * @private
+   */
+  addPoint(pair, dex, point) {
+    const key = this.getSeriesKey(pair, dex);
+    if (!this.series.has(key)) {
+      this.series.set(key, []);
+    }
+    
+    const points = this.series.get(key);
+    const last = points[points.length - 1];
+    
+    if (last && point.block !== null && last.block !== null) {
+      if (point.block < last.block) {
+        return false;
+      }
+      if (point.block === last.block) {
+        points[points.length - 1] = point;
+        return true;
+      }
+    }
+    
+    points.push(point);
+    if (points.length > this.maxPointsPerSeries) {
+      points.splice(0, points.length - this.maxPointsPerSeries);
+    }
+    return true;
+  }
+  
+  /**
+   * Key of a series
+   * @param {string} pair - Pair name
+   * @param {string} dex - DEX name
+   * @returns {string} - 'pair|dex'
+   * @private
+   */
+  getSeriesKey(pair, dex) {
+    return `${pair}|${dex}`;
+  }
+  
+  /**
+   * Key that matches points of different DEXes read in the same block
+   * @param {Object} point - { block, timestamp, price }
+   * @returns {string} - Block number, or the timestamp rounded to a second when the block is unknown
+   * @private
+   */
+  getPointKey(point) {
+    return point.block !== null ? `b${point.block}` : `t${Math.round(point.timestamp / 1000)}`;
+  }
+  
+  /**
+   * Append pending lines to the file, compacting it when it grows too large
+   * @private
+   */
+  flush() {
+    this.flushScheduled = false;
+    
+    if (this.pendingLines.length === 0) {
+      return;
+    }
+    
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      
+      // Superseded and trimmed points stay in the file until it is rewritten
+      const pointsInMemory = [...this.series.values()].reduce((sum, points) => sum + points.length, 0);
+      if (this.fileLines + this.pendingLines.length > pointsInMemory * 2) {
+        this.compact();
+      } else {
+        fs.appendFileSync(this.filePath, this.pendingLines.join('\n') + '\n');
+        this.fileLines += this.pendingLines.length;
+      }
+      
+      this.pendingLines = [];
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      logger.error(`Error saving price history: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Rewrite the file with only the points held in memory, replacing it atomically
+   * @private
+   */
+  compact() {
+    const lines = [];
+    for (const [key, points] of this.series) {
+      const [pair, dex] = key.split('|');
+      for (const point of points) {
+        lines.push(JSON.stringify({ pair, dex, ...point }));
+      }
+    }
+    
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tempPath, this.filePath);
+    
+    this.fileLines = lines.length;
+    logger.debug(`Compacted price history to ${lines.length} points`);
+  }
+  
+  /**
+   * Load the history file if it changed since it was last read. Every getter
+   * calls this, so the file is looked at no more than once per reload check interval.
+   * @private
+   */
+  load() {
+    const now = Date.now();
+    if (now - this.checkedAt < config.priceHistory.reloadCheckInterval) {
+      return;
+    }
+    this.checkedAt = now;
+    
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+      
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs <= this.loadedMtime) {
+        return;
+      }
+      
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+      this.series = new Map();
+      
+      for (const line of lines) {
+        try {
+          const { pair, dex, block, timestamp, price } = JSON.parse(line);
+          this.addPoint(pair, dex, { block, timestamp, price });
+        } catch (error) {
+          // A partly written last line is skipped rather than failing the load
+          logger.debug(`Skipping unreadable price history line: ${error.message}`);
+        }
+      }
+      
+      this.fileLines = lines.length;
+      this.loadedMtime = mtimeMs;
+    } catch (error) {
+      logger.error(`Error loading price history from ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Population standard deviation
+ * @param {Array<number>} values - Values
+ * @returns {number} - Standard deviation
+ */
+function standardDeviation(values) {
+  return Math.sqrt(covariance(values, values));
+}
+
+/**
+ * Population covariance of two equally long series
+ * @param {Array<number>} xs - First series
+ * @param {Array<number>} ys - Second series
+ * @returns {number} - Covariance
+ */
+function covariance(xs, ys) {
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  return xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / xs.length;
+}
+
+// Export a singleton instance
+const priceHistoryStore = new PriceHistoryStore(
+  path.resolve(process.cwd(), config.priceHistory.file),
+  config.priceHistory.maxPointsPerSeries
+);
+
+module.exports = priceHistoryStore;
@@ -0,0 +1,186 @@
+/**
+ * Itemised profit of an evaluated trade.
+ *
+ * A two-leg trade is broken down against the spot prices of its pools: the
+ * gross spread is what the round trip would return at those prices, and each
+ * leg's swap fee and price impact is what it takes away from that, measured in
+ * the borrowed token at the end of the trade. The price impact of the sell leg
+ * is taken as the remainder, so the items add up exactly to the quoted output.
+ * Net profit is then the gross spread less swap fees, price impact, the flash
+ * loan fee and gas. The slippage buffer is not deducted: it is how much of the
+ * net profit the slippage allowance could still consume. The expected profit
+ * weighs the net profit by the chance the spread survives until inclusion.
+ *
+ * Multi-hop routes are quoted hop by hop without spot prices, so their swap
+ * fees and price impact are left inside the gross spread.
+ */
+const { ethers } = require('ethers');
+const tokenMetadata = require('../utils/tokenMetadata');
+const { feePercentageToPpm } = require('../utils/ammMath');
+
+const ONE = ethers.utils.parseEther('1');
+const PPM = 1000000;
+
+/**
+ * Break down the profit of a two-leg trade
+ * @param {Object} trade - Evaluated trade
+ * @param {string} trade.baseToken - Borrowed token, which every amount is in
+ * @param {string} trade.quoteToken - Token bought on the buy leg
+ * @param {BigNumber} trade.amountIn - Amount borrowed
+ * @param {Object} trade.buy - Buy leg, with dex, price and feePercentage
+ * @param {Object} trade.sell - Sell leg, with dex, price and feePercentage
+ * @param {BigNumber} trade.buyOutput - Quote token received on the buy leg
+ * @param {BigNumber} trade.sellOutput - Base token received on the sell leg
+ * @param {BigNumber} trade.flashLoanFee - Flash loan fee
+ * @param {BigNumber} trade.slippageBuffer - Output the slippage allowance could consume
+ * @param {BigNumber} trade.gasCost - Gas cost in BNB (wei)
+ * @param {Object} trade.valuation - Result of ArbitrageCalculator.valueProfit
+ * @returns {Object} - Breakdown, amounts in base token units
+ */
+function buildPairBreakdown({ baseToken, quoteToken, amountIn, buy, sell, buyOutput, sellOutput, flashLoanFee, slippageBuffer, gasCost, valuation }) {
+  const legs = [
+    { side: 'buy', dex: buy.dex, tokenIn: baseToken, tokenOut: quoteToken, amountIn, amountOut: buyOutput, fee: null, priceImpact: null },
+    { side: 'sell', dex: sell.dex, tokenIn: quoteToken, tokenOut: baseToken, amountIn: buyOutput, amountOut: sellOutput, fee: null, priceImpact: null }
+  ];
+  
+  let grossSpread = sellOutput.sub(amountIn);
+  
+  const buyPrice = buy.price && ethers.BigNumber.from(buy.price);
+  const sellPrice = sell.price && ethers.BigNumber.from(sell.price);
+  
+  if (buyPrice && sellPrice && !buyPrice.isZero() && !sellPrice.isZero()) {
+    const buyFeePpm = feePercentageToPpm(buy.feePercentage);
+    const sellFeePpm = feePercentageToPpm(sell.feePercentage);
+    
+    // Quote token amounts (18 decimals) valued in the base token at the sell pool's spot price
+    const toBase = wad => tokenMetadata.fromWad(wad.mul(ONE).div(sellPrice), baseToken);
+    
+    const amountInWad = tokenMetadata.toWad(amountIn, baseToken);
+    const buyOutputWad = tokenMetadata.toWad(buyOutput, quoteToken);
+    const buySpotOutput = amountInWad.mul(buyPrice).div(ONE);
+    const buyFee = buySpotOutput.mul(buyFeePpm).div(PPM);
+    
+    const spotRoundTrip = toBase(buySpotOutput);
+    grossSpread = spotRoundTrip.sub(amountIn);
+    
+    legs[0].fee = toBase(buyFee);
+    legs[0].priceImpact = toBase(buySpotOutput.sub(buyFee).sub(buyOutputWad));
+    legs[1].fee = toBase(buyOutputWad.mul(sellFeePpm).div(PPM));
+    legs[1].priceImpact = spotRoundTrip.sub(legs[0].fee).sub(legs[0].priceImpact).sub(legs[1].fee).sub(sellOutput);
+  }
+  
+  return summarise({ baseToken, amountIn, grossSpread, legs, flashLoanFee, slippageBuffer, gasCost, valuation });
+}
+
+/**
+ * Break down the profit of a multi-hop route
+ * @param {Object} trade - Evaluated route
+ * @param {string} trade.baseToken - Borrowed token, which every amount is in
+ * @param {BigNumber} trade.amountIn - Amount borrowed
+ * @param {Array<Object>} trade.hops - Quoted hops, with dex, tokenIn, tokenOut, amountIn and amountOut
+ * @param {BigNumber} trade.amountOut - Base token received from the last hop
+ * @param {BigNumber} trade.flashLoanFee - Flash loan fee
+ * @param {BigNumber} trade.slippageBuffer - Output the slippage allowance could consume
+ * @param {BigNumber} trade.gasCost - Gas cost in BNB (wei)
+ * @param {Object} trade.valuation - Result of ArbitrageCalculator.valueProfit
+ * @returns {Object} - Breakdown, amounts in base token units
+ */
+function buildRouteBreakdown({ baseToken, amountIn, hops, amountOut, flashLoanFee, slippageBuffer, gasCost, valuation }) {
+  const legs = hops.map((hop, index) => ({
+    side: `hop ${index + 1}`,
+    dex: hop.dex,
+    tokenIn: hop.tokenIn,
+    tokenOut: hop.tokenOut,
+    amountIn: hop.amountIn,
+    amountOut: hop.amountOut,
+    fee: null,
+    priceImpact: null
+  }));
+  
+  return summarise({ baseToken, amountIn, grossSpread: amountOut.sub(amountIn), legs, flashLoanFee, slippageBuffer, gasCost, valuation });
+}
+
+/**
+ * Total the itemised costs and attach the net profit
+ * @param {Object} parts - Breakdown parts
+ * @returns {Object} - Breakdown
+ * @private
+ */
+function summarise({ baseToken, amountIn, grossSpread, legs, flashLoanFee, slippageBuffer, gasCost, valuation }) {
+  // Totals are null when no leg could be itemised
+  const sum = key => (legs.some(leg => leg[key])
+    ? legs.reduce((total, leg) => total.add(leg[key] || 0), ethers.BigNumber.from(0))
+    : null);
+  
+  return {
+    token: baseToken,
+    amountIn,
+    grossSpread,
+    legs,
+    swapFees: sum('fee'),
+    priceImpact: sum('priceImpact'),
+    flashLoanFee,
+    gasCost: {
+      native: gasCost,
+      inToken: valuation.gasCostInBaseToken,
+      usd: valuation.gasCostUsd
+    },
+    slippageBuffer,
+    netProfit: valuation.netProfit,
+    netProfitBnb: valuation.profitBnb,
+    netProfitUsd: valuation.profitUsd,
+    worstCaseNetProfit: valuation.netProfit.sub(slippageBuffer),
+    survivalProbability: valuation.survival,
+    expectedProfit: valuation.expectedProfit,
+    expectedProfitUsd: valuation.expectedProfitUsd
+  };
+}
+
+/**
+ * Convert a breakdown to plain decimal strings, for logs, persistence and the dashboard
+ * @param {Object|null} breakdown - Breakdown from buildPairBreakdown or buildRouteBreakdown
+ * @returns {Object|null} - Breakdown with amounts formatted in whole tokens
+ */
+function formatBreakdown(breakdown) {
+  if (!breakdown) {
+    return null;
+  }
+  
+  const { token } = breakdown;
+  const format = amount => (amount === null || amount === undefined ? null : tokenMetadata.format(amount, token));
+  
+  return {
+    token: tokenMetadata.getSymbol(token),
+    amountIn: format(breakdown.amountIn),
+    grossSpread: format(breakdown.grossSpread),
+    legs: breakdown.legs.map(leg => ({
+      side: leg.side,
+      dex: leg.dex,
+      swap: `${tokenMetadata.format(leg.amountIn, leg.tokenIn)} ${tokenMetadata.getSymbol(leg.tokenIn)} -> ${tokenMetadata.format(leg.amountOut, leg.tokenOut)} ${tokenMetadata.getSymbol(leg.tokenOut)}`,
+      fee: format(leg.fee),
+      priceImpact: format(leg.priceImpact)
+    })),
+    swapFees: format(breakdown.swapFees),
+    priceImpact: format(breakdown.priceImpact),
+    flashLoanFee: format(breakdown.flashLoanFee),
+    gasCost: {
+      native: ethers.utils.formatEther(breakdown.gasCost.native),
+      inToken: format(breakdown.gasCost.inToken),
+      usd: breakdown.gasCost.usd
+    },
+    slippageBuffer: format(breakdown.slippageBuffer),
+    netProfit: format(breakdown.netProfit),
+    netProfitBnb: ethers.utils.formatEther(breakdown.netProfitBnb),
+    netProfitUsd: breakdown.netProfitUsd,
+    worstCaseNetProfit: format(breakdown.worstCaseNetProfit),
+    survivalProbability: breakdown.survivalProbability,
+    expectedProfit: format(breakdown.expectedProfit),
+    expectedProfitUsd: breakdown.expectedProfitUsd
+  };
+}
+
+module.exports = {
+  buildPairBreakdown,
+  buildRouteBreakdown,
+  formatBreakdown
+};
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const safetyManager = require('../utils/safetyManager');
+
+/**
+ * Probability that a quoted spread is still there when our transaction lands.
+ *
+ * Spreads are treated as closing at a constant rate, so the chance one survives
+ * an exposure window halves with every half-life of its pair. The half-life is
+ * learned from how long the spreads of each pair stayed open, as seen by the
+ * opportunity tracker; the exposure window is the age of the quote plus our own
+ * submit-to-inclusion latency, learned from mined transactions. While competing
+ * bots are detected, spreads are assumed to close competitorHazard times faster.
+ */
+class SpreadSurvival {
+  /**
+   * @param {string} filePath - File the learned figures are persisted to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    
+    // Pair name -> { lifetime, samples, updatedAt }, lifetime being the moving average in ms
+    this.pairs = new Map();
+    
+    // { latency, samples, updatedAt } of our own transactions, or null before the first one
+    this.latency = null;
+    
+    // Modification time of the file when it was last read
+    this.loadedMtime = 0;
+    
+    // When load last looked at the file
+    this.checkedAt = 0;
+    
+    this.load();
+  }
+  
+  /**
+   * Record how long a spread stayed open
+   * @param {string} pair - Pair name, e.g. 'WBNB/BUSD'
+   * @param {number} firstSeenAt - When the spread was first seen (ms)
+   * @param {number} lastSeenAt - When it was last seen (ms)
+   * @param {number} closedAt - When it was found to be gone (ms)
+   */
+  recordLifetime(pair, firstSeenAt, lastSeenAt, closedAt) {
+    // A long gap means the bot was not watching, e.g. across a restart
+    if (closedAt - lastSeenAt > config.spreadSurvival.maxObservationGap) {
+      return;
+    }
+    
+    this.load();
+    
+    // The spread closed somewhere between the last sighting and now
+    const lifetime = (lastSeenAt + closedAt) / 2 - firstSeenAt;
+    const previous = this.pairs.get(pair);
+    
+    this.pairs.set(pair, {
+      lifetime: this.average(previous?.lifetime, lifetime),
+      samples: previous ? previous.samples + 1 : 1,
+      updatedAt: Date.now()
+    });
+    
+    this.persist();
+  }
+  
+  /**
+   * Record the time from sending one of our transactions until it was mined
+   * @param {number} latency - Submit-to-inclusion latency (ms)
+   */
+  recordLatency(latency) {
+    this.load();
+    
+    this.latency = {
+      latency: this.average(this.latency?.latency, latency),
+      samples: this.latency ? this.latency.samples + 1 : 1,
+      updatedAt: Date.now()
+    };
+    
+    logger.debug(`Recorded ${latency}ms inclusion latency, average now ${Math.round(this.latency.latency)}ms`);
+    this.persist();
+  }
+  
+  /**
+   * Half-life of a pair's spreads, shortened while competing bots are detected
+   * @param {string} pair - Pair name
+   * @returns {number} - Half-life (ms)
+   */
+  getHalfLife(pair) {
+    this.load();
+    
+    // Lifetimes are exponential, so half of them end within ln 2 times the mean
+    const learned = this.pairs.get(pair);
+    const halfLife = learned ? learned.lifetime * Math.LN2 : config.spreadSurvival.defaultHalfLife;
+    
+    return safetyManager.competitiveBotDetected ? halfLife / config.spreadSurvival.competitorHazard : halfLife;
+  }
+  
+  /**
+   * Submit-to-inclusion latency of our transactions
+   * @returns {number} - Latency (ms)
+   */
+  getLatency() {
+    this.load();
+    return this.latency ? this.latency.latency : config.spreadSurvival.defaultLatency;
+  }
+  
+  /**
+   * Probability that an opportunity's spread survives until our transaction is included
+   * @param {Object} opportunity - Opportunity from OpportunityFinder
+   * @returns {{probability: number, halfLife: number, exposure: number, competitorsDetected: boolean}} - Survival
+   *   probability and what it was derived from, times in ms
+   */
+  getSurvival(opportunity) {
+    const halfLife = this.getHalfLife(opportunity.pair.name);
+    
+    // The quote has been ageing since the prices were read
+    const quoteAge = opportunity.timestamp ? Math.max(0, Date.now() - opportunity.timestamp) : 0;
+    const exposure = quoteAge + this.getLatency();
+    
+    return {
+      probability: Math.pow(0.5, exposure / halfLife),
+      halfLife,
+      exposure,
+      competitorsDetected: safetyManager.competitiveBotDetected
+    };
+  }
+  
+  /**
+   * Fold a sample into a moving average
+   * @param {number|undefined} previous - Current average, if any
+   * @param {number} sample - New sample
+   * @returns {number} - New average
+   * @private
+   */
+  average(previous, sample) {
+    const weight = config.spreadSurvival.sampleWeight;
+    return previous === undefined ? sample : previous * (1 - weight) + sample * weight;
+  }
+  
+  /**
+   * Load the file if it changed since it was last read. Survival is looked up
+   * for every evaluated opportunity, so the file is looked at no more than once
+   * per reload check interval.
+   * @private
+   */
+  load() {
+    const now = Date.now();
+    if (now - this.checkedAt < config.spreadSurvival.reloadCheckInterval) {
+      return;
+    }
+    this.checkedAt = now;
+    
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+      
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs <= this.loadedMtime) {
+        return;
+      }
+      
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.pairs = new Map(Object.entries(data.pairs || {}));
+      this.latency = data.latency || null;
+      this.loadedMtime = mtimeMs;
+    } catch (error) {
+      logger.error(`Error loading spread survival data from ${this.filePath}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Write the file, replacing it atomically
+   * @private
+   */
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ pairs: Object.fromEntries(this.pairs), latency: this.latency }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+      
+      // Our own write does not need to be read back
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      logger.error(`Error saving spread survival data: ${error.message}`);
+    }
+  }
+}
+
+// Export a singleton instance
+const spreadSurvival = new SpreadSurvival(path.resolve(process.cwd(), config.spreadSurvival.file));
+
+module.exports = spreadSurvival;
@@ -3,6 +3,8 @@
  */
 
 const crypto = require('crypto');
+const registry = require('./registry/registry');
+
 const config = {
   // Network configuration
   network: {
@@ -47,6 +49,10 @@ const config = {
       APESWAP: {
         ROUTER: this.addresses.apeswap.router,
         FACTORY: this.addresses.apeswap.factory
+      },
+      BISWAP: {
+        ROUTER: this.addresses.biswap.router,
+        FACTORY: this.addresses.biswap.factory
       }
     };
   },
@@ -87,38 +93,21 @@ const config = {
         CHAINSTACK2: 'wss://bsc-mainnet.core.chainstack.com/821e6d7b0229673dc844ffbb28c8f4ec'
       },
       
-      // Pair-specific RPC configuration
-      PAIR_SPECIFIC_RPC: {
-        'WBNB_BUSD': {
-          rpcUrl: process.env.WBNB_BUSD_RPC_URL || 'https://bsc-mainnet.infura.io/v3/e61e6bfe6bbd410a842f58f7a98f5813',
-          backupRpcUrl: process.env.WBNB_BUSD_BACKUP_RPC_URL || 'https://bsc-mainnet.core.chainstack.com/452214f8109f496cc2e3a7c61aeaf3af',
-          tokens: [this.tokens.WBNB, this.tokens.BUSD]
-        },
-        'WBNB_USDT': {
-          rpcUrl: process.env.WBNB_USDT_RPC_URL || 'https://bsc-mainnet.infura.io/v3/540be088222846879dde5408235eadbe',
-          backupRpcUrl: process.env.WBNB_USDT_BACKUP_RPC_URL || 'https://black-damp-model.bsc.quiknode.pro/3050dcae7ae25db594ae3fa5b795ef24ced74c05/',
-          tokens: [this.tokens.WBNB, this.tokens.USDT]
-        },
-        'CAKE_WBNB': {
-          rpcUrl: process.env.CAKE_WBNB_RPC_URL || 'https://bsc-mainnet.infura.io/v3/d47931b894ba4a6d950a44bfc3fc0309',
-          backupRpcUrl: process.env.CAKE_WBNB_BACKUP_RPC_URL || 'https://bsc-mainnet.core.chainstack.com/46b882aaad1fd65c0af996c58019d839',
-          tokens: [this.tokens.CAKE, this.tokens.WBNB]
-        },
-        'BUSD_USDT': {
-          rpcUrl: process.env.BUSD_USDT_RPC_URL || 'https://bsc-mainnet.infura.io/v3/9141934ea14f43b98d6025788a72d2b9',
-          backupRpcUrl: process.env.BUSD_USDT_BACKUP_RPC_URL || 'https://bsc-mainnet.core.chainstack.com/821e6d7b0229673dc844ffbb28c8f4ec',
-          tokens: [this.tokens.BUSD, this.tokens.USDT]
+      // Pair-specific RPC configuration, keyed like 'WBNB_BUSD'
+      PAIR_SPECIFIC_RPC: Object.fromEntries(registry.getPairs().map(pair => [
+        pair.name.replace('/', '_'),
+        {
+          rpcUrl: pair.rpcUrl,
+          backupRpcUrl: pair.backupRpcUrl,
+          tokens: [pair.token1, pair.token2]
         }
-      }
+      ]))
     };
   },
   
-  // Token addresses
-  tokens: {
-    WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
-    BUSD: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
-    USDT: '0x55d398326f99059fF775485246999027B3197955',
-    CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82'
+  // Token addresses, from the registry so edits to registry.json apply without a restart
+  get tokens() {
+    return registry.getTokenAddresses();
   },
   
   // Flash loan configuration
@@ -128,6 +117,12 @@ const config = {
     maxPriceImpact: 0.5, // Maximum allowed price impact in percentage
     gasLimitMultiplier: 1.2, // Multiply estimated gas by this factor
     maxGasPrice: 5, // Maximum gas price in Gwei
+    contractAddress: process.env.FLASH_LOAN_CONTRACT_ADDRESS || '', // Deployed FlashLoanArbitrage contract; trades are only simulated without one
+  },
+  
+  // Where flash loans are borrowed from
+  flashSources: {
+    maxUtilisation: 80 // Share (%) of a source's balance that may be borrowed
   },
   
   // Arbitrage configuration
@@ -138,6 +133,92 @@ const config = {
     slippageTolerance: 0.5, // Slippage tolerance percentage
     gasEstimateGwei: 5, // Gas price estimate in Gwei
     maxRetries: 3, // Maximum number of retries for failed transactions
+    maxRouteHops: 3, // Maximum number of swaps in a multi-hop route or arbitrage cycle
+    routeProbeAmount: '1', // Amount of the base token used to price multi-hop routes
+    minRouteProfitPercentage: 0.1, // Minimum end-to-end gain (%) after swap fees for a cycle or route to be reported
+  },
+  
+  // Gas used by arbitrage transactions
+  gasEstimation: {
+    file: process.env.GAS_ESTIMATES_FILE || 'data/gas-estimates.json', // Gas used per route shape, learned from receipts; relative to the working directory
+    estimateOnChain: process.env.GAS_ESTIMATE_ON_CHAIN !== 'false', // Run eth_estimateGas against the deployed contract when a route can be encoded
+    baseGas: 400000, // Flash loan, repayment and approvals, used for route shapes without receipts yet
+    swapGas: 150000, // Added per swap, used for route shapes without receipts yet
+    receiptWeight: 0.3, // Weight of the newest receipt in the learned moving average
+    reloadCheckInterval: 1000 // Shortest time (ms) between checks for averages saved by another process
+  },
+  
+  // Dry run of every arbitrage transaction before it is broadcast
+  preflight: {
+    enabled: process.env.PREFLIGHT_SIMULATION !== 'false', // eth_call the exact transaction and abort on a revert or too little profit
+    blockTag: 'pending' // Block state the transaction is simulated against
+  },
+  
+  // USD prices from on-chain pools, used to value profits, thresholds and gas
+  priceOracle: {
+    referenceTokens: ['USDT', 'BUSD'], // Stablecoins whose PancakeSwap V2 pairs with WBNB price BNB in USD
+    maxAge: 60 * 1000, // Prices older than this (ms) are stale, and profits valued with them fail closed
+    refreshInterval: 10 * 1000, // Shortest time (ms) between two refreshes
+    maxDeviation: 1, // Largest spread (%) between reference quotes before a BNB/USD update is rejected
+    minLiquidityBnb: '100' // WBNB a pair must hold to be used as a price source
+  },
+  
+  // Discounting expected profit by the chance a spread survives until our transaction is included
+  spreadSurvival: {
+    file: process.env.SPREAD_SURVIVAL_FILE || 'data/spread-survival.json', // Spread lifetimes and inclusion latency learned so far; relative to the working directory
+    defaultHalfLife: 6 * 1000, // Half-life (ms) of a spread on pairs without observed lifetimes yet
+    defaultLatency: 3 * 1000, // Submit-to-inclusion latency (ms) assumed before any of our transactions is mined
+    sampleWeight: 0.2, // Weight of the newest lifetime or latency sample in the learned moving averages
+    maxObservationGap: 60 * 1000, // Spreads last seen longer ago than this (ms) when they expire, e.g. before a restart, are not sampled
+    competitorHazard: 2, // How many times faster spreads close while competing bots are detected
+    reloadCheckInterval: 1000 // Shortest time (ms) between checks for lifetimes saved by another process
+  },
+  
+  // Opportunity lifecycle history
+  opportunityTracking: {
+    historyFile: process.env.OPPORTUNITY_HISTORY_FILE || 'data/opportunities.json', // Relative to the working directory
+    maxRecords: 1000 // Oldest opportunities are dropped beyond this
+  },
+  
+  // Persisted price history for volatility and spread statistics
+  priceHistory: {
+    file: process.env.PRICE_HISTORY_FILE || 'data/price-history.ndjson', // Relative to the working directory
+    maxPointsPerSeries: 2000, // Points kept per DEX and pair
+    volatilityWindow: 100, // Recent points used for rolling volatility and spread statistics
+    reloadCheckInterval: 1000 // Shortest time (ms) between checks for a history file written by another process
+  },
+  
+  // Stablecoin peg monitoring and stable/stable arbitrage
+  stablePairs: {
+    alertDeviation: 0.5, // Peg deviation (%) that raises a depeg alert
+    haltDeviation: 2, // Peg deviation (%) beyond which the stablecoin is no longer traded
+    autoHalt: true, // Stop trading a depegged stablecoin until it is back inside the alert band
+    statusFile: process.env.PEG_STATUS_FILE || 'data/peg-status.json', // Peg statuses and alerts, read by the dashboard process; relative to the working directory
+    dashboardReloadInterval: 5 * 1000, // How often (ms) the dashboard re-reads the peg status file
+    minSpreadPercentage: 0.02, // Spread after fees needed for a stable/stable opportunity
+    maxPriceDifference: 1, // Larger stable/stable spreads point at a depeg or a broken pool, not an opportunity
+    maxFlashLoanAmount: '100000', // Largest stable/stable trade, in stablecoin units
+    minSizeFactor: 0.25, // Share of the trade size still used as a coin nears the halt band
+    priceBand: 10 // Stable/stable prices further than this (%) from 1 are treated as bad data
+  },
+  
+  // Opportunity ranking before execution
+  scoring: {
+    dexCompetition: { // Base chance another searcher takes an opportunity on this DEX
+      'PancakeSwap V2': 0.4,
+      'PancakeSwap V3': 0.45,
+      'ApeSwap': 0.2,
+      'BiSwap': 0.25
+    },
+    defaultDexCompetition: 0.3,
+    spreadCompetitionPerPercent: 0.2, // Extra competition per 1% of spread, wide spreads are noticed by everyone
+    spreadCompetitionCap: 0.3,
+    competitiveBotPenalty: 0.2, // Added while the safety manager sees competing bots
+    maxCompetition: 0.95,
+    volatilityWeight: 50, // Risk discount per unit of price volatility
+    extraHopPenalty: 0.1, // Risk discount per swap beyond two
+    capitalWeight: 0.25, // Largest score bonus for capital efficiency
+    targetReturnOnCapital: 0.005 // Profit per unit borrowed that earns the full bonus
   },
   
   // DEX swap fees
@@ -177,6 +258,39 @@ const config = {
     emergencyShutdownEnabled: true, // Enable emergency shutdown
   },
   
+  // Pair discovery from factory PairCreated/PoolCreated events
+  discovery: {
+    enabled: process.env.PAIR_DISCOVERY_ENABLED !== 'false',
+    tokenAllowlist: [], // Token addresses allowed in discovered pairs (empty = all configured tokens)
+    minReserves: { // A pair qualifies if one side holds at least this much of a listed token
+      WBNB: '50',
+      BUSD: '20000',
+      USDT: '20000',
+      CAKE: '5000'
+    },
+    backfillPairs: 300, // Most recent allPairs entries scanned per V2 factory on startup
+    lookbackBlocks: 20000, // Blocks of PoolCreated logs scanned on the V3 factory on startup
+    maxPairs: 40 // Upper bound on monitored pairs
+  },
+  
+  // Simulated buy/sell checks for transfer taxes and honeypots before a token is traded
+  tokenSafety: {
+    enabled: process.env.TOKEN_SAFETY_ENABLED !== 'false',
+    probeAmount: '0.05', // BNB spent on the simulated buy
+    maxTxProbeAmount: '5', // BNB spent on a second, larger buy; a revert here but not at probeAmount means a max-tx limit
+    maxTaxPercentage: 0.1, // Largest shortfall against the router quote still treated as untaxed
+    recheckInterval: 7 * 24 * 60 * 60 * 1000, // Age after which a recorded result is checked again
+    probeSender: process.env.TOKEN_SAFETY_PROBE_SENDER || null // Sender of the simulated calls (default: the WBNB contract, which holds enough BNB to fund them)
+  },
+  
+  // Local PancakeSwap V3 pool models, used to quote trade sizes without the on-chain quoter
+  v3PoolModel: {
+    enabled: process.env.V3_POOL_MODEL_ENABLED !== 'false',
+    tickBitmapWords: 2, // Tick bitmap words loaded on each side of the current price; larger swaps fall back to the quoter
+    maxQuotes: 200, // Round-trip quotes the size search may spend when every leg is quoted locally
+    tolerancePpm: 10 // Precision of the size search when every leg is quoted locally
+  },
+  
   // Monitoring configuration
   monitoring: {
     updateInterval: 10 * 1000, // Update interval in milliseconds
@@ -193,19 +307,13 @@ const config = {
   },
   
   // For each token pair, set preferred fee tier
-  preferredFeeTiers: {
-    'WBNB/BUSD': 100,    // 0.05% fee tier for WBNB/BUSD
-    'WBNB/USDT': 100,    // 0.05% fee tier for WBNB/USDT
-    'CAKE/WBNB': 500,    // 0.3% fee tier for CAKE/WBNB
-    'BUSD/USDT': 10      // 0.01% fee tier for BUSD/USDT
+  get preferredFeeTiers() {
+    return Object.fromEntries(registry.getPairs().map(pair => [pair.name, pair.preferredFeeTier]));
   },
   
   // RPC endpoints for different token pairs
-  rpcEndpoints: {
-    'WBNB/BUSD': process.env.WBNB_BUSD_RPC_URL || 'https://bsc-mainnet.infura.io/v3/e61e6bfe6bbd410a842f58f7a98f5813',
-    'WBNB/USDT': process.env.WBNB_USDT_RPC_URL || 'https://bsc-mainnet.infura.io/v3/540be088222846879dde5408235eadbe',
-    'CAKE/WBNB': process.env.CAKE_WBNB_RPC_URL || 'https://bsc-mainnet.infura.io/v3/d47931b894ba4a6d950a44bfc3fc0309',
-    'BUSD/USDT': process.env.BUSD_USDT_RPC_URL || 'https://bsc-mainnet.infura.io/v3/9141934ea14f43b98d6025788a72d2b9'
+  get rpcEndpoints() {
+    return Object.fromEntries(registry.getPairs().map(pair => [pair.name, pair.rpcUrl]));
   },
   
   // MEV Protection configuration
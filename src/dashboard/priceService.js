@@ -4,6 +4,9 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const config = require('../config');
+const registry = require('../registry/registry');
+const { getMulticall } = require('../utils/multicall');
+const tokenMetadata = require('../utils/tokenMetadata');
 
 // ABIs for interacting with DEXes
 const PancakeV2FactoryABI = [
@@ -377,33 +380,19 @@ const ADDRESSES = {
   BISWAP_FACTORY: '0x858E3312ed3A876947EA49d572A7C42DE08af7EE'
 };
 
-// Token addresses 
-const TOKENS = {
-  WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
-  BUSD: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
-  USDT: '0x55d398326f99059fF775485246999027B3197955',
-  CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82'
-};
-
-// Token pairs to monitor
-const TOKEN_PAIRS = {
-  'WBNB/BUSD': {
-    tokens: [TOKENS.WBNB, TOKENS.BUSD],
-    rpcUrl: process.env.WBNB_BUSD_RPC_URL
-  },
-  'WBNB/USDT': {
-    tokens: [TOKENS.WBNB, TOKENS.USDT],
-    rpcUrl: process.env.WBNB_USDT_RPC_URL
-  },
-  'CAKE/WBNB': {
-    tokens: [TOKENS.CAKE, TOKENS.WBNB],
-    rpcUrl: process.env.CAKE_WBNB_RPC_URL
-  },
-  'BUSD/USDT': {
-    tokens: [TOKENS.BUSD, TOKENS.USDT],
-    rpcUrl: process.env.BUSD_USDT_RPC_URL
-  }
-};
+/**
+ * Get the monitored token pairs from the registry, keyed by pair name
+ * @returns {Object} - e.g. { 'WBNB/BUSD': { tokens: [...], rpcUrl } }
+ */
+function getTokenPairs() {
+  return Object.fromEntries(registry.getPairs().map(pair => [
+    pair.name,
+    {
+      tokens: [pair.token1, pair.token2],
+      rpcUrl: pair.rpcUrlOverride
+    }
+  ]));
+}
 
 // PancakeSwap V3 fee tiers
 const FEE_TIERS = {
@@ -414,14 +403,6 @@ const FEE_TIERS = {
   HIGH: 10000       // 5%
 };
 
-// For each fee tier, set preferred token pairs
-const V3_PREFERRED_FEE_TIERS = {
-  'WBNB/BUSD': FEE_TIERS.LOWEST,    // 0.05% fee tier for WBNB/BUSD
-  'WBNB/USDT': FEE_TIERS.LOWEST,    // 0.05% fee tier for WBNB/USDT
-  'CAKE/WBNB': FEE_TIERS.LOW,       // 0.3% fee tier for CAKE/WBNB
-  'BUSD/USDT': FEE_TIERS.ULTRA_LOWEST // 0.01% fee tier for BUSD/USDT
-};
-
 // DEX fee percentages
 const DEX_FEES = {
   pancakeV2: 0.25,
@@ -443,6 +424,13 @@ class PriceService {
     this.isInitialized = false;
     this.factories = {};
     this.pairs = {};
+    
+    // Pairs added to the registry get their own provider without a restart
+    registry.on('reload', () => {
+      if (this.isInitialized) {
+        this.initializePairProviders();
+      }
+    });
   }
 
   /**
@@ -464,13 +452,8 @@ class PriceService {
         logger.info('Primary connection successful');
         
         // Initialize dedicated providers for each pair
-        for (const pairName in TOKEN_PAIRS) {
-          const pair = TOKEN_PAIRS[pairName];
-          const dedicatedRpcUrl = pair.rpcUrl || primaryRpcUrl;
-          
-          logger.info(`Initializing dedicated provider for ${pairName} with ${dedicatedRpcUrl.substring(0, 25)}...`);
-          this.pairProviders[pairName] = new ethers.providers.JsonRpcProvider(dedicatedRpcUrl);
-        }
+        this.primaryRpcUrl = primaryRpcUrl;
+        this.initializePairProviders();
         
         logger.info('Testing blockchain connection...');
         const network = await this.provider.getNetwork();
@@ -517,6 +500,24 @@ class PriceService {
     }
   }
 
+  /**
+   * Create dedicated providers for pairs that do not have one yet
+   */
+  initializePairProviders() {
+    const tokenPairs = getTokenPairs();
+    for (const pairName in tokenPairs) {
+      if (this.pairProviders[pairName]) {
+        continue;
+      }
+      
+      const pair = tokenPairs[pairName];
+      const dedicatedRpcUrl = pair.rpcUrl || this.primaryRpcUrl;
+      
+      logger.info(`Initializing dedicated provider for ${pairName} with ${dedicatedRpcUrl.substring(0, 25)}...`);
+      this.pairProviders[pairName] = new ethers.providers.JsonRpcProvider(dedicatedRpcUrl);
+    }
+  }
+
   /**
    * Get the provider for a specific pair
    * @param {string} pairName - Name of the pair
@@ -537,7 +538,7 @@ class PriceService {
         await this.initialize();
       }
       
-      const pair = TOKEN_PAIRS[pairName];
+      const pair = getTokenPairs()[pairName];
       if (!pair) {
         throw new Error(`Unknown pair: ${pairName}`);
       }
@@ -549,17 +550,20 @@ class PriceService {
         timestamp: new Date().toISOString()
       };
       
+      // Reads for this pair are batched into Multicall3 requests on its dedicated provider
+      const multicall = getMulticall(this.getPairProvider(pairName));
+      
       // PancakeSwap V2
       try {
         logger.info(`Using dedicated provider for PancakeSwap V2 price for ${pairName}`);
-        const pairAddress = await this.pancakeV2Factory.getPair(tokenA, tokenB);
+        const pairAddress = await multicall.call(ADDRESSES.PANCAKESWAP_V2_FACTORY, PancakeV2FactoryABI, 'getPair', [tokenA, tokenB]);
         
         if (pairAddress && pairAddress !== ethers.constants.AddressZero) {
-          const pairContract = new ethers.Contract(pairAddress, PancakeV2PairABI, this.pairProviders[pairName] || this.provider);
-          const reserves = await pairContract.getReserves();
-          
-          // Check token order
-          const token0 = await pairContract.token0();
+          // Reserves and token order in one request
+          const [reserves, token0] = await Promise.all([
+            multicall.call(pairAddress, PancakeV2PairABI, 'getReserves'),
+            multicall.call(pairAddress, PancakeV2PairABI, 'token0')
+          ]);
           const isToken0A = token0.toLowerCase() === tokenA.toLowerCase();
           
           // Calculate price based on reserves
@@ -570,6 +574,9 @@ class PriceService {
             price = reserves[0].mul(ethers.utils.parseEther('1')).div(reserves[1]);
           }
           
+          // Quote the price in whole tokens rather than base units
+          price = tokenMetadata.scalePrice(price, tokenA, tokenB);
+          
           result.pancakeV2 = {
             price: parseFloat(ethers.utils.formatEther(price)),
             timestamp: new Date().toISOString(),
@@ -605,32 +612,26 @@ class PriceService {
         logger.info(`Using dedicated provider for PancakeSwap V3 price for ${pairName}`);
         
         // Get the preferred fee tier for this pair
-        const preferredFeeTier = V3_PREFERRED_FEE_TIERS[pairName] || FEE_TIERS.LOW;
+        const preferredFeeTier = config.preferredFeeTiers[pairName] || FEE_TIERS.LOW;
         
         try {
           // Attempt to get pool address for this pair
-          const poolAddress = await this.pancakeV3Factory.getPool(
-            tokenA,
-            tokenB,
-            preferredFeeTier
+          const poolAddress = await multicall.call(
+            ADDRESSES.PANCAKESWAP_V3_FACTORY,
+            PancakeV3FactoryABI,
+            'getPool',
+            [tokenA, tokenB, preferredFeeTier]
           );
           
           if (poolAddress && poolAddress !== ethers.constants.AddressZero) {
             logger.info(`Found V3 pool for ${pairName} with fee tier ${preferredFeeTier} at ${poolAddress}`);
             
-            // Create pool contract instance
-            const poolContract = new ethers.Contract(
-              poolAddress,
-              PancakeV3PoolABI,
-              this.pairProviders[pairName] || this.provider
-            );
-            
-            // Get slot0 data which contains current price
-            const slot0 = await poolContract.slot0();
+            // Get slot0, which contains the current price, and the token order in one request
+            const [slot0, token0] = await Promise.all([
+              multicall.call(poolAddress, PancakeV3PoolABI, 'slot0'),
+              multicall.call(poolAddress, PancakeV3PoolABI, 'token0')
+            ]);
             const sqrtPriceX96 = slot0.sqrtPriceX96;
-            
-            // Check token order
-            const token0 = await poolContract.token0();
             const isToken0A = token0.toLowerCase() === tokenA.toLowerCase();
             
             // Calculate price from sqrtPriceX96
@@ -684,6 +685,9 @@ class PriceService {
               }
             }
             
+            // The pool price is a ratio of base units, quote it in whole tokens
+            price = tokenMetadata.scalePrice(price, tokenA, tokenB);
+            
             const priceValue = parseFloat(ethers.utils.formatEther(price));
             
             // For CAKE/WBNB, we need an additional check
@@ -735,34 +739,30 @@ class PriceService {
             // If no pool found for the preferred fee tier, try alternative tiers
             logger.info(`No V3 pool found for ${pairName} with preferred fee tier, trying alternatives`);
             
-            const feeTiers = [FEE_TIERS.ULTRA_LOWEST, FEE_TIERS.LOWEST, FEE_TIERS.LOW, FEE_TIERS.MEDIUM];
+            const feeTiers = [FEE_TIERS.ULTRA_LOWEST, FEE_TIERS.LOWEST, FEE_TIERS.LOW, FEE_TIERS.MEDIUM]
+              .filter(feeTier => feeTier !== preferredFeeTier); // Skip preferred tier as we already tried it
             let poolFound = false;
             
-            for (const feeTier of feeTiers) {
-              if (feeTier === preferredFeeTier) continue; // Skip preferred tier as we already tried it
-              
-              const altPoolAddress = await this.pancakeV3Factory.getPool(
-                tokenA,
-                tokenB,
-                feeTier
-              );
+            // Look up every alternative tier in a single request
+            const altPoolAddresses = await Promise.all(feeTiers.map(feeTier => multicall.call(
+              ADDRESSES.PANCAKESWAP_V3_FACTORY,
+              PancakeV3FactoryABI,
+              'getPool',
+              [tokenA, tokenB, feeTier]
+            )));
+            
+            for (const [index, feeTier] of feeTiers.entries()) {
+              const altPoolAddress = altPoolAddresses[index];
               
               if (altPoolAddress && altPoolAddress !== ethers.constants.AddressZero) {
                 logger.info(`Found alternative V3 pool for ${pairName} with fee tier ${feeTier} at ${altPoolAddress}`);
                 
-                // Create pool contract instance
-                const poolContract = new ethers.Contract(
-                  altPoolAddress,
-                  PancakeV3PoolABI,
-                  this.pairProviders[pairName] || this.provider
-                );
-                
-                // Get slot0 data which contains current price
-                const slot0 = await poolContract.slot0();
+                // Get slot0, which contains the current price, and the token order in one request
+                const [slot0, token0] = await Promise.all([
+                  multicall.call(altPoolAddress, PancakeV3PoolABI, 'slot0'),
+                  multicall.call(altPoolAddress, PancakeV3PoolABI, 'token0')
+                ]);
                 const sqrtPriceX96 = slot0.sqrtPriceX96;
-                
-                // Check token order
-                const token0 = await poolContract.token0();
                 const isToken0A = token0.toLowerCase() === tokenA.toLowerCase();
                 
                 // Calculate price from sqrtPriceX96
@@ -810,6 +810,9 @@ class PriceService {
                   }
                 }
                 
+                // The pool price is a ratio of base units, quote it in whole tokens
+                price = tokenMetadata.scalePrice(price, tokenA, tokenB);
+                
                 const priceValue = parseFloat(ethers.utils.formatEther(price));
                 
                 // For CAKE/WBNB, we need an additional check
@@ -899,7 +902,7 @@ class PriceService {
         result.pancakeV3 = {
           price: 'N/A',
           timestamp: new Date().toISOString(),
-          swapFee: DEX_FEES.pancakeV3[V3_PREFERRED_FEE_TIERS[pairName] || FEE_TIERS.LOW],
+          swapFee: DEX_FEES.pancakeV3[config.preferredFeeTiers[pairName] || FEE_TIERS.LOW],
           slippage: 0.25,
           gasEstimate: 0.00035,
           feeTier: 'Error'
@@ -988,7 +991,7 @@ class PriceService {
   async getAllPrices() {
     const result = {};
     
-    for (const pairName in TOKEN_PAIRS) {
+    for (const pairName in getTokenPairs()) {
       try {
         const prices = await this.getPricesForPair(pairName);
         result[pairName] = prices;
@@ -233,6 +233,15 @@ function updateDashboard(stats) {
 
     // Update summary stats
     safeUpdateElement('totalProfit', Number(stats.totalProfit).toFixed(6));
+    safeUpdateElement('totalProfitUsd', '$' + Number(stats.totalProfitUsd || 0).toFixed(2));
+    safeUpdateElement('gasSpent', Number(stats.gasSpent || 0).toFixed(6) + ' BNB ($' + Number(stats.gasSpentUsd || 0).toFixed(2) + ')');
+    
+    // BNB/USD price the USD figures are valued at
+    if (stats.priceOracle && stats.priceOracle.bnbUsd !== null) {
+      safeUpdateElement('bnbUsdPrice', '$' + stats.priceOracle.bnbUsd.toFixed(2) + (stats.priceOracle.stale ? ' (stale)' : ''));
+    } else {
+      safeUpdateElement('bnbUsdPrice', 'N/A');
+    }
     safeUpdateElement('executedArbitrages', stats.executedArbitrages);
     safeUpdateElement('successRate', stats.successRate + '%');
     safeUpdateElement('totalOpportunities', stats.totalOpportunities);
@@ -395,7 +404,9 @@ function addTransactionToList(tx, container = null) {
   const txElement = document.createElement('div');
   txElement.className = `transaction-item ${tx.success ? 'transaction-success' : 'transaction-failed'}`;
   
-  const formattedProfit = tx.profit ? parseFloat(tx.profit).toFixed(6) + ' BNB' : 'N/A';
+  const formattedProfit = tx.profit
+    ? parseFloat(tx.profit).toFixed(6) + ' BNB' + (tx.profitUsd !== null && tx.profitUsd !== undefined ? ' ($' + Number(tx.profitUsd).toFixed(2) + ')' : '')
+    : 'N/A';
   
   // Create and append HTML content
   txElement.innerHTML = `
@@ -403,7 +414,7 @@ function addTransactionToList(tx, container = null) {
       <div>
         <strong>${tx.route ? tx.route.join(' → ') : 'Transaction'}</strong>
         ${tx.type ? `<span class="badge mev-strategy-badge">${tx.type}</span>` : ''}
-        ${tx.profit ? `<span class="badge arb-profit-badge">+${formattedProfit}</span>` : ''}
+        ${tx.profit ? `<span class="badge arb-profit-badge">${parseFloat(tx.profit) >= 0 ? '+' : ''}${formattedProfit}</span>` : ''}
       </div>
       <span class="badge ${tx.success ? 'bg-success' : 'bg-danger'}">
         ${tx.success ? 'Success' : 'Failed'}
@@ -413,6 +424,7 @@ function addTransactionToList(tx, container = null) {
       ${tx.timestamp ? formatDate(tx.timestamp) : ''}
       ${tx.txHash ? `<a href="https://bscscan.com/tx/${tx.txHash}" target="_blank" class="ms-2">View on BSCScan</a>` : ''}
     </div>
+    ${tx.breakdown ? renderProfitBreakdown(tx.breakdown) : ''}
   `;
   
   // Insert at the beginning of the list
@@ -429,6 +441,50 @@ function addTransactionToList(tx, container = null) {
   }
 }
 
+// Render the itemised profit of a trade, every amount in the borrowed token
+function renderProfitBreakdown(breakdown) {
+  const token = breakdown.token;
+  const row = (label, value) => `<tr><td>${label}</td><td class="text-end">${value}</td></tr>`;
+  const amount = value => (value !== null && value !== undefined ? `${value} ${token}` : 'N/A');
+  
+  const legRows = breakdown.legs.map(leg =>
+    row(`${capitalizeFirstLetter(leg.side)} on ${leg.dex}`, leg.swap) +
+    (leg.fee !== null ? row('&nbsp;&nbsp;DEX fee', `-${amount(leg.fee)}`) + row('&nbsp;&nbsp;Price impact', `-${amount(leg.priceImpact)}`) : '')
+  ).join('');
+  
+  const gasUsd = breakdown.gasCost.usd !== null && breakdown.gasCost.usd !== undefined
+    ? ` ($${Number(breakdown.gasCost.usd).toFixed(2)})`
+    : '';
+  const netUsd = breakdown.netProfitUsd !== null && breakdown.netProfitUsd !== undefined
+    ? ` ($${Number(breakdown.netProfitUsd).toFixed(2)})`
+    : '';
+  const expectedUsd = breakdown.expectedProfitUsd !== null && breakdown.expectedProfitUsd !== undefined
+    ? ` ($${Number(breakdown.expectedProfitUsd).toFixed(2)})`
+    : '';
+  const survival = breakdown.survivalProbability !== null && breakdown.survivalProbability !== undefined
+    ? (breakdown.survivalProbability * 100).toFixed(1)
+    : null;
+  
+  return `
+    <details class="profit-breakdown mt-2">
+      <summary>Profit breakdown</summary>
+      <table class="table table-sm mb-0">
+        <tbody>
+          ${row('Borrowed', amount(breakdown.amountIn))}
+          ${row('Gross spread', amount(breakdown.grossSpread))}
+          ${legRows}
+          ${row('Flash loan fee', `-${amount(breakdown.flashLoanFee)}`)}
+          ${row('Gas', `-${amount(breakdown.gasCost.inToken)} (${breakdown.gasCost.native} BNB${gasUsd})`)}
+          ${row('<strong>Net profit</strong>', `<strong>${amount(breakdown.netProfit)}${netUsd}</strong>`)}
+          ${survival !== null ? row(`Expected profit (${survival}% survival)`, `${amount(breakdown.expectedProfit)}${expectedUsd}`) : ''}
+          ${row('Slippage buffer', amount(breakdown.slippageBuffer))}
+          ${row('Worst case', amount(breakdown.worstCaseNetProfit))}
+        </tbody>
+      </table>
+    </details>
+  `;
+}
+
 // Update bot status badge
 function updateBotStatus(statusData) {
   try {
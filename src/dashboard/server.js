@@ -7,8 +7,12 @@ const socketIo = require('socket.io');
 const path = require('path');
 const moment = require('moment');
 const logger = require('../utils/logger');
+const config = require('../config');
 const { formatEther } = require('ethers').utils;
 const priceService = require('./priceService');
+const opportunityTracker = require('../arbitrage/opportunityTracker');
+const priceHistoryStore = require('../arbitrage/priceHistoryStore');
+const pegMonitor = require('../arbitrage/pegMonitor');
 const session = require('express-session');
 
 class DashboardServer {
@@ -40,6 +44,10 @@ class DashboardServer {
       executedArbitrages: 0,
       failedArbitrages: 0,
       totalProfit: '0',
+      totalProfitUsd: '0',
+      gasSpent: '0',
+      gasSpentUsd: '0',
+      priceOracle: null,
       botStatus: 'initializing',
       botStatusMessage: 'Starting up...',
       lastUpdated: new Date().toISOString(),
@@ -153,9 +161,43 @@ class DashboardServer {
       res.json(this.opportunities);
     });
 
+    // Lifecycle of a single opportunity, by the deterministic ID assigned during detection
+    this.app.get('/api/opportunities/:id', (req, res) => {
+      const opportunity = opportunityTracker.getOpportunity(req.params.id);
+
+      if (!opportunity) {
+        return res.status(404).json({ error: `Unknown opportunity ${req.params.id}` });
+      }
+
+      res.json(opportunity);
+    });
+
     this.app.get('/api/prices', (req, res) => {
       res.json(this.prices);
     });
+
+    // Volatility and spread statistics from the persisted price history.
+    // Pair names contain '/', so a single pair is selected with ?pair=WBNB/BUSD
+    this.app.get('/api/price-stats', (req, res) => {
+      const window = parseInt(req.query.window, 10) || undefined;
+
+      if (req.query.pair) {
+        if (!priceHistoryStore.getPairs().includes(req.query.pair)) {
+          return res.status(404).json({ error: `No price history for ${req.query.pair}` });
+        }
+        return res.json(priceHistoryStore.getStats(req.query.pair, window));
+      }
+
+      res.json(priceHistoryStore.getPairs().map(pair => priceHistoryStore.getStats(pair, window)));
+    });
+
+    // Stablecoin peg status and recent depeg alerts
+    this.app.get('/api/pegs', (req, res) => {
+      res.json({
+        statuses: pegMonitor.getStatuses(),
+        alerts: pegMonitor.getAlerts()
+      });
+    });
     
     // API route for MEV configuration and status
     this.app.get('/api/mev', (req, res) => {
@@ -191,6 +233,14 @@ class DashboardServer {
    * Set up Socket.IO events
    */
   setupSocketEvents() {
+    // Push depeg alerts to every connected client as they happen
+    pegMonitor.on('alert', (alert) => {
+      this.io.emit('peg-alert', alert);
+    });
+
+    // The bot may run in another process, so pick up the peg statuses and alerts it saves
+    this.pegReloadTimer = setInterval(() => pegMonitor.reload(), config.stablePairs.dashboardReloadInterval);
+
     this.io.on('connection', (socket) => {
       logger.info(`Dashboard client connected: ${socket.id}`);
 
@@ -198,6 +248,7 @@ class DashboardServer {
       socket.emit('stats', this.stats);
       socket.emit('transactions', this.transactions);
       socket.emit('opportunities', this.opportunities);
+      socket.emit('peg-alerts', pegMonitor.getAlerts());
       
       // Setup price socket events
       this.setupPriceSocketEvents(socket);
@@ -226,6 +277,7 @@ class DashboardServer {
    * Stop the dashboard server
    */
   stop() {
+    clearInterval(this.pegReloadTimer);
     this.httpServer.close();
     logger.info('Dashboard server stopped');
   }
@@ -1,5 +1,7 @@
 const logger = require('../utils/logger');
 const dashboardServer = require('./server');
+const priceOracle = require('../utils/priceOracle');
+const { formatBreakdown } = require('../arbitrage/profitBreakdown');
 const { ethers } = require('ethers');
 
 /**
@@ -13,7 +15,11 @@ class PerformanceTracker {
       profitableOpportunities: 0,
       executedArbitrages: 0,
       failedArbitrages: 0,
+      // Profit and gas in BNB (wei), and in USD at the price of the time of each trade
       totalProfit: ethers.BigNumber.from(0),
+      totalProfitUsd: 0,
+      gasSpent: ethers.BigNumber.from(0),
+      gasSpentUsd: 0,
       mevStats: {
         backrunCount: 0,
         sandwichCount: 0,
@@ -106,19 +112,28 @@ class PerformanceTracker {
   /**
    * Record an executed arbitrage
    * @param {Object} result - The result of the arbitrage execution
+   * @param {BigNumber} [result.profitBnb] - Profit in BNB (wei)
+   * @param {BigNumber} [result.gasCost] - Gas paid in BNB (wei)
+   * @param {BigNumber} [result.gasUsed] - Gas used by the mined transaction
+   * @param {Object} [result.breakdown] - Itemised profit of the evaluated trade
    */
   recordArbitrageExecution(result) {
+    const profitUsd = result.profitBnb ? this.toUsd(result.profitBnb) : null;
+    const gasCostUsd = result.gasCost ? this.toUsd(result.gasCost) : null;
+    
     if (result.success) {
       this.stats.executedArbitrages++;
       
       // Add profit
-      if (result.actualProfit) {
-        this.stats.totalProfit = this.stats.totalProfit.add(result.actualProfit);
+      if (result.profitBnb) {
+        this.stats.totalProfit = this.stats.totalProfit.add(result.profitBnb);
+        this.stats.totalProfitUsd += profitUsd || 0;
         
         // Add to profit records for charts
         this.stats.profitRecords.push({
           timestamp: new Date().toISOString(),
-          profit: result.actualProfit
+          profit: result.profitBnb,
+          profitUsd
         });
         
         // Keep only last 24 hours of records
@@ -131,11 +146,25 @@ class PerformanceTracker {
       this.stats.failedArbitrages++;
     }
     
-    // Add to recent transactions
-    this.stats.transactions.unshift({
+    // Gas is paid whether or not the trade made money
+    if (result.gasCost) {
+      this.stats.gasSpent = this.stats.gasSpent.add(result.gasCost);
+      this.stats.gasSpentUsd += gasCostUsd || 0;
+    }
+    
+    const transaction = {
       ...result,
+      profit: result.profitBnb ? ethers.utils.formatEther(result.profitBnb) : null,
+      profitUsd,
+      gasCost: result.gasCost ? ethers.utils.formatEther(result.gasCost) : null,
+      gasCostUsd,
+      gasUsed: result.gasUsed ? result.gasUsed.toString() : null,
+      breakdown: formatBreakdown(result.breakdown),
       timestamp: new Date().toISOString()
-    });
+    };
+    
+    // Add to recent transactions
+    this.stats.transactions.unshift(transaction);
     
     // Keep only the most recent 10 transactions
     if (this.stats.transactions.length > 10) {
@@ -143,7 +172,7 @@ class PerformanceTracker {
     }
     
     // Update the dashboard with the new transaction
-    dashboardServer.addTransaction(result);
+    dashboardServer.addTransaction(transaction);
     
     // Update the dashboard with overall stats
     this.pushStatsToDashboard();
@@ -170,7 +199,10 @@ class PerformanceTracker {
     
     // If the MEV strategy was profitable, add to total profit
     if (mevResult.profit && mevResult.executed) {
+      const profitUsd = this.toUsd(mevResult.profit);
+      
       this.stats.totalProfit = this.stats.totalProfit.add(mevResult.profit);
+      this.stats.totalProfitUsd += profitUsd || 0;
       
       // Add to hourly MEV profit for tracking
       this.lastHourProfit = this.lastHourProfit.add(mevResult.profit);
@@ -178,7 +210,8 @@ class PerformanceTracker {
       // Add to profit records for charts
       this.stats.profitRecords.push({
         timestamp: new Date().toISOString(),
-        profit: mevResult.profit
+        profit: mevResult.profit,
+        profitUsd
       });
     }
     
@@ -207,6 +240,20 @@ class PerformanceTracker {
     this.pushStatsToDashboard();
   }
   
+  /**
+   * Value an amount of BNB in USD at the current on-chain price
+   * @param {BigNumber} amount - Amount of BNB (wei)
+   * @returns {number|null} - Value in USD, or null if the price is stale
+   * @private
+   */
+  toUsd(amount) {
+    const usd = priceOracle.bnbToUsd(amount);
+    if (usd === null) {
+      logger.warn(`No fresh BNB/USD price, USD totals leave out ${ethers.utils.formatEther(amount)} BNB`);
+    }
+    return usd;
+  }
+  
   /**
    * Update hourly profit metrics
    */
@@ -233,16 +280,24 @@ class PerformanceTracker {
       profitableOpportunities: this.stats.profitableOpportunities,
       executedArbitrages: this.stats.executedArbitrages,
       failedArbitrages: this.stats.failedArbitrages,
-      totalProfit: this.stats.totalProfit,
+      totalProfit: ethers.utils.formatEther(this.stats.totalProfit),
+      totalProfitUsd: this.stats.totalProfitUsd.toFixed(2),
+      gasSpent: ethers.utils.formatEther(this.stats.gasSpent),
+      gasSpentUsd: this.stats.gasSpentUsd.toFixed(2),
+      priceOracle: priceOracle.getStatus(),
       mevStats: {
         backrunCount: this.stats.mevStats.backrunCount,
         sandwichCount: this.stats.mevStats.sandwichCount,
         backrunExecuted: this.stats.mevStats.backrunExecuted,
         sandwichExecuted: this.stats.mevStats.sandwichExecuted,
-        hourlyProfit: this.stats.mevStats.hourlyProfit,
+        hourlyProfit: ethers.utils.formatEther(this.stats.mevStats.hourlyProfit),
         pendingTransactions: this.stats.mevStats.pendingTransactions
       },
-      profitHistory: this.stats.profitRecords,
+      profitHistory: this.stats.profitRecords.map(record => ({
+        timestamp: record.timestamp,
+        profit: ethers.utils.formatEther(record.profit),
+        profitUsd: record.profitUsd
+      })),
       recentTransactions: this.stats.transactions
     };
     
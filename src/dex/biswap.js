@@ -6,17 +6,30 @@
 const { ethers } = require('ethers');
 const { BISWAP_CONTRACTS, TOKENS } = require('./constants');
 const logger = require('../utils/logger');
+const { getMulticall } = require('../utils/multicall');
+const tokenMetadata = require('../utils/tokenMetadata');
 
 // Load ABIs
 const BiswapFactoryABI = require('../../attached_assets/biswap_factory_abi.json');
 const BiswapRouterABI = require('../../attached_assets/biswap_router_abi (1).json');
-const ERC20ABI = require('../abi/erc20.json');
-const PairABI = require('../abi/pair.json');
+const ERC20ABI = require('../abis/ERC20.json');
+const PairABI = require('../abis/PancakeV2Pair.json');
+
+// BiSwap pairs set their own fee, in tenths of a percent (1 = 0.1%)
+const SwapFeeABI = ['function swapFee() view returns (uint32)'];
+
+// Fee assumed when a pair's swapFee() cannot be read
+const DEFAULT_SWAP_FEE = 2;
 
 class Biswap {
   constructor(provider, wallet) {
     this.provider = provider;
     this.wallet = wallet;
+    this.name = 'BiSwap';
+    
+    // Per-pair swap fees, keyed by lowercase pair address
+    this.pairSwapFees = {};
+    
     this.factory = new ethers.Contract(
       BISWAP_CONTRACTS.FACTORY,
       BiswapFactoryABI,
@@ -27,6 +40,9 @@ class Biswap {
       BiswapRouterABI,
       this.wallet || this.provider
     );
+    
+    // Batches pool reads into Multicall3 requests
+    this.multicall = getMulticall(this.provider);
 
     logger.info(`BiSwap initialized with factory: ${BISWAP_CONTRACTS.FACTORY}, router: ${BISWAP_CONTRACTS.ROUTER}`);
   }
@@ -39,7 +55,7 @@ class Biswap {
    */
   async getPairAddress(tokenA, tokenB) {
     try {
-      const pairAddress = await this.factory.getPair(tokenA, tokenB);
+      const pairAddress = await this.multicall.call(BISWAP_CONTRACTS.FACTORY, BiswapFactoryABI, 'getPair', [tokenA, tokenB]);
       return pairAddress;
     } catch (error) {
       logger.error(`Error getting BiSwap pair address: ${error.message}`);
@@ -54,8 +70,7 @@ class Biswap {
    */
   async getReserves(pairAddress) {
     try {
-      const pairContract = new ethers.Contract(pairAddress, PairABI, this.provider);
-      const reserves = await pairContract.getReserves();
+      const reserves = await this.multicall.call(pairAddress, PairABI, 'getReserves');
       return {
         reserve0: reserves[0],
         reserve1: reserves[1]
@@ -78,9 +93,7 @@ class Biswap {
    */
   async getTokenOrder(pairAddress, tokenA, tokenB) {
     try {
-      const pairContract = new ethers.Contract(pairAddress, PairABI, this.provider);
-      const token0 = await pairContract.token0();
-      const token1 = await pairContract.token1();
+      const token0 = await this.multicall.call(pairAddress, PairABI, 'token0');
       
       if (token0.toLowerCase() === tokenA.toLowerCase()) {
         return { token0: tokenA, token1: tokenB };
@@ -109,19 +122,24 @@ class Biswap {
         return ethers.BigNumber.from(0);
       }
       
-      const { reserve0, reserve1 } = await this.getReserves(pairAddress);
-      const { token0 } = await this.getTokenOrder(pairAddress, tokenIn, tokenOut);
+      // Reserves, token order and fee are read in one batch
+      const [{ reserve0, reserve1 }, { token0 }, swapFee] = await Promise.all([
+        this.getReserves(pairAddress),
+        this.getTokenOrder(pairAddress, tokenIn, tokenOut),
+        this.getPairSwapFee(pairAddress)
+      ]);
       
       const [reserveIn, reserveOut] = token0.toLowerCase() === tokenIn.toLowerCase()
         ? [reserve0, reserve1]
         : [reserve1, reserve0];
       
-      // Use the router to calculate the amount out
-      const amountOut = await this.router.getAmountOut(
-        amountIn,
-        reserveIn,
-        reserveOut
-      );
+      if (reserveIn.isZero() || reserveOut.isZero()) {
+        return ethers.BigNumber.from(0);
+      }
+      
+      // Same formula as BiswapLibrary.getAmountOut, with the pair's own fee
+      const amountInWithFee = amountIn.mul(1000 - swapFee);
+      const amountOut = amountInWithFee.mul(reserveOut).div(reserveIn.mul(1000).add(amountInWithFee));
       
       return amountOut;
     } catch (error) {
@@ -214,8 +232,10 @@ class Biswap {
         return ethers.BigNumber.from(0);
       }
       
-      const { reserve0, reserve1 } = await this.getReserves(pairAddress);
-      const { token0 } = await this.getTokenOrder(pairAddress, tokenA, tokenB);
+      const [{ reserve0, reserve1 }, { token0 }] = await Promise.all([
+        this.getReserves(pairAddress),
+        this.getTokenOrder(pairAddress, tokenA, tokenB)
+      ]);
       
       if (reserve0.isZero() || reserve1.isZero()) {
         logger.warn(`BiSwap zero reserves for pair ${tokenA}/${tokenB}`);
@@ -223,14 +243,12 @@ class Biswap {
       }
       
       // Calculate price based on reserves
-      const price = token0.toLowerCase() === tokenA.toLowerCase()
+      const rawPrice = token0.toLowerCase() === tokenA.toLowerCase()
         ? reserve1.mul(ethers.BigNumber.from(10).pow(18)).div(reserve0)
         : reserve0.mul(ethers.BigNumber.from(10).pow(18)).div(reserve1);
       
-      // Adjust for token decimals if needed
-      // This assumes both tokens have 18 decimals, should be adjusted for tokens with different decimals
-      
-      return price;
+      // Adjust for token decimals
+      return tokenMetadata.scalePrice(rawPrice, tokenA, tokenB);
     } catch (error) {
       logger.error(`Error getting BiSwap price: ${error.message}`);
       return ethers.BigNumber.from(0);
@@ -239,11 +257,52 @@ class Biswap {
   
   /**
    * Get the swap fee percentage
-   * @returns {number} - Swap fee as a decimal (e.g., 0.003 for 0.3%)
+   * @param {string} pairAddress - Pair address, if known; falls back to the cached or default fee
+   * @returns {number} - Swap fee as a decimal (e.g., 0.002 for 0.2%)
+   */
+  getSwapFee(pairAddress) {
+    const swapFee = pairAddress ? this.pairSwapFees[pairAddress.toLowerCase()] : undefined;
+    return (swapFee ?? DEFAULT_SWAP_FEE) / 1000;
+  }
+  
+  /**
+   * Read a pair's swap fee. Unlike other V2 forks, BiSwap fees differ per pair.
+   * @param {string} pairAddress - Pair contract address
+   * @returns {Promise<number>} - Fee in tenths of a percent (e.g. 2 for 0.2%)
    */
-  getSwapFee() {
-    // BiSwap has a 0.2% fee across all pairs, down from 0.3% in many other exchanges
-    return 0.002;
+  async getPairSwapFee(pairAddress) {
+    const key = pairAddress.toLowerCase();
+    
+    if (this.pairSwapFees[key] !== undefined) {
+      return this.pairSwapFees[key];
+    }
+    
+    try {
+      const swapFee = await this.multicall.call(pairAddress, SwapFeeABI, 'swapFee');
+      
+      // The fee only changes through governance, so it is read once per pair
+      this.pairSwapFees[key] = swapFee;
+      return swapFee;
+    } catch (error) {
+      logger.warn(`Could not read BiSwap swap fee for pair ${pairAddress}, assuming ${DEFAULT_SWAP_FEE / 10}%: ${error.message}`);
+      return DEFAULT_SWAP_FEE;
+    }
+  }
+  
+  /**
+   * Get the swap fee of the pair for two tokens as a percentage
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {Promise<number>} - Swap fee in percent (e.g. 0.2)
+   */
+  async getPairFeePercentage(tokenA, tokenB) {
+    const pairAddress = await this.getPairAddress(tokenA, tokenB);
+    
+    if (pairAddress === ethers.constants.AddressZero) {
+      return DEFAULT_SWAP_FEE / 10;
+    }
+    
+    return (await this.getPairSwapFee(pairAddress)) / 10;
   }
   
   /**
@@ -266,17 +325,17 @@ class Biswap {
         };
       }
       
-      const { reserve0, reserve1 } = await this.getReserves(pairAddress);
-      const { token0 } = await this.getTokenOrder(pairAddress, tokenA, tokenB);
+      // Reserves, token order and supply are read in one batch, at the same block
+      const [{ reserve0, reserve1 }, { token0 }, totalSupply] = await Promise.all([
+        this.getReserves(pairAddress),
+        this.getTokenOrder(pairAddress, tokenA, tokenB),
+        this.multicall.call(pairAddress, PairABI, 'totalSupply')
+      ]);
       
       const [reserveA, reserveB] = token0.toLowerCase() === tokenA.toLowerCase()
         ? [reserve0, reserve1]
         : [reserve1, reserve0];
       
-      // Get pair contract to get total supply
-      const pairContract = new ethers.Contract(pairAddress, PairABI, this.provider);
-      const totalSupply = await pairContract.totalSupply();
-      
       return {
         exists: true,
         reserveA,
@@ -2,6 +2,8 @@ const { ethers } = require('ethers');
 const { getDeadline, applySlippage } = require('../utils/helpers');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { getMulticall } = require('../utils/multicall');
+const tokenMetadata = require('../utils/tokenMetadata');
 
 // ABIs
 const RouterABI = require('../abis/PancakeV2Router.json');
@@ -32,6 +34,9 @@ class PancakeswapV2 {
     );
     
     this.routerWithSigner = this.router.connect(this.wallet);
+    
+    // Batches pool reads into Multicall3 requests
+    this.multicall = getMulticall(this.provider);
   }
   
   /**
@@ -42,7 +47,7 @@ class PancakeswapV2 {
    */
   async getPairAddress(tokenA, tokenB) {
     try {
-      return await this.factory.getPair(tokenA, tokenB);
+      return await this.multicall.call(this.factoryAddress, FactoryABI, 'getPair', [tokenA, tokenB]);
     } catch (error) {
       logger.error(`Error getting pair address: ${error.message}`);
       throw error;
@@ -56,8 +61,7 @@ class PancakeswapV2 {
    */
   async getReserves(pairAddress) {
     try {
-      const pair = new ethers.Contract(pairAddress, PairABI, this.provider);
-      const reserves = await pair.getReserves();
+      const reserves = await this.multicall.call(pairAddress, PairABI, 'getReserves');
       
       return {
         reserve0: reserves._reserve0,
@@ -78,9 +82,10 @@ class PancakeswapV2 {
    */
   async getTokenOrder(pairAddress, tokenA, tokenB) {
     try {
-      const pair = new ethers.Contract(pairAddress, PairABI, this.provider);
-      const token0 = await pair.token0();
-      const token1 = await pair.token1();
+      const [token0, token1] = await Promise.all([
+        this.multicall.call(pairAddress, PairABI, 'token0'),
+        this.multicall.call(pairAddress, PairABI, 'token1')
+      ]);
       
       return {
         token0,
@@ -102,7 +107,7 @@ class PancakeswapV2 {
   async getAmountOut(amountIn, tokenIn, tokenOut) {
     try {
       const path = [tokenIn, tokenOut];
-      const amounts = await this.router.getAmountsOut(amountIn, path);
+      const amounts = await this.multicall.call(this.routerAddress, RouterABI, 'getAmountsOut', [amountIn, path]);
       return amounts[1];
     } catch (error) {
       logger.error(`Error getting amount out: ${error.message}`);
@@ -213,15 +218,17 @@ class PancakeswapV2 {
         throw new Error(`No pair exists for ${tokenA}/${tokenB}`);
       }
       
-      const { reserve0, reserve1 } = await this.getReserves(pairAddress);
-      const { token0 } = await this.getTokenOrder(pairAddress, tokenA, tokenB);
+      const [{ reserve0, reserve1 }, { token0 }] = await Promise.all([
+        this.getReserves(pairAddress),
+        this.getTokenOrder(pairAddress, tokenA, tokenB)
+      ]);
       
-      // Calculate price based on token order
-      if (token0 === tokenA) {
-        return reserve1.mul(ethers.BigNumber.from(10).pow(18)).div(reserve0);
-      } else {
-        return reserve0.mul(ethers.BigNumber.from(10).pow(18)).div(reserve1);
-      }
+      // Calculate price based on token order, then adjust for token decimals
+      const rawPrice = token0 === tokenA
+        ? reserve1.mul(ethers.BigNumber.from(10).pow(18)).div(reserve0)
+        : reserve0.mul(ethers.BigNumber.from(10).pow(18)).div(reserve1);
+      
+      return tokenMetadata.scalePrice(rawPrice, tokenA, tokenB);
     } catch (error) {
       logger.error(`Error getting price: ${error.message}`);
       throw error;
@@ -247,9 +254,12 @@ class PancakeswapV2 {
         };
       }
       
-      const pair = new ethers.Contract(pairAddress, PairABI, this.provider);
-      const reserves = await pair.getReserves();
-      const { token0 } = await this.getTokenOrder(pairAddress, tokenA, tokenB);
+      // Reserves, token order and supply are read in one batch, at the same block
+      const [reserves, { token0 }, totalSupply] = await Promise.all([
+        this.multicall.call(pairAddress, PairABI, 'getReserves'),
+        this.getTokenOrder(pairAddress, tokenA, tokenB),
+        this.multicall.call(pairAddress, PairABI, 'totalSupply')
+      ]);
       
       // Determine which reserve belongs to which token
       let reserveA, reserveB;
@@ -261,9 +271,6 @@ class PancakeswapV2 {
         reserveB = reserves._reserve0;
       }
       
-      // Get total liquidity
-      const totalSupply = await pair.totalSupply();
-      
       return {
         exists: true,
         pairAddress,
@@ -3,7 +3,10 @@ const { getDeadline, applySlippage } = require('../utils/helpers');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { callContractWithRetry, retryWithBackoff } = require('../utils/requestUtils');
-const { createContractWithRetry, createERC20WithRetry } = require('../utils/contractUtils');
+const { createContractWithRetry } = require('../utils/contractUtils');
+const { getMulticall } = require('../utils/multicall');
+const tokenMetadata = require('../utils/tokenMetadata');
+const { simulateSwap } = require('../utils/v3Math');
 const { PANCAKESWAP_V3_CONTRACTS, FEE_TIERS } = require('./constants');
 
 // ABIs
@@ -32,11 +35,18 @@ const QuoterABI = [
   },
   {
     "inputs": [
-      { "internalType": "address", "name": "tokenIn", "type": "address" },
-      { "internalType": "address", "name": "tokenOut", "type": "address" },
-      { "internalType": "uint24", "name": "fee", "type": "uint24" },
-      { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
-      { "internalType": "uint160", "name": "sqrtPriceLimitX96", "type": "uint160" }
+      {
+        "components": [
+          { "internalType": "address", "name": "tokenIn", "type": "address" },
+          { "internalType": "address", "name": "tokenOut", "type": "address" },
+          { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
+          { "internalType": "uint24", "name": "fee", "type": "uint24" },
+          { "internalType": "uint160", "name": "sqrtPriceLimitX96", "type": "uint160" }
+        ],
+        "internalType": "struct IQuoterV2.QuoteExactInputSingleParams",
+        "name": "params",
+        "type": "tuple"
+      }
     ],
     "name": "quoteExactInputSingle",
     "outputs": [
@@ -127,8 +137,14 @@ class PancakeswapV3 {
     
     this.routerWithSigner = this.router.connect(this.wallet);
     
+    // Batches pool and quoter reads into Multicall3 requests
+    this.multicall = getMulticall(this.provider);
+    
     // Default fee tiers to check (using constants from imported FEE_TIERS)
     this.feeTiers = Object.values(FEE_TIERS);
+    
+    // Lowercase pool address -> { blockNumber, model } for the latest block each pool was loaded at
+    this.poolModels = new Map();
   }
   
   /**
@@ -199,18 +215,14 @@ class PancakeswapV3 {
         ? [tokenA, tokenB] 
         : [tokenB, tokenA];
         
-      // Use retry mechanism for handling rate limits
-      const poolAddress = await retryWithBackoff(async () => {
-        return await this.factory.getPool(tokenA, tokenB, fee);
-      }, 5, 1000); // 5 retries with starting delay of 1000ms
+      // Batched with other reads; the multicall request retries on rate limits
+      const poolAddress = await this.multicall.call(this.factoryAddress, FactoryABI, 'getPool', [tokenA, tokenB, fee]);
       
       // Check if we got a valid pool address
       if (poolAddress === ethers.constants.AddressZero && fee === FEE_TIERS.ULTRA_LOWEST) {
         // If we tried with ULTRA_LOWEST (0.01%) and no pool exists, fallback to LOWEST (0.015%)
         logger.info(`No pool exists for ${tokenA}/${tokenB} with 0.01% fee tier, trying 0.015% as fallback`);
-        return await retryWithBackoff(async () => {
-          return await this.factory.getPool(tokenA, tokenB, FEE_TIERS.LOWEST);
-        }, 5, 1000);
+        return await this.multicall.call(this.factoryAddress, FactoryABI, 'getPool', [tokenA, tokenB, FEE_TIERS.LOWEST]);
       }
       
       return poolAddress;
@@ -350,6 +362,34 @@ class PancakeswapV3 {
     }
   }
   
+  /**
+   * Get the pool of every fee tier for a token pair. Unlike getAllPools this
+   * does not stop at the preferred tiers, so spreads between tiers of the same
+   * pair can be priced and a flash loan can come from a tier the trade does not use.
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {Promise<Array<{fee: number, address: string}>>} - Existing pools, one per fee tier
+   */
+  async getFeeTierPools(tokenA, tokenB) {
+    if (config.ENVIRONMENT.DEV_MODE) {
+      return this.feeTiers.map(fee => ({
+        fee,
+        address: `0x7Ea6bb671a9836c30511832D3D64C5F655321${fee.toString().padStart(3, '0')}`
+      }));
+    }
+    
+    const [token0, token1] = tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+    
+    // Every tier is looked up in the same multicall batch, without getPoolAddress's tier overrides
+    const addresses = await Promise.all(this.feeTiers.map(fee =>
+      this.multicall.call(this.factoryAddress, FactoryABI, 'getPool', [token0, token1, fee])
+    ));
+    
+    return this.feeTiers
+      .map((fee, index) => ({ fee, address: addresses[index] }))
+      .filter(pool => pool.address !== ethers.constants.AddressZero);
+  }
+  
   /**
    * Get liquidity information for a specific pool
    * @param {string} poolAddress - Pool contract address
@@ -410,27 +450,20 @@ class PancakeswapV3 {
         };
       }
       
-      // Production mode - real blockchain calls with retry logic
-      const pool = createContractWithRetry(poolAddress, PoolABI, this.provider);
-      
-      // Contracts with retry already built-in
+      // Production mode - pool state in one batch, then token balances in a second
       const [token0, token1, fee, liquidity, slot0] = await Promise.all([
-        pool.token0(),
-        pool.token1(),
-        pool.fee(),
-        pool.liquidity(),
-        pool.slot0()
+        this.multicall.call(poolAddress, PoolABI, 'token0'),
+        this.multicall.call(poolAddress, PoolABI, 'token1'),
+        this.multicall.call(poolAddress, PoolABI, 'fee'),
+        this.multicall.call(poolAddress, PoolABI, 'liquidity'),
+        this.multicall.call(poolAddress, PoolABI, 'slot0')
       ]);
       
-      // Get token balances in the pool with retry-enabled contracts
-      const token0Contract = createERC20WithRetry(token0, this.provider);
-      const token1Contract = createERC20WithRetry(token1, this.provider);
-      
       const [balance0, decimals0, balance1, decimals1] = await Promise.all([
-        token0Contract.balanceOf(poolAddress),
-        token0Contract.decimals(),
-        token1Contract.balanceOf(poolAddress),
-        token1Contract.decimals()
+        this.multicall.call(token0, ERC20ABI, 'balanceOf', [poolAddress]),
+        this.multicall.call(token0, ERC20ABI, 'decimals'),
+        this.multicall.call(token1, ERC20ABI, 'balanceOf', [poolAddress]),
+        this.multicall.call(token1, ERC20ABI, 'decimals')
       ]);
       
       return {
@@ -477,6 +510,109 @@ class PancakeswapV3 {
     }
   }
   
+  /**
+   * Get a local model of a pool at a block: its price, active liquidity and the
+   * initialized ticks around the price, enough to quote swaps with simulateSwap
+   * instead of the quoter. Each pool is loaded once per block.
+   * @param {string} poolAddress - Pool address
+   * @param {number} blockNumber - Block to load the pool at
+   * @returns {Promise<Object>} - Pool model
+   */
+  async getPoolModel(poolAddress, blockNumber) {
+    const key = poolAddress.toLowerCase();
+    const cached = this.poolModels.get(key);
+    if (cached && cached.blockNumber === blockNumber) {
+      return cached.model;
+    }
+    
+    // Store the pending load so concurrent quotes for the same block share it
+    const model = this.loadPoolModel(poolAddress, blockNumber);
+    this.poolModels.set(key, { blockNumber, model });
+    
+    try {
+      return await model;
+    } catch (error) {
+      this.poolModels.delete(key);
+      throw error;
+    }
+  }
+  
+  /**
+   * Read a pool's state and the tick bitmap words around its price, then the
+   * liquidityNet of every initialized tick in those words
+   * @param {string} poolAddress - Pool address
+   * @param {number} blockNumber - Block to read at
+   * @returns {Promise<Object>} - Pool model
+   * @private
+   */
+  async loadPoolModel(poolAddress, blockNumber) {
+    const read = (method, args = []) => this.multicall.call(poolAddress, PoolABI, method, args, { blockTag: blockNumber });
+    
+    const [token0, token1, fee, tickSpacing, liquidity, slot0] = await Promise.all([
+      read('token0'),
+      read('token1'),
+      read('fee'),
+      read('tickSpacing'),
+      read('liquidity'),
+      read('slot0')
+    ]);
+    
+    // Bitmap words hold 256 ticks each, indexed by tick / tickSpacing rounded down
+    const currentWord = Math.floor(slot0.tick / tickSpacing) >> 8;
+    const wordRange = config.v3PoolModel.tickBitmapWords;
+    const wordPositions = [];
+    for (let wordPos = currentWord - wordRange; wordPos <= currentWord + wordRange; wordPos++) {
+      wordPositions.push(wordPos);
+    }
+    
+    const words = await Promise.all(wordPositions.map(wordPos => read('tickBitmap', [wordPos])));
+    
+    const bitmap = new Map();
+    const initializedTicks = [];
+    wordPositions.forEach((wordPos, index) => {
+      const word = words[index].toBigInt();
+      bitmap.set(wordPos, word);
+      
+      for (let bit = 0; bit < 256; bit++) {
+        if ((word >> BigInt(bit)) & 1n) {
+          initializedTicks.push((wordPos * 256 + bit) * tickSpacing);
+        }
+      }
+    });
+    
+    const tickInfo = await Promise.all(initializedTicks.map(tick => read('ticks', [tick])));
+    const liquidityNet = new Map(initializedTicks.map((tick, index) => [tick, tickInfo[index].liquidityNet.toBigInt()]));
+    
+    logger.debug(`Loaded V3 pool model for ${poolAddress} at block ${blockNumber}: ${initializedTicks.length} initialized ticks in ${wordPositions.length} bitmap words`);
+    
+    return {
+      poolAddress,
+      blockNumber,
+      token0,
+      token1,
+      fee,
+      tickSpacing,
+      sqrtPriceX96: slot0.sqrtPriceX96.toBigInt(),
+      tick: slot0.tick,
+      liquidity: liquidity.toBigInt(),
+      bitmap,
+      liquidityNet
+    };
+  }
+  
+  /**
+   * Quote an exact-input swap against a pool model, without any RPC calls
+   * @param {Object} model - Pool model from getPoolModel
+   * @param {BigNumber} amountIn - Input amount
+   * @param {string} tokenIn - Input token address
+   * @returns {{amountOut: BigNumber, amountIn: BigNumber, crossedTicks: number, complete: boolean}} - Swap result;
+   *   complete is false when the swap would run past the loaded ticks
+   */
+  quoteWithModel(model, amountIn, tokenIn) {
+    const zeroForOne = tokenIn.toLowerCase() === model.token0.toLowerCase();
+    return simulateSwap(model, zeroForOne, amountIn);
+  }
+  
   /**
    * Get the swap fee percentage for a given fee tier
    * @param {number} feeTier - The fee tier value (10, 100, 500, 2500, 10000)
@@ -637,31 +773,27 @@ class PancakeswapV3 {
         throw new Error(`No pool exists for ${tokenA}/${tokenB} with fee ${fee}`);
       }
       
-      // Create contract with built-in retry logic
-      const pool = createContractWithRetry(poolAddress, PoolABI, this.provider);
-      
-      // Contract calls already have retry logic built-in
-      const slot0 = await pool.slot0();
+      // Price and token order come from the same batch
+      const [slot0, token0] = await Promise.all([
+        this.multicall.call(poolAddress, PoolABI, 'slot0'),
+        this.multicall.call(poolAddress, PoolABI, 'token0')
+      ]);
       
       // Price is derived from sqrtPriceX96
       const sqrtPriceX96 = slot0.sqrtPriceX96;
       
       // Convert sqrtPriceX96 to price
-      // price = (sqrtPriceX96 / 2^96)^2
-      const price = sqrtPriceX96
-        .mul(sqrtPriceX96)
-        .div(ethers.BigNumber.from(2).pow(192));
+      // price of token0 in token1 = (sqrtPriceX96 / 2^96)^2, kept scaled by 1e18
+      const priceX192 = sqrtPriceX96.mul(sqrtPriceX96);
+      const Q192 = ethers.BigNumber.from(2).pow(192);
+      const one = ethers.utils.parseEther('1');
       
-      // Check token order with contract that has retry built-in
-      const token0 = await pool.token0();
+      // Return price based on requested order, adjusted for token decimals
+      const rawPrice = token0.toLowerCase() === tokenA.toLowerCase()
+        ? priceX192.mul(one).div(Q192)
+        : Q192.mul(one).div(priceX192);
       
-      // Return price based on requested order
-      if (token0.toLowerCase() === tokenA.toLowerCase()) {
-        return price;
-      } else {
-        // Invert the price
-        return ethers.utils.parseEther('1').mul(ethers.utils.parseEther('1')).div(price);
-      }
+      return tokenMetadata.scalePrice(rawPrice, tokenA, tokenB);
     } catch (error) {
       logger.error(`Error getting V3 price: ${error.message}`);
       
@@ -839,25 +971,16 @@ class PancakeswapV3 {
         fee = bestPool.fee;
       }
       
-      // Create the path
-      const path = ethers.utils.solidityPack(
-        ['address', 'uint24', 'address'],
-        [tokenIn, fee, tokenOut]
-      );
-      
-      // Quote the swap
-      const quotedAmountOut = await this.router.callStatic.exactInputSingle({
+      // Quote the swap through QuoterV2, which simulates it and returns the output
+      const quote = await this.multicall.call(this.quoterAddress, QuoterABI, 'quoteExactInputSingle', [{
         tokenIn,
         tokenOut,
-        fee,
-        recipient: ethers.constants.AddressZero, // Dummy recipient for quote
-        deadline: getDeadline(),
         amountIn,
-        amountOutMinimum: 0,
+        fee,
         sqrtPriceLimitX96: 0
-      });
+      }]);
       
-      return quotedAmountOut;
+      return quote.amountOut;
     } catch (error) {
       logger.error(`Error getting amount out: ${error.message}`);
       
@@ -1058,9 +1181,14 @@ class PancakeswapV3 {
   /**
    * Get pools that can be used for flash loans
    * @param {string} token - Token address to flash loan
+   * @param {Object} options - Pool selection options
+   * @param {Array<string>} options.exclude - Pool addresses the trade swaps through; a V3 pool
+   *   is locked during its flash callback, so it cannot also be a leg of the trade
    * @returns {Promise<Array<Object>>} - List of pools supporting flash loans
    */
-  async getFlashLoanPools(token) {
+  async getFlashLoanPools(token, { exclude = [] } = {}) {
+    const excluded = new Set(exclude.filter(Boolean).map(address => address.toLowerCase()));
+    
     try {
       // Check if we're in development mode
       if (config.ENVIRONMENT.DEV_MODE) {
@@ -1110,7 +1238,9 @@ class PancakeswapV3 {
         }
         
         // Sort by liquidity (highest first)
-        return flashLoanPools.sort((a, b) => b.liquidity.gt(a.liquidity) ? 1 : -1);
+        return flashLoanPools
+          .filter(pool => !excluded.has(pool.address.toLowerCase()))
+          .sort((a, b) => b.liquidity.gt(a.liquidity) ? 1 : -1);
       }
       
       // Production mode - real blockchain calls
@@ -1124,20 +1254,17 @@ class PancakeswapV3 {
       const flashLoanPools = [];
       
       for (const pairedToken of commonTokens) {
-        const pools = await this.getAllPools(token, pairedToken);
+        // Every fee tier is a candidate, so a trade through one tier can borrow from another
+        const pools = (await this.getFeeTierPools(token, pairedToken))
+          .filter(pool => !excluded.has(pool.address.toLowerCase()));
         
-        for (const pool of pools) {
+        // Read all candidate pools together so their state shares a multicall batch
+        const candidates = await Promise.all(pools.map(async (pool) => {
           const supportsFlash = await this.supportsFlashLoan(pool.address);
-          
-          if (supportsFlash) {
-            const liquidity = await this.getPoolLiquidity(pool.address);
-            flashLoanPools.push({
-              ...pool,
-              pairedToken,
-              ...liquidity
-            });
-          }
-        }
+          return supportsFlash ? { ...pool, pairedToken, ...(await this.getPoolLiquidity(pool.address)) } : null;
+        }));
+        
+        flashLoanPools.push(...candidates.filter(Boolean));
       }
       
       // Sort by liquidity (highest first)
@@ -1173,21 +1300,23 @@ class PancakeswapV3 {
   /**
    * Get the best flash loan pool for a token
    * @param {string} token - Token address to flash loan
+   * @param {Object} options - Pool selection options
+   * @param {Array<string>} options.exclude - Pool addresses the trade swaps through
    * @returns {Promise<Object>} - Best pool for flash loan
    */
-  async getBestFlashLoanPool(token) {
+  async getBestFlashLoanPool(token, options = {}) {
     try {
       // Check if we're in development mode
       if (config.ENVIRONMENT.DEV_MODE) {
         logger.info(`Dev mode: Returning simulated best flash loan pool for ${token}`);
         // Get all simulated flash loan pools
-        const pools = await this.getFlashLoanPools(token);
+        const pools = await this.getFlashLoanPools(token, options);
         // Return the first one (should be sorted by liquidity already)
         return pools[0];
       }
       
       // Production mode - real blockchain calls
-      const pools = await this.getFlashLoanPools(token);
+      const pools = await this.getFlashLoanPools(token, options);
       
       if (pools.length === 0) {
         throw new Error(`No flash loan pools available for ${token}`);
@@ -0,0 +1,378 @@
+const { ethers } = require('ethers');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { getMulticall } = require('../utils/multicall');
+const tokenMetadata = require('../utils/tokenMetadata');
+
+// Minimal ABIs for the state we track and the events that change it
+const V2PairABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'event Sync(uint112 reserve0, uint112 reserve1)'
+];
+
+// PancakeSwap V3 pools emit protocol fees in Swap, unlike Uniswap V3
+const V3PoolABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function liquidity() view returns (uint128)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint32 feeProtocol, bool unlocked)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint128 protocolFeesToken0, uint128 protocolFeesToken1)'
+];
+
+const Q192 = ethers.BigNumber.from(2).pow(192);
+const ONE = ethers.utils.parseEther('1');
+
+/**
+ * In-memory cache of pool state (V2 reserves, V3 slot0/liquidity) kept current
+ * from Sync and Swap logs instead of re-reading every pool on each cycle.
+ *
+ * Emits 'change' once per burst of logs with the set of pools that changed,
+ * so callers can evaluate opportunities as soon as state moves.
+ */
+class PoolStateCache extends EventEmitter {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider used for the initial state load
+   * @param {ethers.providers.Provider} eventProvider - Provider used for log subscriptions (WebSocket preferred)
+   */
+  constructor(provider, eventProvider = null) {
+    super();
+    this.provider = provider;
+    this.eventProvider = eventProvider || provider;
+    
+    // Pools watched together load in one Multicall3 request
+    this.multicall = getMulticall(provider);
+    
+    // Pool address (lowercase) -> state
+    this.pools = new Map();
+    
+    // Pools that changed since the last 'change' event
+    this.dirtyPools = new Set();
+    this.flushScheduled = false;
+    
+    // Highest block number seen in any log
+    this.lastBlockNumber = 0;
+    
+    // Last change flushed while nobody was waiting for one
+    this.missedChange = null;
+  }
+  
+  /**
+   * Start tracking a pool: load its current state and subscribe to its logs
+   * @param {Object} pool - Pool to watch
+   * @param {string} pool.address - Pool contract address
+   * @param {string} pool.type - 'v2' or 'v3'
+   * @param {string} pool.dex - DEX name
+   * @returns {Promise<Object|null>} - Initial pool state, or null if it could not be loaded
+   */
+  async watchPool({ address, type, dex }) {
+    const key = address.toLowerCase();
+    
+    if (this.pools.has(key)) {
+      return this.pools.get(key);
+    }
+    
+    try {
+      const state = type === 'v3'
+        ? await this.loadV3State(address)
+        : await this.loadV2State(address);
+      
+      state.address = address;
+      state.type = type;
+      state.dex = dex;
+      
+      // Prices are scaled by token decimals, so both tokens must be known before the pool is used
+      await tokenMetadata.loadAll([state.token0, state.token1]).catch(error => {
+        logger.warn(`Could not read token decimals for ${dex} pool ${address}: ${error.message}`);
+      });
+      
+      this.pools.set(key, state);
+      this.subscribe(state);
+      
+      logger.debug(`Watching ${dex} pool ${address} for state changes`);
+      
+      return state;
+    } catch (error) {
+      logger.error(`Error loading state for ${dex} pool ${address}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Stop tracking a pool: drop its log subscription and cached state
+   * @param {string} address - Pool contract address
+   * @returns {boolean} - True if the pool was being watched
+   */
+  unwatchPool(address) {
+    const key = address.toLowerCase();
+    const state = this.pools.get(key);
+    if (!state) {
+      return false;
+    }
+    
+    if (state.contract) {
+      state.contract.removeAllListeners();
+    }
+    
+    this.pools.delete(key);
+    this.dirtyPools.delete(key);
+    
+    logger.debug(`Stopped watching ${state.dex} pool ${address}`);
+    return true;
+  }
+  
+  /**
+   * Load V2 pair tokens and reserves
+   * @param {string} address - Pair address
+   * @returns {Promise<Object>} - Pair state
+   * @private
+   */
+  async loadV2State(address) {
+    const [token0, token1, reserves, blockNumber] = await Promise.all([
+      this.multicall.call(address, V2PairABI, 'token0'),
+      this.multicall.call(address, V2PairABI, 'token1'),
+      this.multicall.call(address, V2PairABI, 'getReserves'),
+      this.multicall.getBlockNumber()
+    ]);
+    
+    return {
+      token0,
+      token1,
+      reserve0: reserves.reserve0,
+      reserve1: reserves.reserve1,
+      blockNumber
+    };
+  }
+  
+  /**
+   * Load V3 pool tokens, fee, slot0 and active liquidity
+   * @param {string} address - Pool address
+   * @returns {Promise<Object>} - Pool state
+   * @private
+   */
+  async loadV3State(address) {
+    const [token0, token1, fee, liquidity, slot0, blockNumber] = await Promise.all([
+      this.multicall.call(address, V3PoolABI, 'token0'),
+      this.multicall.call(address, V3PoolABI, 'token1'),
+      this.multicall.call(address, V3PoolABI, 'fee'),
+      this.multicall.call(address, V3PoolABI, 'liquidity'),
+      this.multicall.call(address, V3PoolABI, 'slot0'),
+      this.multicall.getBlockNumber()
+    ]);
+    
+    return {
+      token0,
+      token1,
+      fee,
+      liquidity,
+      sqrtPriceX96: slot0.sqrtPriceX96,
+      tick: slot0.tick,
+      blockNumber
+    };
+  }
+  
+  /**
+   * Re-read every watched pool at one block and apply any state the logs missed
+   * (e.g. during a WebSocket reconnect). Costs one Multicall3 request, or two
+   * when the block has to be looked up first.
+   * @param {number} blockNumber - Block to read at (defaults to the latest block)
+   * @returns {Promise<number>} - Number of pools whose state was corrected
+   */
+  async refresh(blockNumber = null) {
+    if (this.pools.size === 0) {
+      return 0;
+    }
+    
+    try {
+      const pools = [...this.pools.values()].map(({ address, type }) => ({ address, type }));
+      const snapshot = await this.multicall.snapshotPools(pools, blockNumber);
+      
+      let corrected = 0;
+      for (const [key, latest] of snapshot.states) {
+        const state = this.pools.get(key);
+        const fields = state.type === 'v3' ? ['sqrtPriceX96', 'liquidity', 'tick'] : ['reserve0', 'reserve1'];
+        
+        // Only report pools that actually moved, so a refresh does not wake waitForChange by itself
+        const changed = fields.some(field => !ethers.BigNumber.from(state[field]).eq(latest[field]));
+        if (changed && snapshot.blockNumber >= state.blockNumber) {
+          const update = Object.fromEntries(fields.map(field => [field, latest[field]]));
+          this.applyUpdate(state, snapshot.blockNumber, update);
+          corrected++;
+        }
+      }
+      
+      if (corrected > 0) {
+        logger.debug(`Refreshed ${corrected} pools that had missed updates at block ${snapshot.blockNumber}`);
+      }
+      
+      return corrected;
+    } catch (error) {
+      logger.error(`Error refreshing pool state: ${error.message}`);
+      return 0;
+    }
+  }
+  
+  /**
+   * Subscribe to the log that updates a pool's state
+   * @param {Object} state - Pool state
+   * @private
+   */
+  subscribe(state) {
+    const abi = state.type === 'v3' ? V3PoolABI : V2PairABI;
+    const contract = new ethers.Contract(state.address, abi, this.eventProvider);
+    
+    if (state.type === 'v3') {
+      contract.on('Swap', (sender, recipient, amount0, amount1, sqrtPriceX96, liquidity, tick, fees0, fees1, event) => {
+        this.applyUpdate(state, event.blockNumber, { sqrtPriceX96, liquidity, tick });
+      });
+    } else {
+      contract.on('Sync', (reserve0, reserve1, event) => {
+        this.applyUpdate(state, event.blockNumber, { reserve0, reserve1 });
+      });
+    }
+    
+    state.contract = contract;
+  }
+  
+  /**
+   * Apply a state update from a log, ignoring logs older than the current state
+   * @param {Object} state - Pool state
+   * @param {number} blockNumber - Block of the log
+   * @param {Object} update - Fields to overwrite
+   * @private
+   */
+  applyUpdate(state, blockNumber, update) {
+    if (blockNumber < state.blockNumber) {
+      return;
+    }
+    
+    Object.assign(state, update, { blockNumber });
+    this.lastBlockNumber = Math.max(this.lastBlockNumber, blockNumber);
+    this.dirtyPools.add(state.address.toLowerCase());
+    
+    // Several logs usually arrive for the same block, report them together
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => this.flush());
+    }
+  }
+  
+  /**
+   * Emit a single 'change' event for all pools updated since the last flush
+   * @private
+   */
+  flush() {
+    this.flushScheduled = false;
+    
+    if (this.dirtyPools.size === 0) {
+      return;
+    }
+    
+    const change = { pools: [...this.dirtyPools], blockNumber: this.lastBlockNumber };
+    this.dirtyPools.clear();
+    
+    // Keep changes that happen while nobody is waiting (e.g. mid-evaluation)
+    if (this.listenerCount('change') === 0) {
+      if (this.missedChange) {
+        change.pools = [...new Set([...this.missedChange.pools, ...change.pools])];
+      }
+      this.missedChange = change;
+      return;
+    }
+    
+    this.emit('change', change);
+  }
+  
+  /**
+   * Wait until any watched pool changes, or until the timeout elapses
+   * @param {number} timeout - Maximum time to wait in milliseconds
+   * @returns {Promise<Object|null>} - Change details, or null on timeout
+   */
+  waitForChange(timeout) {
+    if (this.missedChange) {
+      const change = this.missedChange;
+      this.missedChange = null;
+      return Promise.resolve(change);
+    }
+    
+    return new Promise(resolve => {
+      const onChange = (change) => {
+        clearTimeout(timer);
+        resolve(change);
+      };
+      
+      const timer = setTimeout(() => {
+        this.removeListener('change', onChange);
+        resolve(null);
+      }, timeout);
+      
+      this.once('change', onChange);
+    });
+  }
+  
+  /**
+   * Get the cached state of a pool
+   * @param {string} address - Pool address
+   * @returns {Object|null} - Pool state or null if not watched
+   */
+  getPoolState(address) {
+    return this.pools.get(address.toLowerCase()) || null;
+  }
+  
+  /**
+   * Calculate the spot price of tokenA in units of tokenB from cached state
+   * @param {string} address - Pool address
+   * @param {string} tokenA - Base token address
+   * @returns {BigNumber|null} - Price scaled by 1e18, or null if unavailable
+   */
+  getPrice(address, tokenA) {
+    const state = this.getPoolState(address);
+    if (!state) {
+      return null;
+    }
+    
+    const isToken0 = state.token0.toLowerCase() === tokenA.toLowerCase();
+    const [base, quote] = isToken0 ? [state.token0, state.token1] : [state.token1, state.token0];
+    
+    let rawPrice;
+    if (state.type === 'v3') {
+      // price of token0 in token1 = sqrtPriceX96^2 / 2^192
+      const priceX192 = state.sqrtPriceX96.mul(state.sqrtPriceX96);
+      if (priceX192.isZero()) {
+        return null;
+      }
+      rawPrice = isToken0 ? priceX192.mul(ONE).div(Q192) : Q192.mul(ONE).div(priceX192);
+    } else {
+      if (state.reserve0.isZero() || state.reserve1.isZero()) {
+        return null;
+      }
+      
+      rawPrice = isToken0
+        ? state.reserve1.mul(ONE).div(state.reserve0)
+        : state.reserve0.mul(ONE).div(state.reserve1);
+    }
+    
+    // Reserves and sqrtPriceX96 are in base units; the price is in whole tokens
+    return tokenMetadata.scalePrice(rawPrice, base, quote);
+  }
+  
+  /**
+   * Stop all log subscriptions and clear the cache
+   */
+  stop() {
+    for (const state of this.pools.values()) {
+      if (state.contract) {
+        state.contract.removeAllListeners();
+      }
+    }
+    
+    this.pools.clear();
+    this.dirtyPools.clear();
+    this.missedChange = null;
+    this.removeAllListeners('change');
+  }
+}
+
+module.exports = PoolStateCache;
@@ -0,0 +1,62 @@
+/**
+ * Encoding of calls to the deployed FlashLoanArbitrage contract.
+ *
+ * The contract borrows tokenBorrow from the PancakeSwap V3 pool it shares with
+ * tokenPay in the poolFee tier, makes each swap of the route in turn and repays
+ * the loan, all in one transaction. The route starts and ends in tokenBorrow.
+ * It reverts unless its balance of tokenBorrow grows by at least minProfit, and
+ * returns that growth.
+ *
+ * A hop with fee 0 swaps on one of the V2-style routers the contract was
+ * initialized with; any other fee is a PancakeSwap V3 swap in that fee tier,
+ * through the V3 router set with setPancakeV3Router.
+ */
+const { ethers } = require('ethers');
+const config = require('../config');
+const FlashLoanABI = require('../abis/FlashLoan.json');
+
+const arbitrageInterface = new ethers.utils.Interface(FlashLoanABI);
+
+/**
+ * Encode an executeRoute call
+ * @param {Object} params - Arbitrage parameters
+ * @param {string} params.tokenBorrow - Token borrowed by the flash loan
+ * @param {string} params.tokenPay - Other token of the flash loan pool
+ * @param {BigNumber} params.amount - Amount of tokenBorrow to borrow
+ * @param {number} params.poolFee - Fee tier of the flash loan pool
+ * @param {Array<{router: string, path: Array<string>, fee: number}>} params.hops - Swaps to make, in order
+ * @param {BigNumber} [params.minProfit] - Least the contract's tokenBorrow balance must grow by
+ * @returns {string} - Calldata
+ */
+function encodeExecuteRoute({ tokenBorrow, tokenPay, amount, poolFee, hops, minProfit = 0 }) {
+  return arbitrageInterface.encodeFunctionData('executeRoute', [
+    tokenBorrow,
+    tokenPay,
+    amount,
+    poolFee,
+    hops.map(hop => [hop.router, hop.path, hop.fee]),
+    minProfit
+  ]);
+}
+
+/**
+ * Build an unsigned executeRoute transaction to the deployed contract
+ * @param {Object} params - Arbitrage parameters, see encodeExecuteRoute
+ * @returns {{to: string, data: string}|null} - Transaction, or null if no contract is configured
+ */
+function buildArbitrageTransaction(params) {
+  if (!config.flashLoan.contractAddress) {
+    return null;
+  }
+  
+  return {
+    to: config.flashLoan.contractAddress,
+    data: encodeExecuteRoute(params)
+  };
+}
+
+module.exports = {
+  arbitrageInterface,
+  encodeExecuteRoute,
+  buildArbitrageTransaction
+};
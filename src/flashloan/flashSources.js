@@ -0,0 +1,134 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const tokenMetadata = require('../utils/tokenMetadata');
+
+const PPM = 1000000;
+
+/**
+ * Places a token can be borrowed from for the length of one transaction.
+ *
+ * The FlashLoanArbitrage contract borrows through PancakeSwap V3 flash(), so
+ * every pool holding the token is a source, at its fee tier. Sources are
+ * compared by what borrowing costs in parts per million of the amount, and a
+ * pool the trade itself swaps through is never a source, since it is locked
+ * while the loan is out.
+ */
+class FlashSources {
+  /**
+   * @param {Object} pancakeV3 - PancakeswapV3 instance, for its flash loan pools
+   */
+  constructor(pancakeV3) {
+    this.pancakeV3 = pancakeV3;
+  }
+  
+  /**
+   * Every source that can lend a token, cheapest first
+   * @param {string} token - Token to borrow
+   * @param {Object} options - Source options
+   * @param {Array<Object>} options.exclude - Legs of the trade, with dex, tokens and address if known
+   * @returns {Promise<Array<Object>>} - Sources: { type, dex, address, token, pairedToken, fee, feePpm, balance, available, label }
+   */
+  async getSources(token, { exclude = [] } = {}) {
+    const sources = await this.getV3Sources(token);
+    
+    return sources
+      .filter(source => !source.available.isZero() && !this.isUsedByTrade(source, exclude))
+      .sort((a, b) => a.feePpm - b.feePpm || (b.available.gt(a.available) ? 1 : -1));
+  }
+  
+  /**
+   * Pick the cheapest source that can lend an amount, or the one that can lend
+   * the most if none can lend all of it
+   * @param {Array<Object>} sources - Sources from getSources, cheapest first
+   * @param {BigNumber} amount - Amount to borrow
+   * @returns {Object|null} - Source, or null if there are none
+   */
+  select(sources, amount) {
+    const sufficient = sources.find(source => source.available.gte(amount));
+    if (sufficient) {
+      return sufficient;
+    }
+    
+    return sources.reduce((largest, source) => (!largest || source.available.gt(largest.available) ? source : largest), null);
+  }
+  
+  /**
+   * Fee charged for borrowing from a source
+   * @param {Object} source - Source from getSources
+   * @param {BigNumber} amount - Amount borrowed
+   * @returns {BigNumber} - Fee, in the borrowed token
+   */
+  getFee(source, amount) {
+    return amount.mul(source.feePpm).div(PPM);
+  }
+  
+  /**
+   * Flash loan pools of PancakeSwap V3 holding the token, across every fee tier
+   * @param {string} token - Token to borrow
+   * @returns {Promise<Array<Object>>} - Sources
+   * @private
+   */
+  async getV3Sources(token) {
+    try {
+      const pools = await this.pancakeV3.getFlashLoanPools(token);
+      
+      return pools.map(pool => {
+        const balance = token.toLowerCase() === pool.token0.toLowerCase() ? pool.balance0 : pool.balance1;
+        
+        return this.createSource({
+          type: 'v3',
+          dex: this.pancakeV3.name,
+          address: pool.address,
+          token,
+          pairedToken: pool.pairedToken,
+          fee: pool.fee,
+          feePpm: pool.fee,
+          balance
+        });
+      });
+    } catch (error) {
+      logger.warn(`Could not list PancakeSwap V3 flash loan pools for ${tokenMetadata.getSymbol(token)}: ${error.message}`);
+      return [];
+    }
+  }
+  
+  /**
+   * Complete a source with how much it can lend and a readable label
+   * @param {Object} source - Source fields
+   * @returns {Object} - Source
+   * @private
+   */
+  createSource(source) {
+    const pair = `${tokenMetadata.getSymbol(source.token)}/${tokenMetadata.getSymbol(source.pairedToken)}`;
+    
+    return {
+      ...source,
+      // Borrowing the whole balance would leave the pool without liquidity to price against
+      available: source.balance.mul(config.flashSources.maxUtilisation).div(100),
+      label: `${source.dex} ${pair} ${source.fee / 10000}% pool`
+    };
+  }
+  
+  /**
+   * Whether the trade swaps through a source's pool. Legs without a known
+   * address are matched by DEX and token pair, which for V3 covers every fee tier.
+   * @param {Object} source - Source
+   * @param {Array<Object>} legs - Legs of the trade: { dex, tokens, address }
+   * @returns {boolean} - True if the source must not be borrowed from
+   * @private
+   */
+  isUsedByTrade(source, legs) {
+    const sourceTokens = [source.token.toLowerCase(), source.pairedToken.toLowerCase()].sort().join('-');
+    
+    return legs.some(leg => {
+      if (leg.address) {
+        return leg.address.toLowerCase() === source.address.toLowerCase();
+      }
+      
+      const legTokens = leg.tokens.map(token => token.toLowerCase()).sort().join('-');
+      return leg.dex === source.dex && legTokens === sourceTokens;
+    });
+  }
+}
+
+module.exports = FlashSources;
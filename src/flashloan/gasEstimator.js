@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Gas estimates for arbitrage transactions.
+ *
+ * A route that can be encoded for the deployed contract is estimated with
+ * eth_estimateGas. Otherwise, or when the estimate reverts (as it does for any
+ * trade that would not repay its loan at the current state), the estimate is
+ * the moving average of the gas used by past transactions of the same route
+ * shape, which is learned from their receipts and persisted to disk. Shapes
+ * without receipts start from a base cost plus a cost per swap.
+ */
+class GasEstimator {
+  /**
+   * @param {string} filePath - File the learned averages are persisted to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.provider = null;
+    this.from = null;
+    
+    // Route shape -> { gasUsed, samples, updatedAt }
+    this.shapes = new Map();
+    
+    // Modification time of the file when it was last read
+    this.loadedMtime = 0;
+    
+    // When load last looked at the file
+    this.checkedAt = 0;
+    
+    this.load();
+  }
+  
+  /**
+   * Set the provider estimates are made through and the account they are made
+   * from, which must be the contract owner since executeRoute is owner-only
+   * @param {ethers.providers.Provider} provider - Provider
+   * @param {string} from - Sender address
+   */
+  setProvider(provider, from) {
+    this.provider = provider;
+    this.from = from;
+  }
+  
+  /**
+   * Describe the shape of a route, which is what its gas use depends on
+   * @param {Array<string>} swapTypes - Pool type of each swap, 'v2' or 'v3'
+   * @param {string} flashSource - Type of pool the loan is taken from
+   * @returns {string} - Route shape, e.g. 'v3 flash: v2>v3'
+   */
+  getRouteShape(swapTypes, flashSource = 'v3') {
+    return `${flashSource} flash: ${swapTypes.join('>')}`;
+  }
+  
+  /**
+   * Gas expected for a route shape without making any calls: the learned
+   * average if the shape has receipts, else the configured base and per-swap cost
+   * @param {string} shape - Route shape
+   * @param {number} swaps - Number of swaps in the route
+   * @returns {{gasUnits: BigNumber, source: string}} - Gas units and where they came from
+   */
+  getExpectedGas(shape, swaps) {
+    this.load();
+    
+    const learned = this.shapes.get(shape);
+    if (learned) {
+      return { gasUnits: ethers.BigNumber.from(Math.ceil(learned.gasUsed)), source: 'receipts' };
+    }
+    
+    const { baseGas, swapGas } = config.gasEstimation;
+    return { gasUnits: ethers.BigNumber.from(baseGas + swapGas * swaps), source: 'default' };
+  }
+  
+  /**
+   * Estimate the gas of an arbitrage transaction
+   * @param {Object} params - Estimate parameters
+   * @param {string} params.shape - Route shape
+   * @param {number} params.swaps - Number of swaps in the route
+   * @param {Object|null} params.transaction - Unsigned transaction, if the route can be encoded
+   * @returns {Promise<{gasUnits: BigNumber, gasLimit: BigNumber, source: string}>} - Gas units, the gas limit to send with,
+   *   and where the units came from ('estimateGas', 'receipts' or 'default')
+   */
+  async estimate({ shape, swaps, transaction = null }) {
+    if (transaction && this.provider && this.from && config.gasEstimation.estimateOnChain) {
+      try {
+        const gasUnits = await this.provider.estimateGas({ ...transaction, from: this.from });
+        return { gasUnits, gasLimit: this.getGasLimit(gasUnits), source: 'estimateGas' };
+      } catch (error) {
+        logger.debug(`Gas estimate for ${shape} reverted, using the learned figure: ${error.reason || error.message}`);
+      }
+    }
+    
+    const { gasUnits, source } = this.getExpectedGas(shape, swaps);
+    return { gasUnits, gasLimit: this.getGasLimit(gasUnits), source };
+  }
+  
+  /**
+   * Gas limit to send a transaction with, leaving headroom above the estimate
+   * @param {BigNumber} gasUnits - Estimated gas units
+   * @returns {BigNumber} - Gas limit
+   */
+  getGasLimit(gasUnits) {
+    const multiplier = Math.round((config.flashLoan.gasLimitMultiplier || 1) * 100);
+    return ethers.BigNumber.from(gasUnits).mul(multiplier).div(100);
+  }
+  
+  /**
+   * Learn from the receipt of a mined arbitrage transaction. Reverted
+   * transactions are skipped, since they stop early and would bias the
+   * average down.
+   * @param {string} shape - Route shape
+   * @param {Object} receipt - Transaction receipt
+   */
+  recordReceipt(shape, receipt) {
+    if (!shape || !receipt || !receipt.gasUsed || receipt.status !== 1) {
+      return;
+    }
+    
+    this.load();
+    
+    const gasUsed = ethers.BigNumber.from(receipt.gasUsed).toNumber();
+    const previous = this.shapes.get(shape);
+    const weight = config.gasEstimation.receiptWeight;
+    
+    this.shapes.set(shape, {
+      gasUsed: previous ? previous.gasUsed * (1 - weight) + gasUsed * weight : gasUsed,
+      samples: previous ? previous.samples + 1 : 1,
+      updatedAt: Date.now()
+    });
+    
+    logger.debug(`Recorded ${gasUsed} gas for ${shape}, average now ${Math.ceil(this.shapes.get(shape).gasUsed)}`);
+    this.persist();
+  }
+  
+  /**
+   * Learned averages of every route shape
+   * @returns {Object} - Route shape -> { gasUsed, samples, updatedAt }
+   */
+  getLearnedShapes() {
+    this.load();
+    return Object.fromEntries(this.shapes);
+  }
+  
+  /**
+   * Load the averages file if it changed since it was last read. Gas is
+   * estimated for every candidate trade, so the file is looked at no more than
+   * once per reload check interval.
+   * @private
+   */
+  load() {
+    const now = Date.now();
+    if (now - this.checkedAt < config.gasEstimation.reloadCheckInterval) {
+      return;
+    }
+    this.checkedAt = now;
+    
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return;
+      }
+      
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs <= this.loadedMtime) {
+        return;
+      }
+      
+      this.shapes = new Map(Object.entries(JSON.parse(fs.readFileSync(this.filePath, 'utf8'))));
+      this.loadedMtime = mtimeMs;
+    } catch (error) {
+      logger.error(`Error loading gas estimates from ${this.filePath}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Write the averages file, replacing it atomically
+   * @private
+   */
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.shapes), null, 2));
+      fs.renameSync(tempPath, this.filePath);
+      
+      // Our own write does not need to be read back
+      this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      logger.error(`Error saving gas estimates: ${error.message}`);
+    }
+  }
+}
+
+// Export a singleton instance
+const gasEstimator = new GasEstimator(path.resolve(process.cwd(), config.gasEstimation.file));
+
+module.exports = gasEstimator;
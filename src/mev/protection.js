@@ -3,6 +3,7 @@ const axios = require('axios');
 const { getSafeGasPrice, getDeadline } = require('../utils/helpers');
 const config = require('../config');
 const logger = require('../utils/logger');
+const gasEstimator = require('../flashloan/gasEstimator');
 
 class MevProtection {
   constructor(provider, wallet) {
@@ -96,8 +97,8 @@ class MevProtection {
       // Get current gas price
       const gasPrice = await getSafeGasPrice(this.provider);
       
-      // Calculate gas limit (conservative estimate for flash loan arbitrage)
-      const gasLimit = ethers.BigNumber.from(1000000);
+      // Gas limit estimated for this route when it was priced
+      const gasLimit = opportunity.gasLimit || gasEstimator.getGasLimit(gasEstimator.getExpectedGas(gasEstimator.getRouteShape(['v2', 'v2']), 2).gasUnits);
       
       // Prepare protected transaction parameters
       const protectedParams = {
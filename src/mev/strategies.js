@@ -332,6 +332,10 @@ class MevStrategies {
       return { name: 'ApeSwap', router: config.DEX.APESWAP.ROUTER };
     }
     
+    if (to === config.DEX.BISWAP.ROUTER.toLowerCase()) {
+      return { name: 'BiSwap', router: config.DEX.BISWAP.ROUTER };
+    }
+    
     // Not a known DEX
     return null;
   }
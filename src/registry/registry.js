@@ -0,0 +1,328 @@
+/**
+ * Token and pair registry loaded from registry.json, hot-reloaded on change
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, 'registry.json');
+
+// Not in config.js, which reads the registry itself
+const DEFAULT_SAFETY_PATH = 'data/token-safety.json';
+
+class Registry extends EventEmitter {
+  /**
+   * @param {string} filePath - Registry file, edited by hand
+   * @param {string} safetyFilePath - File the bot records token safety checks to
+   */
+  constructor(filePath, safetyFilePath) {
+    super();
+    this.filePath = filePath;
+    this.safetyFilePath = safetyFilePath;
+    this.tokens = {};
+    this.pairs = {};
+    
+    // Lowercase token address -> safety result set by hand in the registry file, which overrides checks
+    this.tokenSafety = {};
+    
+    // Lowercase token address -> latest token safety check recorded by the bot
+    this.recordedSafety = {};
+    
+    this.watcher = null;
+    this.reloadTimer = null;
+    
+    this.load();
+  }
+  
+  /**
+   * Read and validate the registry file. The previous contents are kept if the
+   * file cannot be parsed, so a bad edit never empties the registry.
+   * @returns {boolean} - True if the file was loaded
+   */
+  load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const { tokens, pairs, tokenSafety } = this.validate(raw);
+      
+      this.tokens = tokens;
+      this.pairs = pairs;
+      this.tokenSafety = tokenSafety;
+      this.loadRecordedSafety();
+      
+      logger.debug(`Loaded registry with ${Object.keys(tokens).length} tokens and ${Object.keys(pairs).length} pairs`);
+      return true;
+    } catch (error) {
+      logger.error(`Error loading registry from ${this.filePath}: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Check registry contents and normalise them
+   * @param {Object} raw - Parsed registry file
+   * @returns {Object} - { tokens, pairs, tokenSafety }
+   * @private
+   */
+  validate(raw) {
+    if (!raw || typeof raw.tokens !== 'object' || typeof raw.pairs !== 'object') {
+      throw new Error('Registry must have "tokens" and "pairs" objects');
+    }
+    
+    const tokens = {};
+    for (const [symbol, token] of Object.entries(raw.tokens)) {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(token.address || '')) {
+        throw new Error(`Token ${symbol} has an invalid address`);
+      }
+      
+      tokens[symbol] = {
+        ...token,
+        symbol,
+        decimals: token.decimals ?? 18,
+        stable: Boolean(token.stable)
+      };
+    }
+    
+    const pairs = {};
+    for (const [name, pair] of Object.entries(raw.pairs)) {
+      if (!Array.isArray(pair.tokens) || pair.tokens.length !== 2) {
+        throw new Error(`Pair ${name} must list exactly two tokens`);
+      }
+      
+      for (const symbol of pair.tokens) {
+        if (!tokens[symbol]) {
+          throw new Error(`Pair ${name} references unknown token ${symbol}`);
+        }
+      }
+      
+      pairs[name] = { ...pair, name };
+    }
+    
+    const tokenSafety = {};
+    for (const [address, result] of Object.entries(raw.tokenSafety || {})) {
+      tokenSafety[address.toLowerCase()] = result;
+    }
+    
+    return { tokens, pairs, tokenSafety };
+  }
+  
+  /**
+   * Watch the registry file and reload it when it changes
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+    
+    // Watch the directory, since editors often replace the file instead of writing to it
+    const directory = path.dirname(this.filePath);
+    const fileName = path.basename(this.filePath);
+    
+    try {
+      this.watcher = fs.watch(directory, (eventType, changedFile) => {
+        if (changedFile !== fileName) {
+          return;
+        }
+        
+        // Editors emit several events per save, reload once they settle
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), 250);
+      });
+      
+      logger.info(`Watching ${this.filePath} for registry changes`);
+    } catch (error) {
+      logger.error(`Error watching registry file: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Stop watching the registry file
+   */
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+  
+  /**
+   * Reload the file and notify listeners
+   */
+  reload() {
+    if (this.load()) {
+      logger.info('Registry reloaded');
+      this.emit('reload', this);
+    }
+  }
+  
+  /**
+   * Get token addresses keyed by symbol
+   * @returns {Object} - e.g. { WBNB: '0xbb4C...', BUSD: '0xe9e7...' }
+   */
+  getTokenAddresses() {
+    const addresses = {};
+    for (const [symbol, token] of Object.entries(this.tokens)) {
+      addresses[symbol] = token.address;
+    }
+    return addresses;
+  }
+  
+  /**
+   * Look up a token by symbol or address
+   * @param {string} symbolOrAddress - Token symbol or address
+   * @returns {Object|null} - Token entry or null if unknown
+   */
+  getToken(symbolOrAddress) {
+    if (this.tokens[symbolOrAddress]) {
+      return this.tokens[symbolOrAddress];
+    }
+    
+    const address = symbolOrAddress.toLowerCase();
+    return Object.values(this.tokens).find(token => token.address.toLowerCase() === address) || null;
+  }
+  
+  /**
+   * Check whether a token is flagged as a stablecoin
+   * @param {string} tokenAddress - Token address
+   * @returns {boolean} - True if the registry marks the token as stable
+   */
+  isStable(tokenAddress) {
+    const token = this.getToken(tokenAddress);
+    return Boolean(token && token.stable);
+  }
+  
+  /**
+   * Get the safety result of a token: the one set in the registry file if any,
+   * marked manual, else the latest recorded check
+   * @param {string} tokenAddress - Token address
+   * @returns {Object|null} - Result of TokenSafety.checkToken, or null if the token has not been checked
+   */
+  getTokenSafety(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    
+    if (this.tokenSafety[key]) {
+      return { ...this.tokenSafety[key], manual: true };
+    }
+    
+    return this.recordedSafety[key] || null;
+  }
+  
+  /**
+   * Check whether a token may be traded. Tokens that have not been checked are
+   * allowed; only a recorded failed check keeps a token out.
+   * @param {string} tokenAddress - Token address
+   * @returns {boolean} - False if the token failed its safety check
+   */
+  isTokenSafe(tokenAddress) {
+    const result = this.getTokenSafety(tokenAddress);
+    return !result || result.safe !== false;
+  }
+  
+  /**
+   * Record a token safety check so it survives restarts. Checks go to their own
+   * file, not the registry file, which only holds results set by hand.
+   * @param {string} tokenAddress - Token address
+   * @param {Object} result - Result of TokenSafety.checkToken
+   * @returns {boolean} - True if the file was updated
+   */
+  recordTokenSafety(tokenAddress, result) {
+    this.recordedSafety[tokenAddress.toLowerCase()] = result;
+    
+    try {
+      fs.mkdirSync(path.dirname(this.safetyFilePath), { recursive: true });
+      
+      const tempPath = `${this.safetyFilePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.recordedSafety, null, 2));
+      fs.renameSync(tempPath, this.safetyFilePath);
+      return true;
+    } catch (error) {
+      logger.error(`Error writing token safety result for ${tokenAddress} to ${this.safetyFilePath}: ${error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Read the recorded token safety checks, keeping the current ones if the file cannot be read
+   * @private
+   */
+  loadRecordedSafety() {
+    try {
+      if (!fs.existsSync(this.safetyFilePath)) {
+        return;
+      }
+      
+      const recorded = JSON.parse(fs.readFileSync(this.safetyFilePath, 'utf8'));
+      this.recordedSafety = Object.fromEntries(
+        Object.entries(recorded).map(([address, result]) => [address.toLowerCase(), result])
+      );
+    } catch (error) {
+      logger.error(`Error loading token safety results from ${this.safetyFilePath}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get all pairs with token addresses and RPC URLs resolved
+   * @returns {Array<Object>} - Pair entries
+   */
+  getPairs() {
+    return Object.values(this.pairs).map(pair => this.resolvePair(pair));
+  }
+  
+  /**
+   * Get a pair by name
+   * @param {string} name - Pair name (e.g. 'WBNB/BUSD')
+   * @returns {Object|null} - Pair entry or null if unknown
+   */
+  getPair(name) {
+    return this.pairs[name] ? this.resolvePair(this.pairs[name]) : null;
+  }
+  
+  /**
+   * Find the pair made of two tokens, in either order
+   * @param {string} tokenA - First token address
+   * @param {string} tokenB - Second token address
+   * @returns {Object|null} - Pair entry or null if the registry has no such pair
+   */
+  findPair(tokenA, tokenB) {
+    const a = tokenA.toLowerCase();
+    const b = tokenB.toLowerCase();
+    
+    return this.getPairs().find(pair => {
+      const token1 = pair.token1.toLowerCase();
+      const token2 = pair.token2.toLowerCase();
+      return (token1 === a && token2 === b) || (token1 === b && token2 === a);
+    }) || null;
+  }
+  
+  /**
+   * Attach token addresses and environment-resolved RPC URLs to a pair
+   * @param {Object} pair - Raw pair entry
+   * @returns {Object} - Resolved pair
+   * @private
+   */
+  resolvePair(pair) {
+    const rpc = pair.rpc || {};
+    const rpcUrlOverride = rpc.urlEnv ? process.env[rpc.urlEnv] : undefined;
+    const backupRpcUrlOverride = rpc.backupUrlEnv ? process.env[rpc.backupUrlEnv] : undefined;
+    
+    return {
+      ...pair,
+      token1: this.tokens[pair.tokens[0]].address,
+      token2: this.tokens[pair.tokens[1]].address,
+      dexes: pair.dexes || [],
+      rpcUrlOverride,
+      rpcUrl: rpcUrlOverride || rpc.url,
+      backupRpcUrl: backupRpcUrlOverride || rpc.backupUrl
+    };
+  }
+}
+
+// Export a singleton instance
+const registry = new Registry(
+  process.env.REGISTRY_PATH || DEFAULT_REGISTRY_PATH,
+  path.resolve(process.cwd(), process.env.TOKEN_SAFETY_FILE || DEFAULT_SAFETY_PATH)
+);
+
+module.exports = registry;
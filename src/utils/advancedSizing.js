@@ -25,6 +25,7 @@ const config = require('../config');
  * @param {string} options.baseToken - The base token for the flash loan
  * @param {string} options.quoteToken - The quote token being used
  * @param {Object} options.priceHistory - Recent price points for volatility calc
+ * @param {number} options.volatility - Rolling volatility from the price history store, used instead of priceHistory
  * @returns {ethers.BigNumber} - Optimal flash loan size
  */
 function calculateOptimalFlashLoanSize(dexLiquidities, spread = null, options = {}) {
@@ -66,7 +67,9 @@ function calculateOptimalFlashLoanSize(dexLiquidities, spread = null, options =
     }
     
     // Step 4: Adjust for price volatility (if history is available)
-    if (options.priceHistory && options.priceHistory.length > 0) {
+    if (typeof options.volatility === 'number') {
+      percentToUse = applyVolatilityMultiplier(percentToUse, options.volatility);
+    } else if (options.priceHistory && options.priceHistory.length > 0) {
       percentToUse = adjustForVolatility(percentToUse, options.priceHistory);
     }
     
@@ -175,18 +178,27 @@ function adjustForVolatility(basePercentage, priceHistory) {
     const variance = changes.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / changes.length;
     const stdDev = Math.sqrt(variance);
     
-    // Adjust percentage based on volatility
-    // Higher volatility = smaller flash loan size
-    const volatilityMultiplier = Math.max(0.5, 1 - (stdDev * 10));
-    
-    logger.info(`Price volatility: ${(stdDev * 100).toFixed(4)}%, multiplier: ${volatilityMultiplier.toFixed(2)}`);
-    return basePercentage * volatilityMultiplier;
+    return applyVolatilityMultiplier(basePercentage, stdDev);
   } catch (error) {
     logger.warn(`Error calculating volatility adjustment: ${error.message}`);
     return basePercentage;
   }
 }
 
+/**
+ * Scale the percentage down as volatility rises
+ * @param {number} basePercentage - Base percentage
+ * @param {number} volatility - Standard deviation of price changes (decimal)
+ * @returns {number} - Adjusted percentage
+ */
+function applyVolatilityMultiplier(basePercentage, volatility) {
+  // Higher volatility = smaller flash loan size
+  const volatilityMultiplier = Math.max(0.5, 1 - (volatility * 10));
+  
+  logger.info(`Price volatility: ${(volatility * 100).toFixed(4)}%, multiplier: ${volatilityMultiplier.toFixed(2)}`);
+  return basePercentage * volatilityMultiplier;
+}
+
 /**
  * Adjust percentage based on current gas prices
  * @param {number} basePercentage - Base percentage
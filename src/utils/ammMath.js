@@ -0,0 +1,339 @@
+/**
+ * AMM math for sizing trades from pool state instead of spot prices.
+ * All amounts are BigNumbers in token base units, fees are in parts per million.
+ */
+const { ethers } = require('ethers');
+
+const Q96 = ethers.BigNumber.from(2).pow(96);
+const ONE = ethers.utils.parseEther('1');
+const FEE_DENOMINATOR = 1000000;
+
+// Bisection steps when searching for the break-even size
+const SEARCH_ITERATIONS = 96;
+
+// 1 / golden ratio, in parts per million, for the numeric size search
+const GOLDEN_RATIO_PPM = 618034;
+
+/**
+ * Convert a fee percentage (e.g. 0.25) to parts per million (e.g. 2500)
+ * @param {number} feePercentage - Swap fee in percent
+ * @returns {number} - Swap fee in parts per million
+ */
+function feePercentageToPpm(feePercentage) {
+  return Math.round((feePercentage || 0) * 10000);
+}
+
+/**
+ * Get the reserves of a pool for a token pair.
+ * V3 pools are modelled by their virtual reserves at the current price, which
+ * is exact while a trade stays inside the active tick range.
+ * @param {string} type - 'v2' or 'v3'
+ * @param {Object} liquidity - Liquidity info from the DEX adapter or pool state cache
+ * @param {string} tokenA - Token the reserveA side refers to
+ * @returns {{reserveA: BigNumber, reserveB: BigNumber}|null} - Reserves, or null if unavailable
+ */
+function getPoolReserves(type, liquidity, tokenA) {
+  if (!liquidity || liquidity.exists === false) {
+    return null;
+  }
+  
+  if (type === 'v3') {
+    const { sqrtPriceX96, token0 } = liquidity;
+    const activeLiquidity = ethers.BigNumber.from(liquidity.liquidity || 0);
+    
+    if (!sqrtPriceX96 || !token0 || activeLiquidity.isZero() || ethers.BigNumber.from(sqrtPriceX96).isZero()) {
+      return null;
+    }
+    
+    // x = L / sqrt(P), y = L * sqrt(P)
+    const reserve0 = activeLiquidity.mul(Q96).div(sqrtPriceX96);
+    const reserve1 = activeLiquidity.mul(sqrtPriceX96).div(Q96);
+    const isToken0 = token0.toLowerCase() === tokenA.toLowerCase();
+    
+    return isToken0
+      ? { reserveA: reserve0, reserveB: reserve1 }
+      : { reserveA: reserve1, reserveB: reserve0 };
+  }
+  
+  if (!liquidity.reserveA || !liquidity.reserveB) {
+    return null;
+  }
+  
+  return { reserveA: liquidity.reserveA, reserveB: liquidity.reserveB };
+}
+
+/**
+ * Output of a constant-product swap
+ * @param {BigNumber} amountIn - Input amount
+ * @param {BigNumber} reserveIn - Reserve of the input token
+ * @param {BigNumber} reserveOut - Reserve of the output token
+ * @param {number} feePpm - Swap fee in parts per million
+ * @returns {BigNumber} - Output amount
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, feePpm) {
+  if (amountIn.lte(0) || reserveIn.isZero() || reserveOut.isZero()) {
+    return ethers.BigNumber.from(0);
+  }
+  
+  const amountInWithFee = amountIn.mul(FEE_DENOMINATOR - feePpm);
+  return amountInWithFee.mul(reserveOut).div(reserveIn.mul(FEE_DENOMINATOR).add(amountInWithFee));
+}
+
+/**
+ * Marginal price of a constant-product swap after amountIn has been traded,
+ * i.e. how much output the next unit of input buys once impact and fees apply
+ * @param {BigNumber} amountIn - Amount already traded into the pool
+ * @param {BigNumber} reserveIn - Reserve of the input token
+ * @param {BigNumber} reserveOut - Reserve of the output token
+ * @param {number} feePpm - Swap fee in parts per million
+ * @returns {BigNumber} - Output per unit of input, scaled by 1e18
+ */
+function getMarginalPrice(amountIn, reserveIn, reserveOut, feePpm) {
+  const gamma = FEE_DENOMINATOR - feePpm;
+  
+  // d(out)/d(in) = gamma * Rin * Rout / (Rin + gamma * in)^2
+  const denominator = reserveIn.mul(FEE_DENOMINATOR).add(amountIn.mul(gamma));
+  if (denominator.isZero()) {
+    return ethers.BigNumber.from(0);
+  }
+  
+  return reserveIn.mul(reserveOut).mul(gamma).mul(FEE_DENOMINATOR).mul(ONE)
+    .div(denominator.mul(denominator));
+}
+
+/**
+ * Quote a round trip: sell amountIn of token A into the buy pool, then sell the
+ * proceeds back to token A in the sell pool
+ * @param {BigNumber} amountIn - Amount of token A
+ * @param {Object} buy - { reserveIn, reserveOut, feePpm } of the A -> B pool
+ * @param {Object} sell - { reserveIn, reserveOut, feePpm } of the B -> A pool
+ * @returns {{intermediateAmount: BigNumber, amountOut: BigNumber, profit: BigNumber}} - Round trip result
+ */
+function quoteRoundTrip(amountIn, buy, sell) {
+  const intermediateAmount = getAmountOut(amountIn, buy.reserveIn, buy.reserveOut, buy.feePpm);
+  const amountOut = getAmountOut(intermediateAmount, sell.reserveIn, sell.reserveOut, sell.feePpm);
+  
+  return {
+    intermediateAmount,
+    amountOut,
+    profit: amountOut.sub(amountIn)
+  };
+}
+
+/**
+ * Marginal rate of the whole round trip at a size
+ * @param {BigNumber} amountIn - Amount of token A
+ * @param {Object} buy - { reserveIn, reserveOut, feePpm } of the A -> B pool
+ * @param {Object} sell - { reserveIn, reserveOut, feePpm } of the B -> A pool
+ * @returns {BigNumber} - Token A returned per extra unit of A, scaled by 1e18 (above 1e18 still gains)
+ * @private
+ */
+function getRoundTripMarginalRate(amountIn, buy, sell) {
+  const intermediateAmount = getAmountOut(amountIn, buy.reserveIn, buy.reserveOut, buy.feePpm);
+  const buyRate = getMarginalPrice(amountIn, buy.reserveIn, buy.reserveOut, buy.feePpm);
+  const sellRate = getMarginalPrice(intermediateAmount, sell.reserveIn, sell.reserveOut, sell.feePpm);
+  
+  return buyRate.mul(sellRate).div(ONE);
+}
+
+/**
+ * Integer square root
+ * @param {BigNumber} value - Non-negative value
+ * @returns {BigNumber} - Largest integer whose square does not exceed value
+ */
+function sqrt(value) {
+  const n = BigInt(value.toString());
+  if (n < 2n) {
+    return ethers.BigNumber.from(n.toString());
+  }
+  
+  // Newton's method from a power of two above the root converges from above
+  let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+  let y = (x + n / x) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + n / x) / 2n;
+  }
+  
+  return ethers.BigNumber.from(x.toString());
+}
+
+/**
+ * Exact optimal input for a round trip through two constant-product pools.
+ *
+ * With g = 1 - fee for each pool, the round trip is itself a constant-product
+ * curve out(x) = N·x / (B + C·x), where N = g1·g2·Rout1·Rout2,
+ * B = Rin1·Rin2 and C = g1·(Rin2 + g2·Rout1). Repaying x·(1 + f) for a flash
+ * fee f, net profit peaks where out'(x) = 1 + f, which solves to
+ * x = (√(N·B / (1 + f)) − B) / C.
+ * @param {Object} buy - { reserveIn, reserveOut, feePpm } of the A -> B pool
+ * @param {Object} sell - { reserveIn, reserveOut, feePpm } of the B -> A pool
+ * @param {number} flashFeePpm - Flash loan fee in parts per million
+ * @returns {BigNumber} - Input that maximises net profit, zero if no size is profitable
+ */
+function getOptimalAmountIn(buy, sell, flashFeePpm = 0) {
+  const denominator = ethers.BigNumber.from(FEE_DENOMINATOR);
+  const gammaBuy = ethers.BigNumber.from(FEE_DENOMINATOR - buy.feePpm);
+  const gammaSell = ethers.BigNumber.from(FEE_DENOMINATOR - sell.feePpm);
+  
+  // N, B and C with the fees kept in parts per million, so all three carry a factor of 1e12
+  const numerator = gammaBuy.mul(gammaSell).mul(buy.reserveOut).mul(sell.reserveOut);
+  const base = denominator.mul(denominator).mul(buy.reserveIn).mul(sell.reserveIn);
+  const slope = gammaBuy.mul(denominator.mul(sell.reserveIn).add(gammaSell.mul(buy.reserveOut)));
+  
+  if (base.isZero() || slope.isZero()) {
+    return ethers.BigNumber.from(0);
+  }
+  
+  const target = sqrt(numerator.mul(base).mul(FEE_DENOMINATOR).div(FEE_DENOMINATOR + flashFeePpm));
+  if (target.lte(base)) {
+    return ethers.BigNumber.from(0);
+  }
+  
+  return target.sub(base).div(slope);
+}
+
+/**
+ * Numeric optimal input for a round trip that has no closed form, such as a
+ * route with a V3 leg quoted across ticks. Net profit out(x) − x·(1 + f) is
+ * concave in size for AMM pools, so a golden-section search finds its peak
+ * with one quote per step.
+ * @param {Function} quote - async (amountIn) => amountOut of the whole round trip, in the borrowed token
+ * @param {Object} options - Search options
+ * @param {BigNumber} options.maxAmountIn - Largest size to consider
+ * @param {number} options.flashFeePpm - Flash loan fee in parts per million
+ * @param {number} options.tolerancePpm - Stop once the bracket is narrower than this share of maxAmountIn
+ * @param {number} options.maxQuotes - Upper bound on the number of quotes
+ * @returns {Promise<{amountIn: BigNumber, amountOut: BigNumber, netProfit: BigNumber, quotes: number}>} - Best size found,
+ *   with a zero amountIn if no size is profitable
+ */
+async function findOptimalAmountIn(quote, { maxAmountIn, flashFeePpm = 0, tolerancePpm = 1000, maxQuotes = 40 } = {}) {
+  const zero = ethers.BigNumber.from(0);
+  const evaluated = new Map();
+  
+  const evaluate = async (amountIn) => {
+    const key = amountIn.toString();
+    if (!evaluated.has(key)) {
+      const amountOut = amountIn.isZero() ? zero : await quote(amountIn);
+      const repayment = amountIn.mul(FEE_DENOMINATOR + flashFeePpm).div(FEE_DENOMINATOR);
+      evaluated.set(key, { amountIn, amountOut, netProfit: amountOut.sub(repayment) });
+    }
+    return evaluated.get(key);
+  };
+  
+  const interior = (from, to, towardsEnd) => {
+    const step = to.sub(from).mul(GOLDEN_RATIO_PPM).div(FEE_DENOMINATOR);
+    return towardsEnd ? from.add(step) : to.sub(step);
+  };
+  
+  const tolerance = maxAmountIn.mul(tolerancePpm).div(FEE_DENOMINATOR);
+  let low = zero;
+  let high = maxAmountIn;
+  let left = await evaluate(interior(low, high, false));
+  let right = await evaluate(interior(low, high, true));
+  
+  while (high.sub(low).gt(tolerance) && high.sub(low).gt(2) && evaluated.size < maxQuotes) {
+    if (left.netProfit.gt(right.netProfit)) {
+      high = right.amountIn;
+      right = left;
+      left = await evaluate(interior(low, high, false));
+    } else {
+      low = left.amountIn;
+      left = right;
+      right = await evaluate(interior(low, high, true));
+    }
+  }
+  
+  const best = left.netProfit.gt(right.netProfit) ? left : right;
+  if (best.netProfit.lte(0)) {
+    return { amountIn: zero, amountOut: zero, netProfit: zero, quotes: evaluated.size };
+  }
+  
+  return { ...best, quotes: evaluated.size };
+}
+
+/**
+ * Compute the executable spread curve of a two-pool round trip.
+ * Profit is concave in size: the optimum comes from getOptimalAmountIn and
+ * the break-even size lies beyond it.
+ * @param {Object} buy - { reserveIn, reserveOut, feePpm } of the A -> B pool
+ * @param {Object} sell - { reserveIn, reserveOut, feePpm } of the B -> A pool
+ * @param {Object} options - Curve options
+ * @param {BigNumber} options.maxAmountIn - Largest size to consider (defaults to the buy pool's input reserve)
+ * @param {number} options.samples - Number of points to sample along the curve for reporting
+ * @param {number} options.flashFeePpm - Flash loan fee in parts per million, repaid on top of the input
+ * @returns {Object} - Optimal size and output, break-even size, marginal prices at the optimum
+ *   (buy in B per A, sell in A per B) and a sampled profit curve
+ */
+function computeSpreadCurve(buy, sell, { maxAmountIn, samples = 8, flashFeePpm = 0 } = {}) {
+  const upperBound = maxAmountIn && maxAmountIn.lt(buy.reserveIn) ? maxAmountIn : buy.reserveIn;
+  const zero = ethers.BigNumber.from(0);
+  const optimalAmountIn = getOptimalAmountIn(buy, sell, flashFeePpm);
+  
+  // Without a positive marginal gain on the first unit, no size is profitable
+  if (upperBound.lte(0) || optimalAmountIn.isZero() || getRoundTripMarginalRate(zero, buy, sell).lte(ONE)) {
+    return {
+      profitable: false,
+      amountIn: zero,
+      intermediateAmount: zero,
+      amountOut: zero,
+      profit: zero,
+      maxProfitableAmount: zero,
+      buyMarginalPrice: getMarginalPrice(zero, buy.reserveIn, buy.reserveOut, buy.feePpm),
+      sellMarginalPrice: getMarginalPrice(zero, sell.reserveIn, sell.reserveOut, sell.feePpm),
+      points: []
+    };
+  }
+  
+  const amountIn = optimalAmountIn.lt(upperBound) ? optimalAmountIn : upperBound;
+  
+  // Profit after repaying the flash loan and its fee
+  const netProfitAt = (size) => quoteRoundTrip(size, buy, sell).profit.sub(size.mul(flashFeePpm).div(FEE_DENOMINATOR));
+  
+  // Largest size that still returns more than it borrowed
+  let maxProfitableAmount = upperBound;
+  if (netProfitAt(upperBound).lte(0)) {
+    let low = amountIn;
+    let high = upperBound;
+    for (let i = 0; i < SEARCH_ITERATIONS && high.sub(low).gt(1); i++) {
+      const mid = low.add(high).div(2);
+      if (netProfitAt(mid).gt(0)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    maxProfitableAmount = low;
+  }
+  
+  const quote = quoteRoundTrip(amountIn, buy, sell);
+  
+  const points = [];
+  for (let i = 1; i <= samples; i++) {
+    const size = maxProfitableAmount.mul(i).div(samples);
+    points.push({ amountIn: size, profit: quoteRoundTrip(size, buy, sell).profit });
+  }
+  
+  return {
+    profitable: netProfitAt(amountIn).gt(0),
+    amountIn,
+    intermediateAmount: quote.intermediateAmount,
+    amountOut: quote.amountOut,
+    profit: quote.profit,
+    maxProfitableAmount,
+    buyMarginalPrice: getMarginalPrice(amountIn, buy.reserveIn, buy.reserveOut, buy.feePpm),
+    sellMarginalPrice: getMarginalPrice(quote.intermediateAmount, sell.reserveIn, sell.reserveOut, sell.feePpm),
+    points
+  };
+}
+
+module.exports = {
+  feePercentageToPpm,
+  getPoolReserves,
+  getAmountOut,
+  getMarginalPrice,
+  quoteRoundTrip,
+  getOptimalAmountIn,
+  findOptimalAmountIn,
+  computeSpreadCurve
+};
@@ -10,7 +10,8 @@ const logger = require('./logger');
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Format ether value to 6 decimal places
+ * Format ether value to 6 decimal places. Only for 18-decimal values such as
+ * BNB amounts and prices; token amounts go through tokenMetadata.format.
  * @param {BigNumber|string} value - Value in wei
  * @returns {string} - Formatted ether value
  */
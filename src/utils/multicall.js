@@ -0,0 +1,277 @@
+/**
+ * Multicall3 batching for contract reads.
+ *
+ * Reads made through call() in the same tick are sent together in a single
+ * aggregate3 eth_call, so every result comes from the same block and a price
+ * check across several DEXes costs one request instead of one per read.
+ */
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { retryWithBackoff } = require('./requestUtils');
+
+// Multicall3 is deployed at the same address on every major chain, BNB Chain included
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const Multicall3ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() view returns (uint256 blockNumber)'
+];
+
+// Pool reads used for block-consistent snapshots
+const V2PairABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+const V3PoolABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function liquidity() view returns (uint128)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint32 feeProtocol, bool unlocked)'
+];
+
+// Keep each eth_call well under typical RPC gas and payload limits
+const DEFAULT_MAX_CALLS_PER_BATCH = 200;
+
+// Parsed interfaces, keyed by the ABI array they came from
+const interfaceCache = new WeakMap();
+
+/**
+ * Get a (cached) ethers Interface for an ABI
+ * @param {Array|ethers.utils.Interface} abi - Contract ABI
+ * @returns {ethers.utils.Interface} - Interface
+ */
+function getInterface(abi) {
+  if (abi instanceof ethers.utils.Interface) {
+    return abi;
+  }
+  
+  if (!interfaceCache.has(abi)) {
+    interfaceCache.set(abi, new ethers.utils.Interface(abi));
+  }
+  return interfaceCache.get(abi);
+}
+
+class Multicall {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider the batches are sent through
+   * @param {Object} options - Multicall options
+   * @param {string} options.address - Multicall3 address
+   * @param {number} options.maxCallsPerBatch - Largest number of calls per eth_call
+   */
+  constructor(provider, { address = MULTICALL3_ADDRESS, maxCallsPerBatch = DEFAULT_MAX_CALLS_PER_BATCH } = {}) {
+    this.provider = provider;
+    this.maxCallsPerBatch = maxCallsPerBatch;
+    this.address = address;
+    this.contract = new ethers.Contract(address, Multicall3ABI, provider);
+    
+    // Block tag -> calls waiting for the next flush
+    this.pending = new Map();
+    this.flushScheduled = false;
+  }
+  
+  /**
+   * Read a contract through the next batch
+   * @param {string} target - Contract address
+   * @param {Array|ethers.utils.Interface} abi - Contract ABI
+   * @param {string} method - Function name or signature
+   * @param {Array} args - Function arguments
+   * @param {Object} options - Call options
+   * @param {string|number} options.blockTag - Block to read at (defaults to latest)
+   * @returns {Promise<*>} - Decoded result; a single return value is unwrapped
+   */
+  call(target, abi, method, args = [], { blockTag = 'latest' } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.pending.has(blockTag)) {
+        this.pending.set(blockTag, []);
+      }
+      this.pending.get(blockTag).push({ target, abi, method, args, resolve, reject });
+      
+      // Reads started in the same tick (e.g. inside Promise.all) share one request
+      if (!this.flushScheduled) {
+        this.flushScheduled = true;
+        setImmediate(() => this.flush());
+      }
+    });
+  }
+  
+  /**
+   * Read the block number through the next batch, so it matches the block the
+   * other reads in that batch were made at
+   * @param {Object} options - Call options
+   * @param {string|number} options.blockTag - Block to read at (defaults to latest)
+   * @returns {Promise<number>} - Block number
+   */
+  async getBlockNumber(options = {}) {
+    const blockNumber = await this.call(this.address, Multicall3ABI, 'getBlockNumber', [], options);
+    return blockNumber.toNumber();
+  }
+  
+  /**
+   * Send all pending reads, one aggregate3 per block tag
+   * @private
+   */
+  async flush() {
+    this.flushScheduled = false;
+    
+    const batches = [...this.pending.entries()];
+    this.pending.clear();
+    
+    await Promise.all(batches.map(async ([blockTag, calls]) => {
+      try {
+        const results = await this.aggregate(calls, { blockTag });
+        
+        results.forEach((result, index) => {
+          const call = calls[index];
+          if (result.success) {
+            call.resolve(result.value);
+          } else {
+            call.reject(new Error(`Multicall read ${call.method} on ${call.target} reverted`));
+          }
+        });
+      } catch (error) {
+        calls.forEach(call => call.reject(error));
+      }
+    }));
+  }
+  
+  /**
+   * Run a list of reads in as few eth_calls as possible. Individual reverts do
+   * not fail the batch; they come back with success set to false.
+   * @param {Array<Object>} calls - Reads as { target, abi, method, args }
+   * @param {Object} options - Call options
+   * @param {string|number} options.blockTag - Block to read at (defaults to latest)
+   * @returns {Promise<Array<{success: boolean, value: *}>>} - Results in call order
+   */
+  async aggregate(calls, { blockTag = 'latest' } = {}) {
+    if (calls.length === 0) {
+      return [];
+    }
+    
+    const encoded = calls.map(({ target, abi, method, args = [] }) => ({
+      target,
+      allowFailure: true,
+      callData: getInterface(abi).encodeFunctionData(method, args)
+    }));
+    
+    // Split oversized batches; all chunks are read at the same block so results stay consistent
+    const chunks = [];
+    for (let i = 0; i < encoded.length; i += this.maxCallsPerBatch) {
+      chunks.push(encoded.slice(i, i + this.maxCallsPerBatch));
+    }
+    
+    if (chunks.length > 1 && blockTag === 'latest') {
+      blockTag = await this.provider.getBlockNumber();
+    }
+    
+    const responses = [];
+    for (const chunk of chunks) {
+      const response = await retryWithBackoff(
+        () => this.contract.callStatic.aggregate3(chunk, { blockTag }),
+        4,
+        1000
+      );
+      responses.push(...response);
+    }
+    
+    return responses.map(({ success, returnData }, index) => {
+      if (!success) {
+        return { success: false, value: null };
+      }
+      
+      const { abi, method } = calls[index];
+      try {
+        const decoded = getInterface(abi).decodeFunctionResult(method, returnData);
+        return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+      } catch (error) {
+        // Empty return data, e.g. a call to an address without code
+        logger.debug(`Could not decode ${method} from ${calls[index].target}: ${error.message}`);
+        return { success: false, value: null };
+      }
+    });
+  }
+  
+  /**
+   * Read the state of a set of pools at a single block
+   * @param {Array<Object>} pools - Pools as { address, type } with type 'v2' or 'v3'
+   * @param {string|number} blockTag - Block to read at (defaults to the latest block)
+   * @returns {Promise<{blockNumber: number, states: Map<string, Object>}>} - Pool state keyed by lowercase address;
+   *   pools whose reads reverted are left out
+   */
+  async snapshotPools(pools, blockTag = null) {
+    // Pin the block so the snapshot is consistent even when split into several requests
+    const blockNumber = blockTag ?? await this.provider.getBlockNumber();
+    
+    const calls = [];
+    for (const pool of pools) {
+      if (pool.type === 'v3') {
+        for (const method of ['token0', 'token1', 'fee', 'liquidity', 'slot0']) {
+          calls.push({ target: pool.address, abi: V3PoolABI, method });
+        }
+      } else {
+        for (const method of ['token0', 'token1', 'getReserves']) {
+          calls.push({ target: pool.address, abi: V2PairABI, method });
+        }
+      }
+    }
+    
+    const results = await this.aggregate(calls, { blockTag: blockNumber });
+    const states = new Map();
+    
+    let offset = 0;
+    for (const pool of pools) {
+      const count = pool.type === 'v3' ? 5 : 3;
+      const poolResults = results.slice(offset, offset + count);
+      offset += count;
+      
+      if (poolResults.some(result => !result.success)) {
+        logger.debug(`Could not read state of pool ${pool.address} at block ${blockNumber}`);
+        continue;
+      }
+      
+      const values = poolResults.map(result => result.value);
+      const state = pool.type === 'v3'
+        ? {
+          token0: values[0],
+          token1: values[1],
+          fee: values[2],
+          liquidity: values[3],
+          sqrtPriceX96: values[4].sqrtPriceX96,
+          tick: values[4].tick
+        }
+        : {
+          token0: values[0],
+          token1: values[1],
+          reserve0: values[2].reserve0,
+          reserve1: values[2].reserve1
+        };
+      
+      states.set(pool.address.toLowerCase(), { ...state, blockNumber });
+    }
+    
+    return { blockNumber, states };
+  }
+}
+
+// One batcher per provider, so reads through the same endpoint share batches
+const instances = new WeakMap();
+
+/**
+ * Get the shared Multicall instance for a provider
+ * @param {ethers.providers.Provider} provider - Provider
+ * @returns {Multicall} - Multicall bound to the provider
+ */
+function getMulticall(provider) {
+  if (!instances.has(provider)) {
+    instances.set(provider, new Multicall(provider));
+  }
+  return instances.get(provider);
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  Multicall,
+  getMulticall
+};
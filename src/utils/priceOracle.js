@@ -0,0 +1,341 @@
+/**
+ * USD and BNB prices of tokens, read from liquid on-chain pools.
+ *
+ * BNB is priced in USD from the PancakeSwap V2 pairs of WBNB with the reference
+ * stablecoins: the median quote is taken, and an update whose quotes disagree
+ * by more than maxDeviation is rejected. Every other token is priced in BNB
+ * from its own WBNB pair, and in USD through the BNB price. Pairs holding less
+ * than minLiquidityBnb are ignored, since a thin pool is cheap to move.
+ *
+ * Each price records the time and block it was read at. Prices older than
+ * maxAge are treated as unknown, so callers valuing profits with them fail
+ * closed instead of trading on a stale figure.
+ */
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('./logger');
+const registry = require('../registry/registry');
+const tokenMetadata = require('./tokenMetadata');
+const { getMulticall } = require('./multicall');
+
+const FactoryABI = require('../abis/PancakeV2Factory.json');
+const PairABI = require('../abis/PancakeV2Pair.json');
+
+const ONE = ethers.utils.parseEther('1');
+
+class PriceOracle {
+  constructor() {
+    this.provider = null;
+    this.multicall = null;
+    
+    // Lowercase token address -> { address, wbnbIsToken0 } of its WBNB pair, or null if it has none
+    this.pairs = new Map();
+    
+    // { price, updatedAt, blockNumber, sources } with price in USD per BNB, scaled by 1e18
+    this.bnbUsd = null;
+    
+    // Lowercase token address -> { price, updatedAt, blockNumber } with price in BNB per whole token, scaled by 1e18
+    this.tokenPrices = new Map();
+    
+    // Tokens outside the registry that were asked about, priced from the next refresh on
+    this.tracked = new Set();
+    
+    this.lastRefresh = 0;
+    this.refreshing = null;
+  }
+  
+  /**
+   * Set the provider pools are read through
+   * @param {ethers.providers.Provider} provider - Provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.multicall = getMulticall(provider);
+  }
+  
+  /**
+   * Re-read every price, unless the last refresh is more recent than refreshInterval
+   * @param {number|null} blockNumber - Block to read at (defaults to the latest)
+   * @param {Object} options - Refresh options
+   * @param {boolean} options.force - Refresh even if the prices are recent
+   * @returns {Promise<void>}
+   */
+  async refresh(blockNumber = null, { force = false } = {}) {
+    if (!this.multicall) {
+      return;
+    }
+    
+    if (!force && Date.now() - this.lastRefresh < config.priceOracle.refreshInterval) {
+      return;
+    }
+    
+    // Concurrent callers share one refresh
+    if (!this.refreshing) {
+      this.refreshing = this.read(blockNumber).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+  
+  /**
+   * Read every pool at one block and update the prices
+   * @param {number|null} blockNumber - Block to read at
+   * @private
+   */
+  async read(blockNumber) {
+    try {
+      const block = blockNumber || await this.multicall.getBlockNumber();
+      const tokens = this.getPricedTokens();
+      const prices = await Promise.all(tokens.map(token => this.readTokenPrice(token, block)));
+      const updatedAt = Date.now();
+      
+      tokens.forEach((token, index) => {
+        if (prices[index]) {
+          this.tokenPrices.set(token.toLowerCase(), { price: prices[index], updatedAt, blockNumber: block });
+        }
+      });
+      
+      this.updateBnbUsd(block, updatedAt);
+      this.lastRefresh = updatedAt;
+    } catch (error) {
+      logger.error(`Error refreshing on-chain prices: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Take the median of the reference stablecoin quotes as the BNB/USD price
+   * @param {number} blockNumber - Block the quotes were read at
+   * @param {number} updatedAt - Time the quotes were read
+   * @private
+   */
+  updateBnbUsd(blockNumber, updatedAt) {
+    const sources = [];
+    
+    for (const symbol of config.priceOracle.referenceTokens) {
+      const token = registry.getToken(symbol);
+      const entry = token && this.tokenPrices.get(token.address.toLowerCase());
+      
+      // A stablecoin priced at p BNB puts BNB at 1/p USD
+      if (entry && entry.blockNumber === blockNumber && !entry.price.isZero()) {
+        sources.push({ token: symbol, price: ONE.mul(ONE).div(entry.price) });
+      }
+    }
+    
+    if (sources.length === 0) {
+      logger.warn(`No reference pool priced BNB in USD at block ${blockNumber}`);
+      return;
+    }
+    
+    const sorted = sources.map(source => source.price).sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 1 ? sorted[middle] : sorted[middle - 1].add(sorted[middle]).div(2);
+    
+    // Reference pools that disagree point at a depeg or a manipulated pool
+    const deviation = sorted[sorted.length - 1].sub(sorted[0]).mul(1000000).div(median).toNumber() / 10000;
+    if (deviation > config.priceOracle.maxDeviation) {
+      logger.warn(`BNB/USD quotes differ by ${deviation.toFixed(2)}% at block ${blockNumber} (${sources.map(source => `${source.token} ${formatUsd(source.price)}`).join(', ')}), keeping the previous price`);
+      return;
+    }
+    
+    this.bnbUsd = { price: median, updatedAt, blockNumber, sources };
+    logger.debug(`BNB/USD ${formatUsd(median)} at block ${blockNumber} from ${sources.map(source => source.token).join(', ')}`);
+  }
+  
+  /**
+   * Read the price of a token in BNB from its WBNB pair
+   * @param {string} token - Token address
+   * @param {number} blockNumber - Block to read at
+   * @returns {Promise<BigNumber|null>} - BNB per whole token scaled by 1e18, or null if no liquid pair exists
+   * @private
+   */
+  async readTokenPrice(token, blockNumber) {
+    try {
+      const pair = await this.getPair(token);
+      if (!pair) {
+        return null;
+      }
+      
+      const reserves = await this.multicall.call(pair.address, PairABI, 'getReserves', [], { blockTag: blockNumber });
+      const reserveBnb = pair.wbnbIsToken0 ? reserves._reserve0 : reserves._reserve1;
+      const reserveToken = pair.wbnbIsToken0 ? reserves._reserve1 : reserves._reserve0;
+      
+      if (reserveBnb.lt(ethers.utils.parseEther(config.priceOracle.minLiquidityBnb)) || reserveToken.isZero()) {
+        logger.debug(`WBNB pair of ${tokenMetadata.getSymbol(token)} holds ${ethers.utils.formatEther(reserveBnb)} WBNB, too little to price it`);
+        return null;
+      }
+      
+      return tokenMetadata.scalePrice(reserveBnb.mul(ONE).div(reserveToken), token, config.TOKENS.WBNB);
+    } catch (error) {
+      logger.warn(`Error reading the BNB price of ${tokenMetadata.getSymbol(token)}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Find a token's PancakeSwap V2 pair with WBNB, cached since pairs never move
+   * @param {string} token - Token address
+   * @returns {Promise<{address: string, wbnbIsToken0: boolean}|null>} - Pair, or null if none exists
+   * @private
+   */
+  async getPair(token) {
+    const key = token.toLowerCase();
+    if (this.pairs.has(key)) {
+      return this.pairs.get(key);
+    }
+    
+    const wbnb = config.TOKENS.WBNB;
+    const address = await this.multicall.call(config.DEX.PANCAKESWAP_V2.FACTORY, FactoryABI, 'getPair', [token, wbnb]);
+    
+    let pair = null;
+    if (address !== ethers.constants.AddressZero) {
+      const token0 = await this.multicall.call(address, PairABI, 'token0');
+      pair = { address, wbnbIsToken0: token0.toLowerCase() === wbnb.toLowerCase() };
+    }
+    
+    this.pairs.set(key, pair);
+    return pair;
+  }
+  
+  /**
+   * Tokens priced on each refresh: the registry's tokens and any asked about since
+   * @returns {Array<string>} - Token addresses, WBNB excluded
+   * @private
+   */
+  getPricedTokens() {
+    const wbnb = config.TOKENS.WBNB.toLowerCase();
+    const tokens = new Map();
+    
+    for (const token of [...Object.values(config.TOKENS), ...this.tracked]) {
+      if (token.toLowerCase() !== wbnb) {
+        tokens.set(token.toLowerCase(), token);
+      }
+    }
+    return [...tokens.values()];
+  }
+  
+  /**
+   * Check whether a price was read recently enough to be used
+   * @param {Object|null} entry - Price entry
+   * @returns {boolean} - True if the entry exists and is within maxAge
+   * @private
+   */
+  isFresh(entry) {
+    return Boolean(entry) && Date.now() - entry.updatedAt <= config.priceOracle.maxAge;
+  }
+  
+  /**
+   * Price of BNB in USD
+   * @returns {number|null} - USD per BNB, or null if unknown or stale
+   */
+  getBnbUsdPrice() {
+    return this.isFresh(this.bnbUsd) ? parseFloat(ethers.utils.formatEther(this.bnbUsd.price)) : null;
+  }
+  
+  /**
+   * Price of a token in BNB. A token without a price is priced from the next refresh on.
+   * @param {string} token - Token address
+   * @returns {BigNumber|null} - BNB per whole token scaled by 1e18, or null if unknown or stale
+   */
+  getBnbPrice(token) {
+    const key = token.toLowerCase();
+    if (key === config.TOKENS.WBNB.toLowerCase()) {
+      return ONE;
+    }
+    
+    const entry = this.tokenPrices.get(key);
+    if (!entry) {
+      this.tracked.add(token);
+    }
+    return this.isFresh(entry) ? entry.price : null;
+  }
+  
+  /**
+   * Value an amount of a token in BNB
+   * @param {BigNumber} amount - Amount in the token's base units
+   * @param {string} token - Token address
+   * @returns {BigNumber|null} - Value in BNB (wei), or null if the token's price is unknown or stale
+   */
+  toBnb(amount, token) {
+    const price = this.getBnbPrice(token);
+    return price ? tokenMetadata.toWad(amount, token).mul(price).div(ONE) : null;
+  }
+  
+  /**
+   * Convert an amount of BNB into a token
+   * @param {BigNumber} amount - Amount of BNB (wei)
+   * @param {string} token - Token address
+   * @returns {BigNumber|null} - Amount in the token's base units, or null if the token's price is unknown or stale
+   */
+  fromBnb(amount, token) {
+    const price = this.getBnbPrice(token);
+    return price && !price.isZero() ? tokenMetadata.fromWad(amount.mul(ONE).div(price), token) : null;
+  }
+  
+  /**
+   * Value an amount of BNB in USD
+   * @param {BigNumber} amount - Amount of BNB (wei)
+   * @returns {number|null} - Value in USD, or null if the BNB price is unknown or stale
+   */
+  bnbToUsd(amount) {
+    if (!this.isFresh(this.bnbUsd)) {
+      return null;
+    }
+    return parseFloat(ethers.utils.formatEther(ethers.BigNumber.from(amount).mul(this.bnbUsd.price).div(ONE)));
+  }
+  
+  /**
+   * Value an amount of a token in USD
+   * @param {BigNumber} amount - Amount in the token's base units
+   * @param {string} token - Token address
+   * @returns {number|null} - Value in USD, or null if a price is unknown or stale
+   */
+  toUsd(amount, token) {
+    const bnb = this.toBnb(amount, token);
+    return bnb ? this.bnbToUsd(bnb) : null;
+  }
+  
+  /**
+   * Convert a USD figure, such as a threshold, into BNB
+   * @param {number} usd - Amount in USD
+   * @returns {BigNumber|null} - Amount of BNB (wei), or null if the BNB price is unknown or stale
+   */
+  usdToBnb(usd) {
+    if (!this.isFresh(this.bnbUsd) || this.bnbUsd.price.isZero()) {
+      return null;
+    }
+    return ethers.utils.parseEther(Number(usd).toFixed(18)).mul(ONE).div(this.bnbUsd.price);
+  }
+  
+  /**
+   * Current BNB/USD price and where it came from, for the dashboard
+   * @returns {Object} - { bnbUsd, stale, updatedAt, blockNumber, sources }
+   */
+  getStatus() {
+    if (!this.bnbUsd) {
+      return { bnbUsd: null, stale: true, updatedAt: null, blockNumber: null, sources: [] };
+    }
+    
+    return {
+      bnbUsd: parseFloat(ethers.utils.formatEther(this.bnbUsd.price)),
+      stale: !this.isFresh(this.bnbUsd),
+      updatedAt: new Date(this.bnbUsd.updatedAt).toISOString(),
+      blockNumber: this.bnbUsd.blockNumber,
+      sources: this.bnbUsd.sources.map(source => ({ token: source.token, price: parseFloat(ethers.utils.formatEther(source.price)) }))
+    };
+  }
+}
+
+/**
+ * Format an 18-decimal USD price
+ * @param {BigNumber} price - USD price scaled by 1e18
+ * @returns {string} - e.g. '$612.35'
+ */
+function formatUsd(price) {
+  return `$${parseFloat(ethers.utils.formatEther(price)).toFixed(2)}`;
+}
+
+// Export a singleton instance
+const priceOracle = new PriceOracle();
+
+module.exports = priceOracle;
@@ -0,0 +1,220 @@
+/**
+ * Token metadata read from the token contracts.
+ *
+ * Decimals are read once per token through Multicall3 and cached. Amounts stay
+ * in each token's base units; prices between two tokens are 18-decimal fixed
+ * point numbers of whole tokens, so a price means the same thing whatever the
+ * decimals of either side. scalePrice() turns a ratio of base-unit amounts
+ * into such a price.
+ */
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const registry = require('../registry/registry');
+const { getMulticall } = require('./multicall');
+
+const ERC20MetadataABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+// Used, with a warning, for tokens whose decimals have not been read yet
+const DEFAULT_DECIMALS = 18;
+
+class TokenMetadata {
+  constructor() {
+    this.provider = null;
+    
+    // Lowercase address -> { address, decimals, symbol }
+    this.tokens = new Map();
+    
+    // Lowercase address -> pending read, so concurrent loads share one request
+    this.loading = new Map();
+    
+    // Tokens already warned about, to log each unknown token once
+    this.warned = new Set();
+  }
+  
+  /**
+   * Set the provider metadata is read through
+   * @param {ethers.providers.Provider} provider - Provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+  
+  /**
+   * Read and cache a token's metadata
+   * @param {string} token - Token address
+   * @returns {Promise<{address: string, decimals: number, symbol: string}>} - Token metadata
+   */
+  async load(token) {
+    const key = token.toLowerCase();
+    if (this.tokens.has(key)) {
+      return this.tokens.get(key);
+    }
+    
+    if (!this.loading.has(key)) {
+      this.loading.set(key, this.read(token).finally(() => this.loading.delete(key)));
+    }
+    return this.loading.get(key);
+  }
+  
+  /**
+   * Read and cache the metadata of several tokens in one batch
+   * @param {Array<string>} tokens - Token addresses
+   * @returns {Promise<Array<Object>>} - Token metadata in the same order
+   */
+  async loadAll(tokens) {
+    return Promise.all(tokens.map(token => this.load(token)));
+  }
+  
+  /**
+   * Read a token's metadata from its contract
+   * @param {string} token - Token address
+   * @returns {Promise<Object>} - Token metadata
+   * @private
+   */
+  async read(token) {
+    if (!this.provider) {
+      throw new Error(`No provider set, cannot read metadata of ${token}`);
+    }
+    
+    const multicall = getMulticall(this.provider);
+    const [decimals, symbol] = await Promise.all([
+      multicall.call(token, ERC20MetadataABI, 'decimals'),
+      // Some older tokens return bytes32 symbols, which is not worth failing over
+      multicall.call(token, ERC20MetadataABI, 'symbol').catch(() => null)
+    ]);
+    
+    const registryToken = registry.getToken(token);
+    if (registryToken && registryToken.decimals !== decimals) {
+      logger.warn(`Registry lists ${registryToken.decimals} decimals for ${token} but the contract reports ${decimals}, using the on-chain value`);
+    }
+    
+    const metadata = { address: token, decimals, symbol: symbol || token };
+    this.tokens.set(token.toLowerCase(), metadata);
+    logger.debug(`Loaded token ${metadata.symbol} (${token}) with ${decimals} decimals`);
+    
+    return metadata;
+  }
+  
+  /**
+   * Get a token's decimals. Tokens that have not been loaded fall back to the
+   * registry, and then to 18 decimals with a warning.
+   * @param {string} token - Token address
+   * @returns {number} - Decimals
+   */
+  getDecimals(token) {
+    const key = token.toLowerCase();
+    const loaded = this.tokens.get(key);
+    if (loaded) {
+      return loaded.decimals;
+    }
+    
+    const registryToken = registry.getToken(token);
+    if (registryToken) {
+      return registryToken.decimals;
+    }
+    
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      logger.warn(`Decimals of ${token} have not been loaded, assuming ${DEFAULT_DECIMALS}`);
+    }
+    return DEFAULT_DECIMALS;
+  }
+  
+  /**
+   * Get a token's symbol
+   * @param {string} token - Token address
+   * @returns {string} - Symbol read from the contract or listed in the registry, or the address
+   */
+  getSymbol(token) {
+    const loaded = this.tokens.get(token.toLowerCase());
+    if (loaded) {
+      return loaded.symbol;
+    }
+    
+    const entry = Object.entries(registry.getTokenAddresses())
+      .find(([, address]) => address.toLowerCase() === token.toLowerCase());
+    return entry ? entry[0] : token;
+  }
+  
+  /**
+   * Format an amount of a token to 6 decimal places
+   * @param {BigNumber} amount - Amount in base units
+   * @param {string} token - Token address
+   * @returns {string} - Formatted amount
+   */
+  format(amount, token) {
+    return parseFloat(ethers.utils.formatUnits(amount, this.getDecimals(token))).toFixed(6);
+  }
+  
+  /**
+   * Parse a whole-token amount into base units
+   * @param {string|number} value - Amount in whole tokens, e.g. '1.5'
+   * @param {string} token - Token address
+   * @returns {BigNumber} - Amount in base units
+   */
+  parse(value, token) {
+    return ethers.utils.parseUnits(String(value), this.getDecimals(token));
+  }
+  
+  /**
+   * Convert a price computed from base-unit amounts (amountB * 1e18 / amountA)
+   * into the price of one whole tokenA in whole tokenB
+   * @param {BigNumber} rawPrice - Ratio of base-unit amounts, scaled by 1e18
+   * @param {string} tokenA - Token being priced
+   * @param {string} tokenB - Token the price is quoted in
+   * @returns {BigNumber} - Price scaled by 1e18
+   */
+  scalePrice(rawPrice, tokenA, tokenB) {
+    const difference = this.getDecimals(tokenA) - this.getDecimals(tokenB);
+    if (difference === 0) {
+      return rawPrice;
+    }
+    
+    const factor = ethers.BigNumber.from(10).pow(Math.abs(difference));
+    return difference > 0 ? rawPrice.mul(factor) : rawPrice.div(factor);
+  }
+  
+  /**
+   * Convert an amount from base units to 18-decimal fixed point
+   * @param {BigNumber} amount - Amount in base units
+   * @param {string} token - Token address
+   * @returns {BigNumber} - Amount with 18 decimals
+   */
+  toWad(amount, token) {
+    return this.rescale(amount, this.getDecimals(token), 18);
+  }
+  
+  /**
+   * Convert an 18-decimal fixed point amount to base units
+   * @param {BigNumber} wad - Amount with 18 decimals
+   * @param {string} token - Token address
+   * @returns {BigNumber} - Amount in base units
+   */
+  fromWad(wad, token) {
+    return this.rescale(wad, 18, this.getDecimals(token));
+  }
+  
+  /**
+   * Change the number of decimals an amount is expressed in
+   * @param {BigNumber} amount - Amount
+   * @param {number} fromDecimals - Current decimals
+   * @param {number} toDecimals - Target decimals
+   * @returns {BigNumber} - Rescaled amount
+   * @private
+   */
+  rescale(amount, fromDecimals, toDecimals) {
+    if (fromDecimals === toDecimals) {
+      return amount;
+    }
+    
+    const factor = ethers.BigNumber.from(10).pow(Math.abs(toDecimals - fromDecimals));
+    return toDecimals > fromDecimals ? amount.mul(factor) : amount.div(factor);
+  }
+}
+
+const tokenMetadata = new TokenMetadata();
+
+module.exports = tokenMetadata;
@@ -0,0 +1,344 @@
+/**
+ * Fee-on-transfer and honeypot detection for tokens entering the tradable set.
+ *
+ * A token is bought and sold through every V2 router inside one simulated
+ * Multicall3 aggregate3Value call, so the steps run back to back against the
+ * same state without sending a transaction. Comparing what arrives with what
+ * the router quoted exposes transfer taxes, and the steps that revert expose
+ * blacklists, sell blocks and max-tx limits. PancakeSwap V3 is not probed:
+ * its pools cannot account for taxed transfers, so a token that fails on the
+ * V2 routers is unsafe there too. Results are recorded in the registry.
+ */
+const { ethers } = require('ethers');
+const config = require('../config');
+const logger = require('./logger');
+const registry = require('../registry/registry');
+const tokenMetadata = require('./tokenMetadata');
+const { MULTICALL3_ADDRESS } = require('./multicall');
+const { getDeadline } = require('./helpers');
+
+const Multicall3ABI = [
+  'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const RouterABI = [
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'
+];
+
+const ERC20ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+const routerInterface = new ethers.utils.Interface(RouterABI);
+const erc20Interface = new ethers.utils.Interface(ERC20ABI);
+
+// Selector of Error(string), the standard revert reason
+const ERROR_SELECTOR = '0x08c379a0';
+
+/**
+ * Turn the return data of a reverted call into a readable reason
+ * @param {string} returnData - Return data of the failed call
+ * @returns {string} - Revert message, or the custom error selector
+ */
+function decodeRevert(returnData) {
+  if (!returnData || returnData === '0x') {
+    return 'no reason given';
+  }
+  
+  if (returnData.startsWith(ERROR_SELECTOR)) {
+    try {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${returnData.slice(10)}`)[0];
+    } catch (error) {
+      // Fall through to the selector
+    }
+  }
+  
+  return `custom error ${returnData.slice(0, 10)}`;
+}
+
+/**
+ * Shortfall of a received amount against the quoted amount
+ * @param {BigNumber} expected - Amount the router quoted
+ * @param {BigNumber} received - Amount that arrived
+ * @returns {number} - Shortfall in percent, 0 if at least the quote arrived
+ */
+function taxPercentage(expected, received) {
+  if (expected.isZero() || received.gte(expected)) {
+    return 0;
+  }
+  
+  return expected.sub(received).mul(1000000).div(expected).toNumber() / 10000;
+}
+
+class TokenSafety {
+  /**
+   * @param {ethers.providers.Provider} provider - Provider the simulations are run through
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.multicall = new ethers.Contract(MULTICALL3_ADDRESS, Multicall3ABI, provider);
+    
+    this.routers = [
+      { dex: 'PancakeSwap V2', address: config.addresses.pancakeswapV2.router },
+      { dex: 'ApeSwap', address: config.addresses.apeswap.router },
+      { dex: 'BiSwap', address: config.addresses.biswap.router }
+    ];
+    
+    // Lowercase token address -> pending check, so concurrent discoveries share one probe
+    this.pending = new Map();
+  }
+  
+  /**
+   * Check both tokens of a pair
+   * @param {string} token0 - First token address
+   * @param {string} token1 - Second token address
+   * @returns {Promise<{safe: boolean, issues: Array<string>}>} - Whether the pair may be traded, and why not
+   */
+  async checkPair(token0, token1) {
+    const results = await Promise.all([
+      this.checkToken(token0, token1),
+      this.checkToken(token1, token0)
+    ]);
+    
+    return {
+      safe: results.every(result => result.safe),
+      issues: results.flatMap(result => result.issues.map(issue => `${result.symbol}: ${issue}`))
+    };
+  }
+  
+  /**
+   * Check a token, reusing the registry's result while it is recent
+   * @param {string} token - Token address
+   * @param {string} counterpart - Token it is paired with, used to route the probe trades
+   * @returns {Promise<Object>} - { token, symbol, safe, buyTax, sellTax, issues, routers, blockNumber, checkedAt }
+   */
+  async checkToken(token, counterpart) {
+    const symbol = tokenMetadata.getSymbol(token);
+    
+    // The probe trades start from BNB, and WBNB itself is plain WETH9
+    if (!config.tokenSafety.enabled || this.isSameToken(token, config.TOKENS.WBNB)) {
+      return { token, symbol, safe: true, issues: [] };
+    }
+    
+    // Results set by hand in the registry are never rechecked
+    const recorded = registry.getTokenSafety(token);
+    if (recorded && (recorded.manual || Date.now() - recorded.checkedAt < config.tokenSafety.recheckInterval)) {
+      return recorded;
+    }
+    
+    const key = token.toLowerCase();
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.probe(token, counterpart).finally(() => this.pending.delete(key)));
+    }
+    
+    return this.pending.get(key);
+  }
+  
+  /**
+   * Probe a token on every router and record the result
+   * @param {string} token - Token address
+   * @param {string} counterpart - Token it is paired with
+   * @returns {Promise<Object>} - Check result
+   * @private
+   */
+  async probe(token, counterpart) {
+    const symbol = tokenMetadata.getSymbol(token);
+    
+    try {
+      // Every simulation reads the same block, so the second pass replays the first exactly
+      const blockNumber = await this.provider.getBlockNumber();
+      
+      const routers = [];
+      for (const router of this.routers) {
+        const result = await this.probeRouter(router, token, counterpart, blockNumber);
+        if (result) {
+          routers.push(result);
+        }
+      }
+      
+      // Without a pool there is nothing to learn yet, so nothing is recorded
+      if (routers.length === 0) {
+        return { token, symbol, safe: false, issues: ['no V2 router could quote a trade'] };
+      }
+      
+      const issues = routers.flatMap(result => result.issues.map(issue => `${result.dex} ${issue}`));
+      const taxes = (field) => Math.max(0, ...routers.map(result => result[field] || 0));
+      
+      const result = {
+        token,
+        symbol,
+        safe: issues.length === 0,
+        buyTax: taxes('buyTax'),
+        sellTax: taxes('sellTax'),
+        issues,
+        routers,
+        blockNumber,
+        checkedAt: Date.now()
+      };
+      
+      if (result.safe) {
+        logger.info(`Token ${symbol} passed safety checks on ${routers.map(router => router.dex).join(', ')}`);
+      } else {
+        logger.warn(`⚠️ Token ${symbol} failed safety checks: ${issues.join('; ')}`);
+      }
+      
+      registry.recordTokenSafety(token, result);
+      return result;
+    } catch (error) {
+      logger.error(`Error checking token ${symbol}: ${error.message}`);
+      return { token, symbol, safe: false, issues: [`check failed: ${error.message}`] };
+    }
+  }
+  
+  /**
+   * Simulate a buy, a wallet transfer, a sell and a large buy through one router
+   * @param {Object} router - { dex, address }
+   * @param {string} token - Token address
+   * @param {string} counterpart - Token it is paired with
+   * @param {number} blockNumber - Block to simulate at
+   * @returns {Promise<Object|null>} - { dex, buyTax, sellTax, issues }, or null if the router has no pool for the token
+   * @private
+   */
+  async probeRouter(router, token, counterpart, blockNumber) {
+    const settings = config.tokenSafety;
+    const wbnb = config.TOKENS.WBNB;
+    const buyPath = this.isSameToken(counterpart, wbnb) ? [wbnb, token] : [wbnb, counterpart, token];
+    const sellPath = [...buyPath].reverse();
+    
+    const probeAmount = ethers.utils.parseEther(settings.probeAmount);
+    const deadline = getDeadline();
+    
+    const buy = (value) => ({
+      target: router.address,
+      iface: routerInterface,
+      method: 'swapExactETHForTokensSupportingFeeOnTransferTokens',
+      args: [0, buyPath, MULTICALL3_ADDRESS, deadline],
+      value
+    });
+    const balanceOf = (asset) => ({ target: asset, iface: erc20Interface, method: 'balanceOf', args: [MULTICALL3_ADDRESS] });
+    
+    // First pass: how much of the token a buy delivers
+    const [buyQuote, balanceBefore, buyResult, balanceAfter] = await this.simulate([
+      { target: router.address, iface: routerInterface, method: 'getAmountsOut', args: [probeAmount, buyPath] },
+      balanceOf(token),
+      buy(probeAmount),
+      balanceOf(token)
+    ], blockNumber);
+    
+    if (!buyQuote.success) {
+      return null;
+    }
+    
+    if (!buyResult.success) {
+      return { dex: router.dex, buyTax: null, sellTax: null, issues: [`buy reverted (${buyResult.reason})`] };
+    }
+    
+    const expectedBuy = buyQuote.result.amounts[buyQuote.result.amounts.length - 1];
+    const received = balanceAfter.result[0].sub(balanceBefore.result[0]);
+    if (received.isZero()) {
+      return { dex: router.dex, buyTax: 100, sellTax: null, issues: ['buy delivered no tokens'] };
+    }
+    
+    // Second pass: replay the buy, then move part of it to a fresh wallet and sell the rest
+    const transferAmount = received.div(100);
+    const sellAmount = received.sub(transferAmount);
+    const freshWallet = ethers.utils.getAddress(ethers.utils.hexlify(ethers.utils.randomBytes(20)));
+    
+    const [, approveResult, transferResult, wbnbBefore, sellQuote, sellResult, wbnbAfter, largeBuyResult] = await this.simulate([
+      buy(probeAmount),
+      { target: token, iface: erc20Interface, method: 'approve', args: [router.address, ethers.constants.MaxUint256] },
+      { target: token, iface: erc20Interface, method: 'transfer', args: [freshWallet, transferAmount] },
+      balanceOf(wbnb),
+      { target: router.address, iface: routerInterface, method: 'getAmountsOut', args: [sellAmount, sellPath] },
+      {
+        target: router.address,
+        iface: routerInterface,
+        method: 'swapExactTokensForTokensSupportingFeeOnTransferTokens',
+        args: [sellAmount, 0, sellPath, MULTICALL3_ADDRESS, deadline]
+      },
+      balanceOf(wbnb),
+      buy(ethers.utils.parseEther(settings.maxTxProbeAmount))
+    ], blockNumber);
+    
+    const issues = [];
+    const buyTax = taxPercentage(expectedBuy, received);
+    let sellTax = null;
+    
+    if (buyTax > settings.maxTaxPercentage) {
+      issues.push(`buy tax of ${buyTax.toFixed(2)}%`);
+    }
+    
+    if (!approveResult.success) {
+      issues.push(`approve reverted (${approveResult.reason})`);
+    }
+    
+    if (!transferResult.success) {
+      issues.push(`wallet transfer reverted (${transferResult.reason})`);
+    }
+    
+    if (!sellResult.success) {
+      issues.push(`sell reverted (${sellResult.reason})`);
+    } else if (sellQuote.success) {
+      const expectedSell = sellQuote.result.amounts[sellQuote.result.amounts.length - 1];
+      sellTax = taxPercentage(expectedSell, wbnbAfter.result[0].sub(wbnbBefore.result[0]));
+      
+      if (sellTax > settings.maxTaxPercentage) {
+        issues.push(`sell tax of ${sellTax.toFixed(2)}%`);
+      }
+    }
+    
+    if (!largeBuyResult.success) {
+      issues.push(`buy of ${settings.maxTxProbeAmount} BNB reverted (${largeBuyResult.reason}), likely a max-tx or max-wallet limit`);
+    }
+    
+    return { dex: router.dex, buyTax, sellTax, issues };
+  }
+  
+  /**
+   * Run calls in order inside one simulated aggregate3Value, with Multicall3 as
+   * the caller of each. Failing calls do not stop the ones after them.
+   * @param {Array<Object>} calls - { target, iface, method, args, value }
+   * @param {number} blockNumber - Block to simulate at
+   * @returns {Promise<Array<Object>>} - { success, result } or { success: false, reason } per call
+   * @private
+   */
+  async simulate(calls, blockNumber) {
+    const value = calls.reduce((sum, call) => sum.add(call.value || 0), ethers.BigNumber.from(0));
+    
+    const results = await this.multicall.callStatic.aggregate3Value(
+      calls.map(call => ({
+        target: call.target,
+        allowFailure: true,
+        value: call.value || 0,
+        callData: call.iface.encodeFunctionData(call.method, call.args)
+      })),
+      { value, from: config.tokenSafety.probeSender || config.TOKENS.WBNB, blockTag: blockNumber }
+    );
+    
+    return results.map(({ success, returnData }, index) => {
+      if (!success) {
+        return { success: false, reason: decodeRevert(returnData) };
+      }
+      
+      const call = calls[index];
+      return { success: true, result: call.iface.decodeFunctionResult(call.method, returnData) };
+    });
+  }
+  
+  /**
+   * Compare two token addresses
+   * @param {string} a - First address
+   * @param {string} b - Second address
+   * @returns {boolean} - True if both refer to the same token
+   * @private
+   */
+  isSameToken(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+}
+
+module.exports = TokenSafety;
@@ -0,0 +1,405 @@
+/**
+ * Concentrated liquidity swap math, ported from the V3 core libraries
+ * (TickMath, SqrtPriceMath, SwapMath, TickBitmap) that PancakeSwap V3 pools run.
+ *
+ * Rounding follows the contracts step for step, so a swap simulated against a
+ * pool model loaded at a block gives the same output the pool (and the quoter)
+ * would at that block. Math is done in BigInt; the public functions take and
+ * return ethers BigNumbers like the rest of the codebase. Fees are in parts per
+ * million.
+ */
+const { ethers } = require('ethers');
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const Q96 = 1n << 96n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const FEE_DENOMINATOR = 1000000n;
+
+// Multipliers of TickMath.getSqrtRatioAtTick, one per bit of the absolute tick above bit 0
+const TICK_RATIO_MULTIPLIERS = [
+  0xfff97272373d413259a46990580e213an,
+  0xfff2e50f5f656932ef12357cf3c7fdccn,
+  0xffe5caca7e10e4e61c3624eaa0941cd0n,
+  0xffcb9843d60f6159c9db58835c926644n,
+  0xff973b41fa98c081472e6896dfb254c0n,
+  0xff2ea16466c96a3843ec78b326b52861n,
+  0xfe5dee046a99a2a811c461f1969c3053n,
+  0xfcbe86c7900a88aedcffc83b479aa3a4n,
+  0xf987a7253ac413176f2b074cf7815e54n,
+  0xf3392b0822b70005940c7a398e4b70f3n,
+  0xe7159475a2c29b7443b29c7fa6e889d9n,
+  0xd097f3bdfd2022b8845ad8f792aa5825n,
+  0xa9f746462d870fdf8a65dc1f90e061e5n,
+  0x70d869a156d2a1b890bb3df62baf32f7n,
+  0x31be135f97d08fd981231505542fcfa6n,
+  0x9aa508b5b7a84e1c677de54f3e99bc9n,
+  0x5d6af8dedb81196699c329225ee604n,
+  0x2216e584f5fa1ea926041bedfe98n,
+  0x48a170391f7dc42444e8fa2n
+];
+
+/**
+ * a * b / denominator, rounded down
+ * @param {bigint} a - Multiplicand
+ * @param {bigint} b - Multiplier
+ * @param {bigint} denominator - Divisor
+ * @returns {bigint} - Result
+ */
+function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+/**
+ * a * b / denominator, rounded up
+ * @param {bigint} a - Multiplicand
+ * @param {bigint} b - Multiplier
+ * @param {bigint} denominator - Divisor
+ * @returns {bigint} - Result
+ */
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  return product / denominator + (product % denominator > 0n ? 1n : 0n);
+}
+
+/**
+ * a / b, rounded up
+ * @param {bigint} a - Dividend
+ * @param {bigint} b - Divisor
+ * @returns {bigint} - Result
+ */
+function divRoundingUp(a, b) {
+  return a / b + (a % b > 0n ? 1n : 0n);
+}
+
+/**
+ * sqrt(1.0001^tick) as a Q64.96 number
+ * @param {number} tick - Tick
+ * @returns {bigint} - sqrtPriceX96
+ */
+function getSqrtRatioAtTick(tick) {
+  const absTick = Math.abs(tick);
+  if (absTick > MAX_TICK) {
+    throw new Error(`Tick ${tick} is out of range`);
+  }
+  
+  let ratio = (absTick & 0x1) !== 0
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+  
+  TICK_RATIO_MULTIPLIERS.forEach((multiplier, index) => {
+    if ((absTick & (0x2 << index)) !== 0) {
+      ratio = (ratio * multiplier) >> 128n;
+    }
+  });
+  
+  if (tick > 0) {
+    ratio = MAX_UINT256 / ratio;
+  }
+  
+  // Q128.128 to Q64.96, rounded up so the result is never below the true ratio
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * Greatest tick whose sqrt ratio is at or below a price; gives the same result
+ * as TickMath.getTickAtSqrtRatio, by binary search over getSqrtRatioAtTick
+ * @param {bigint} sqrtPriceX96 - Price as a Q64.96 sqrt ratio
+ * @returns {number} - Tick
+ */
+function getTickAtSqrtRatio(sqrtPriceX96) {
+  if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+    throw new Error(`Sqrt price ${sqrtPriceX96} is out of range`);
+  }
+  
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (getSqrtRatioAtTick(middle) <= sqrtPriceX96) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Amount of token0 between two prices at a given liquidity
+ * @param {bigint} sqrtRatioAX96 - One price bound
+ * @param {bigint} sqrtRatioBX96 - Other price bound
+ * @param {bigint} liquidity - Liquidity
+ * @param {boolean} roundUp - Round up (amounts owed to the pool) or down (amounts paid out)
+ * @returns {bigint} - Amount of token0
+ */
+function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  const [lower, upper] = sqrtRatioAX96 > sqrtRatioBX96
+    ? [sqrtRatioBX96, sqrtRatioAX96]
+    : [sqrtRatioAX96, sqrtRatioBX96];
+  
+  const numerator1 = liquidity << 96n;
+  const numerator2 = upper - lower;
+  
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, upper), lower)
+    : mulDiv(numerator1, numerator2, upper) / lower;
+}
+
+/**
+ * Amount of token1 between two prices at a given liquidity
+ * @param {bigint} sqrtRatioAX96 - One price bound
+ * @param {bigint} sqrtRatioBX96 - Other price bound
+ * @param {bigint} liquidity - Liquidity
+ * @param {boolean} roundUp - Round up (amounts owed to the pool) or down (amounts paid out)
+ * @returns {bigint} - Amount of token1
+ */
+function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  const [lower, upper] = sqrtRatioAX96 > sqrtRatioBX96
+    ? [sqrtRatioBX96, sqrtRatioAX96]
+    : [sqrtRatioAX96, sqrtRatioBX96];
+  
+  return roundUp
+    ? mulDivRoundingUp(liquidity, upper - lower, Q96)
+    : mulDiv(liquidity, upper - lower, Q96);
+}
+
+/**
+ * Price after adding an amount of token0 to the pool, rounded up
+ * @param {bigint} sqrtPriceX96 - Starting price
+ * @param {bigint} liquidity - Liquidity
+ * @param {bigint} amount - Amount of token0 added
+ * @returns {bigint} - Next price
+ */
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amount) {
+  if (amount === 0n) {
+    return sqrtPriceX96;
+  }
+  
+  const numerator1 = liquidity << 96n;
+  const product = amount * sqrtPriceX96;
+  const denominator = numerator1 + product;
+  
+  // The contract takes the precise path only when the product fits in 256 bits
+  if (product <= MAX_UINT256 && denominator <= MAX_UINT256) {
+    return mulDivRoundingUp(numerator1, sqrtPriceX96, denominator);
+  }
+  return divRoundingUp(numerator1, numerator1 / sqrtPriceX96 + amount);
+}
+
+/**
+ * Price after adding an amount of token1 to the pool, rounded down
+ * @param {bigint} sqrtPriceX96 - Starting price
+ * @param {bigint} liquidity - Liquidity
+ * @param {bigint} amount - Amount of token1 added
+ * @returns {bigint} - Next price
+ */
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amount) {
+  const quotient = amount <= MAX_UINT160
+    ? (amount << 96n) / liquidity
+    : mulDiv(amount, Q96, liquidity);
+  
+  return sqrtPriceX96 + quotient;
+}
+
+/**
+ * One step of an exact-input swap towards a target price
+ * @param {bigint} sqrtRatioCurrentX96 - Current price
+ * @param {bigint} sqrtRatioTargetX96 - Price the step may not pass
+ * @param {bigint} liquidity - Liquidity in range
+ * @param {bigint} amountRemaining - Input still to be swapped, fee included
+ * @param {bigint} feePpm - Pool fee in parts per million
+ * @returns {{sqrtRatioNextX96: bigint, amountIn: bigint, amountOut: bigint, feeAmount: bigint}} - Step result
+ */
+function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePpm) {
+  const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+  const amountRemainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - feePpm, FEE_DENOMINATOR);
+  
+  let amountIn = zeroForOne
+    ? getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+    : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+  
+  let sqrtRatioNextX96;
+  if (amountRemainingLessFee >= amountIn) {
+    sqrtRatioNextX96 = sqrtRatioTargetX96;
+  } else if (zeroForOne) {
+    sqrtRatioNextX96 = getNextSqrtPriceFromAmount0RoundingUp(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee);
+  } else {
+    sqrtRatioNextX96 = getNextSqrtPriceFromAmount1RoundingDown(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee);
+  }
+  
+  const reachedTarget = sqrtRatioNextX96 === sqrtRatioTargetX96;
+  let amountOut;
+  if (zeroForOne) {
+    if (!reachedTarget) {
+      amountIn = getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    }
+    amountOut = getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+  } else {
+    if (!reachedTarget) {
+      amountIn = getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    }
+    amountOut = getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+  }
+  
+  // A step that stops short of its target keeps whatever is left over as fee
+  const feeAmount = reachedTarget
+    ? mulDivRoundingUp(amountIn, feePpm, FEE_DENOMINATOR - feePpm)
+    : amountRemaining - amountIn;
+  
+  return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+/**
+ * Bit position of the most significant set bit
+ * @param {bigint} value - Non-zero value
+ * @returns {number} - Bit position
+ */
+function mostSignificantBit(value) {
+  return value.toString(2).length - 1;
+}
+
+/**
+ * Bit position of the least significant set bit
+ * @param {bigint} value - Non-zero value
+ * @returns {number} - Bit position
+ */
+function leastSignificantBit(value) {
+  return mostSignificantBit(value & -value);
+}
+
+/**
+ * Next initialized tick in the same bitmap word as a tick, or the word's edge
+ * when none is initialized (TickBitmap.nextInitializedTickWithinOneWord)
+ * @param {Map<number, bigint>} bitmap - Loaded tick bitmap words by word position
+ * @param {number} tick - Starting tick
+ * @param {number} tickSpacing - Pool tick spacing
+ * @param {boolean} lte - Search at or below the tick (price moving down) instead of above it
+ * @returns {{tick: number, initialized: boolean}|null} - Next tick, or null if its word was not loaded
+ */
+function nextInitializedTickWithinOneWord(bitmap, tick, tickSpacing, lte) {
+  let compressed = Math.trunc(tick / tickSpacing);
+  if (tick < 0 && tick % tickSpacing !== 0) {
+    compressed--;
+  }
+  
+  if (!lte) {
+    compressed++;
+  }
+  
+  const wordPos = compressed >> 8;
+  const bitPos = compressed & 0xff;
+  const word = bitmap.get(wordPos);
+  if (word === undefined) {
+    return null;
+  }
+  
+  if (lte) {
+    const mask = (1n << BigInt(bitPos)) - 1n + (1n << BigInt(bitPos));
+    const masked = word & mask;
+    const initialized = masked !== 0n;
+    return {
+      tick: (initialized ? compressed - (bitPos - mostSignificantBit(masked)) : compressed - bitPos) * tickSpacing,
+      initialized
+    };
+  }
+  
+  const mask = ~((1n << BigInt(bitPos)) - 1n) & MAX_UINT256;
+  const masked = word & mask;
+  const initialized = masked !== 0n;
+  return {
+    tick: (initialized ? compressed + (leastSignificantBit(masked) - bitPos) : compressed + (0xff - bitPos)) * tickSpacing,
+    initialized
+  };
+}
+
+/**
+ * Simulate an exact-input swap against a pool model, crossing initialized ticks
+ * the way the pool does. The simulation stops early, with complete set to
+ * false, if the price leaves the part of the tick bitmap that was loaded.
+ * @param {Object} pool - Pool model
+ * @param {bigint} pool.sqrtPriceX96 - Current price
+ * @param {number} pool.tick - Current tick
+ * @param {bigint} pool.liquidity - Liquidity in range
+ * @param {number} pool.fee - Swap fee in parts per million
+ * @param {number} pool.tickSpacing - Tick spacing
+ * @param {Map<number, bigint>} pool.bitmap - Tick bitmap words by word position
+ * @param {Map<number, bigint>} pool.liquidityNet - liquidityNet of each initialized tick
+ * @param {boolean} zeroForOne - Swap token0 for token1
+ * @param {BigNumber} amountIn - Input amount, fee included
+ * @returns {{amountOut: BigNumber, amountIn: BigNumber, sqrtPriceX96After: BigNumber, tickAfter: number, crossedTicks: number, complete: boolean}} - Swap result
+ */
+function simulateSwap(pool, zeroForOne, amountIn) {
+  const feePpm = BigInt(pool.fee);
+  const sqrtPriceLimitX96 = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+  
+  let amountRemaining = amountIn.toBigInt();
+  let amountOut = 0n;
+  let sqrtPriceX96 = pool.sqrtPriceX96;
+  let tick = pool.tick;
+  let liquidity = pool.liquidity;
+  let crossedTicks = 0;
+  let complete = true;
+  
+  while (amountRemaining > 0n && sqrtPriceX96 !== sqrtPriceLimitX96) {
+    const next = nextInitializedTickWithinOneWord(pool.bitmap, tick, pool.tickSpacing, zeroForOne);
+    if (!next) {
+      complete = false;
+      break;
+    }
+    
+    const tickNext = Math.min(Math.max(next.tick, MIN_TICK), MAX_TICK);
+    const sqrtPriceNextX96 = getSqrtRatioAtTick(tickNext);
+    const sqrtPriceStartX96 = sqrtPriceX96;
+    const sqrtPriceTargetX96 = (zeroForOne ? sqrtPriceNextX96 < sqrtPriceLimitX96 : sqrtPriceNextX96 > sqrtPriceLimitX96)
+      ? sqrtPriceLimitX96
+      : sqrtPriceNextX96;
+    
+    const step = computeSwapStep(sqrtPriceX96, sqrtPriceTargetX96, liquidity, amountRemaining, feePpm);
+    sqrtPriceX96 = step.sqrtRatioNextX96;
+    amountRemaining -= step.amountIn + step.feeAmount;
+    amountOut += step.amountOut;
+    
+    if (sqrtPriceX96 === sqrtPriceNextX96) {
+      if (next.initialized) {
+        const liquidityNet = pool.liquidityNet.get(tickNext);
+        if (liquidityNet === undefined) {
+          complete = false;
+          break;
+        }
+        
+        // Moving left, the position's liquidity is removed instead of added
+        liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+        crossedTicks++;
+      }
+      tick = zeroForOne ? tickNext - 1 : tickNext;
+    } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+      tick = getTickAtSqrtRatio(sqrtPriceX96);
+    }
+  }
+  
+  return {
+    amountOut: ethers.BigNumber.from(amountOut),
+    amountIn: amountIn.sub(amountRemaining),
+    sqrtPriceX96After: ethers.BigNumber.from(sqrtPriceX96),
+    tickAfter: tick,
+    crossedTicks,
+    complete: complete && amountRemaining === 0n
+  };
+}
+
+module.exports = {
+  MIN_TICK,
+  MAX_TICK,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  getAmount0Delta,
+  getAmount1Delta,
+  computeSwapStep,
+  nextInitializedTickWithinOneWord,
+  simulateSwap
+};
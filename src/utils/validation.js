@@ -1,6 +1,8 @@
 /**
  * Utility for validating price data to avoid using unrealistic or incorrect values
  */
+const registry = require('../registry/registry');
+const config = require('../config');
 
 // Set of stablecoin addresses (typically pegged to $1)
 const STABLECOIN_ADDRESSES = new Set([
@@ -17,7 +19,7 @@ const STABLECOIN_ADDRESSES = new Set([
  * @returns {boolean} - True if the token is a stablecoin
  */
 function isStablecoin(tokenAddress) {
-  return STABLECOIN_ADDRESSES.has(tokenAddress.toLowerCase());
+  return STABLECOIN_ADDRESSES.has(tokenAddress.toLowerCase()) || registry.isStable(tokenAddress);
 }
 
 /**
@@ -47,10 +49,10 @@ function validatePrice(tokenA, tokenB, price) {
 
   // Both tokens are stablecoins (should be close to 1:1)
   if (isStablecoin(tokenA) && isStablecoin(tokenB)) {
-    // For stablecoin pairs, price should be around 1.0 with very tight range
-    // Most stablecoin pairs never deviate more than 2% from peg in normal markets
-    const lowerBound = 0.98;
-    const upperBound = 1.02;
+    // The band is wide enough for the peg monitor to see a depeg, which it
+    // handles by halting the coin; only prices far outside it are bad data
+    const lowerBound = 1 - config.stablePairs.priceBand / 100;
+    const upperBound = 1 + config.stablePairs.priceBand / 100;
     
     // If the price is exactly 1.0, it's likely a default value and should be validated more carefully
     // This catches cases where the price is artificially set to 1.0 without actual market data